@@ -0,0 +1,270 @@
+// WatchLyst Recommendation System - Candidate Generation
+// Pulls candidates from several sources so ranking is not limited to the popular head
+
+const {
+  GENRE_ID_MAPPING,
+  FEATURE_DIMENSIONS,
+  FEATURE_VERSION,
+  isFeatureVectorCurrent,
+  movieToFeatureVector
+} = require('./scoring-system.js');
+const { getAllMovies: getGoldenSetMovies } = require('./diagnostic-golden-set.js');
+
+// ===== CANDIDATE CONFIGURATION =====
+const CANDIDATE_CONFIG = {
+  popularLimit: 300,         // Head of the catalog by popularity
+  preferredGenres: 3,        // User's strongest genres that get a pool
+  genrePoolLimit: 100,       // Best weighted-rated movies per preferred genre
+  recentLimit: 100,          // Most recently imported titles
+  collaborativeLimit: 100,   // Neighbours of the user's liked movies
+  longTailSamples: 4,        // Random start points in the catalog
+  longTailSampleSize: 25,    // Movies read from each start point
+  maxCandidates: 1000,       // Cap on the merged set passed to scoring
+  genreEraPoolSize: 50       // Best weighted-rated movies kept per genre/era pool
+};
+
+// Source names recorded on each candidate, in merge priority order
+const CANDIDATE_SOURCES = {
+  collaborative: 'collaborative',
+  genrePool: 'genre_pool',
+  goldenSet: 'golden_set',
+  recent: 'recent',
+  longTail: 'long_tail',
+  popular: 'popular'
+};
+
+// Feature dimension -> TMDB genre ID
+const GENRE_DIMENSION_IDS = Object.fromEntries(
+  Object.entries(GENRE_ID_MAPPING).map(([genreId, dimension]) => [dimension, Number(genreId)])
+);
+
+/**
+ * The user's strongest positive genres, for genre-indexed pools
+ * @param {Object} userPreferences - Preference vector
+ * @param {number} count - Genres to return
+ * @returns {Array} [{ dimension, genreId }] strongest first
+ */
+function selectPreferredGenres(userPreferences, count = CANDIDATE_CONFIG.preferredGenres) {
+  return Object.keys(GENRE_DIMENSION_IDS)
+    .filter(dimension => (userPreferences[dimension] || 0) > 0)
+    .sort((a, b) => userPreferences[b] - userPreferences[a])
+    .slice(0, count)
+    .map(dimension => ({ dimension, genreId: GENRE_DIMENSION_IDS[dimension] }));
+}
+
+/**
+ * Movie document IDs of the diagnostic golden set
+ * @returns {Array<string>} Unique TMDB IDs as strings
+ */
+function getGoldenSetIds() {
+  return [...new Set(getGoldenSetMovies().map(movie => String(movie.tmdbId)))];
+}
+
+/**
+ * Random document-ID start points for long-tail sampling
+ * Movie documents are keyed by TMDB ID, so a random numeric key lands
+ * anywhere in the catalog regardless of popularity.
+ * @param {Function} rng - Seeded PRNG
+ * @param {number} count - Start points to draw
+ * @returns {Array<string>} Keys to pass to startAt on the document ID
+ */
+function drawLongTailKeys(rng, count = CANDIDATE_CONFIG.longTailSamples) {
+  return Array.from({ length: count }, () => String(Math.floor(rng() * 1000000)));
+}
+
+// ===== CANDIDATE POOLS =====
+// Shared pools precomputed into candidatePools/{poolId} so refreshes read a
+// handful of documents instead of querying the movies collection
+
+const SHARED_POOL_IDS = {
+  popular: 'popular',
+  recent: 'recent',
+  goldenSet: 'golden_set'
+};
+
+const ERA_DIMENSIONS = Object.keys(FEATURE_DIMENSIONS).filter(dimension => dimension.startsWith('era_'));
+
+/**
+ * Pool document ID for one genre and era
+ * @param {string} genreDimension - e.g. genre_crime
+ * @param {string} eraDimension - e.g. era_1970s
+ * @returns {string} e.g. genre_crime__era_1970s
+ */
+function genreEraPoolId(genreDimension, eraDimension) {
+  return `${genreDimension}__${eraDimension}`;
+}
+
+/**
+ * Every genre/era pool ID for a genre
+ * @param {string} genreDimension - e.g. genre_crime
+ * @returns {Array<string>} One ID per era dimension
+ */
+function getGenrePoolIds(genreDimension) {
+  return ERA_DIMENSIONS.map(era => genreEraPoolId(genreDimension, era));
+}
+
+/**
+ * Combine a genre's era pools into one genre pool
+ * Each era pool holds up to genreEraPoolSize movies, so the combined list is
+ * cut back to the same size as a live genre query.
+ * @param {Array<Array>} eraPools - Pool entries per era
+ * @param {number} limit - Cap on the combined pool
+ * @returns {Array} Deduplicated entries, best weighted rating first
+ */
+function mergeGenreEraPools(eraPools, limit = CANDIDATE_CONFIG.genrePoolLimit) {
+  const byId = new Map();
+  eraPools.forEach(pool => pool.forEach(entry => byId.set(entry.id, entry)));
+
+  return [...byId.values()]
+    .sort((a, b) => b.weightedRating - a.weightedRating)
+    .slice(0, limit);
+}
+
+/**
+ * Compact copy of a movie holding what scoring and queue reasons read
+ * @param {Object} movie - Movie document with `id`
+ * @param {Date} now - Reference moment for a regenerated feature vector
+ * @param {Object|null} catalogStats - Catalog stats
+ * @returns {Object} Pool entry; shaped like a movie so it can be scored directly
+ */
+function toPoolEntry(movie, now = new Date(), catalogStats = null) {
+  return {
+    id: movie.id,
+    featureVector: isFeatureVectorCurrent(movie)
+      ? movie.featureVector
+      : movieToFeatureVector(movie, now, catalogStats),
+    featureVersion: FEATURE_VERSION,
+    releaseDate: movie.releaseDate || null,
+    popularity: movie.popularity || 0,
+    voteAverage: movie.voteAverage || 0,
+    voteCount: movie.voteCount || 0,
+    weightedRating: movie.weightedRating || 0,
+    genres: movie.genres || []
+  };
+}
+
+/**
+ * Build every candidate pool from the catalog
+ * @param {Array} movies - Movie documents with `id`; `createdAtMs` orders the recent pool
+ * @param {Object} options - { now, catalogStats }
+ * @returns {Object} poolId -> { source, genre?, era?, movies: [entries] }
+ */
+function buildCandidatePools(movies, options = {}) {
+  const { now = new Date(), catalogStats = null } = options;
+  const entries = movies.map(movie => ({ movie, entry: toPoolEntry(movie, now, catalogStats) }));
+  const byRating = (a, b) => b.entry.weightedRating - a.entry.weightedRating || a.entry.id.localeCompare(b.entry.id);
+  const goldenSetIds = new Set(getGoldenSetIds());
+
+  const pools = {
+    [SHARED_POOL_IDS.popular]: {
+      source: CANDIDATE_SOURCES.popular,
+      movies: [...entries]
+        .sort((a, b) => b.entry.popularity - a.entry.popularity)
+        .slice(0, CANDIDATE_CONFIG.popularLimit)
+        .map(({ entry }) => entry)
+    },
+    [SHARED_POOL_IDS.recent]: {
+      source: CANDIDATE_SOURCES.recent,
+      movies: [...entries]
+        .sort((a, b) => (b.movie.createdAtMs || 0) - (a.movie.createdAtMs || 0))
+        .slice(0, CANDIDATE_CONFIG.recentLimit)
+        .map(({ entry }) => entry)
+    },
+    [SHARED_POOL_IDS.goldenSet]: {
+      source: CANDIDATE_SOURCES.goldenSet,
+      movies: entries.filter(({ entry }) => goldenSetIds.has(entry.id)).map(({ entry }) => entry)
+    }
+  };
+
+  const genreEraGroups = {};
+  entries.forEach(item => {
+    const features = item.entry.featureVector;
+    const eras = ERA_DIMENSIONS.filter(era => (features[era] || 0) > 0);
+    const genres = Object.keys(GENRE_DIMENSION_IDS).filter(genre => (features[genre] || 0) > 0);
+
+    genres.forEach(genre => eras.forEach(era => {
+      const poolId = genreEraPoolId(genre, era);
+      if (!genreEraGroups[poolId]) {
+        genreEraGroups[poolId] = { genre, era, items: [] };
+      }
+      genreEraGroups[poolId].items.push(item);
+    }));
+  });
+
+  for (const poolId in genreEraGroups) {
+    const { genre, era, items } = genreEraGroups[poolId];
+    pools[poolId] = {
+      source: CANDIDATE_SOURCES.genrePool,
+      genre,
+      era,
+      movies: items.sort(byRating).slice(0, CANDIDATE_CONFIG.genreEraPoolSize).map(({ entry }) => entry)
+    };
+  }
+
+  return pools;
+}
+
+/**
+ * Merge per-source candidate lists into one deduplicated set
+ * Sources are taken round-robin so the cap never starves a small source, and
+ * each movie records every source that produced it.
+ * @param {Object} sourceLists - source -> [{ id, ... }] in the source's own order
+ * @param {Set<string>} excluded - Movie IDs to leave out (seen or already queued)
+ * @param {number} maxCandidates - Cap on the merged set
+ * @returns {Array} [{ id, ..., candidateSources }]
+ */
+function mergeCandidates(sourceLists, excluded = new Set(), maxCandidates = CANDIDATE_CONFIG.maxCandidates) {
+  const sources = Object.values(CANDIDATE_SOURCES).filter(source => sourceLists[source]?.length);
+  const merged = new Map();
+  const cursors = Object.fromEntries(sources.map(source => [source, 0]));
+
+  let active = sources;
+  while (active.length > 0) {
+    for (const source of active) {
+      const movie = sourceLists[source][cursors[source]++];
+
+      if (excluded.has(movie.id)) {
+        continue;
+      }
+      if (merged.has(movie.id)) {
+        merged.get(movie.id).candidateSources.push(source);
+      } else if (merged.size < maxCandidates) {
+        merged.set(movie.id, { ...movie, candidateSources: [source] });
+      }
+    }
+    active = active.filter(source => cursors[source] < sourceLists[source].length);
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Count candidates per source, for queue metadata
+ * @param {Array} candidates - Output of mergeCandidates
+ * @returns {Object} source -> count
+ */
+function countCandidateSources(candidates) {
+  const counts = {};
+  candidates.forEach(candidate => {
+    candidate.candidateSources.forEach(source => {
+      counts[source] = (counts[source] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+module.exports = {
+  CANDIDATE_CONFIG,
+  CANDIDATE_SOURCES,
+  SHARED_POOL_IDS,
+  selectPreferredGenres,
+  getGoldenSetIds,
+  drawLongTailKeys,
+  genreEraPoolId,
+  getGenrePoolIds,
+  mergeGenreEraPools,
+  toPoolEntry,
+  buildCandidatePools,
+  mergeCandidates,
+  countCandidateSources
+};
@@ -0,0 +1,197 @@
+// WatchLyst Recommendation System - Collaborative Filtering
+// Item-item similarity learned from movies users loved/liked together
+
+const { GESTURE_WEIGHTS } = require('./scoring-system.js');
+
+// ===== COLLABORATIVE CONFIGURATION =====
+const COLLABORATIVE_CONFIG = {
+  blendWeight: 0.3,      // Share of the final score taken by the collaborative signal
+  minCoRatings: 2,       // Users who must co-like a pair before it counts
+  shrinkage: 5,          // Dampens similarities backed by few co-ratings
+  maxNeighbours: 50,     // Similar movies kept per movie
+  maxItemsPerUser: 200,  // Most recent positive ratings per user used for co-occurrence
+  maxSeedMovies: 30,     // User's most recent rated movies used when scoring
+  scoreDamping: 0.5      // Pulls scores with little similarity mass toward 0
+};
+
+/**
+ * Group interactions into per-user ratings keyed by movie
+ * Later interactions for the same movie overwrite earlier ones, so pass them
+ * in chronological order.
+ * @param {Array} interactions - [{ userId, movieId, action }]
+ * @returns {Map<string, Map<string, number>>} userId -> (movieId -> gesture weight)
+ */
+function buildUserRatings(interactions) {
+  const ratings = new Map();
+
+  interactions.forEach(({ userId, movieId, action }) => {
+    const weight = GESTURE_WEIGHTS[action];
+    if (!userId || !movieId || weight === undefined) {
+      return;
+    }
+
+    if (!ratings.has(userId)) {
+      ratings.set(userId, new Map());
+    }
+
+    const userRatings = ratings.get(userId);
+    // Re-insert so Map order reflects the most recent interaction
+    userRatings.delete(movieId);
+    if (weight !== 0) {
+      userRatings.set(movieId, weight);
+    }
+  });
+
+  return ratings;
+}
+
+/**
+ * Build item-item similarities from co-liked movies
+ * similarity = coLikes / sqrt(likes_i * likes_j), shrunk by coLikes / (coLikes + shrinkage)
+ * @param {Array} interactions - [{ userId, movieId, action }] in chronological order
+ * @param {Object} config - Overrides for COLLABORATIVE_CONFIG
+ * @returns {Object} movieId -> { otherMovieId: similarity } (top maxNeighbours)
+ */
+function buildItemSimilarities(interactions, config = {}) {
+  const settings = { ...COLLABORATIVE_CONFIG, ...config };
+  const userRatings = buildUserRatings(interactions);
+
+  const likeCounts = new Map();
+  const coLikes = new Map();
+
+  userRatings.forEach(movieRatings => {
+    const liked = [...movieRatings.entries()]
+      .filter(([, weight]) => weight > 0)
+      .map(([movieId]) => movieId)
+      .slice(-settings.maxItemsPerUser);
+
+    liked.forEach(movieId => {
+      likeCounts.set(movieId, (likeCounts.get(movieId) || 0) + 1);
+    });
+
+    for (let i = 0; i < liked.length; i++) {
+      for (let j = i + 1; j < liked.length; j++) {
+        const [a, b] = liked[i] < liked[j] ? [liked[i], liked[j]] : [liked[j], liked[i]];
+        const key = `${a}|${b}`;
+        coLikes.set(key, (coLikes.get(key) || 0) + 1);
+      }
+    }
+  });
+
+  const neighbours = {};
+  coLikes.forEach((count, key) => {
+    if (count < settings.minCoRatings) {
+      return;
+    }
+
+    const [a, b] = key.split('|');
+    const cosine = count / Math.sqrt(likeCounts.get(a) * likeCounts.get(b));
+    const similarity = cosine * (count / (count + settings.shrinkage));
+
+    neighbours[a] = neighbours[a] || {};
+    neighbours[b] = neighbours[b] || {};
+    neighbours[a][b] = similarity;
+    neighbours[b][a] = similarity;
+  });
+
+  // Keep only the strongest neighbours per movie
+  for (const movieId in neighbours) {
+    const top = Object.entries(neighbours[movieId])
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, settings.maxNeighbours);
+    neighbours[movieId] = Object.fromEntries(top);
+  }
+
+  return neighbours;
+}
+
+/**
+ * Pick the user's most recent rated movies to seed collaborative scoring
+ * @param {Array} interactions - User's interactions in chronological order
+ * @param {number} maxSeedMovies - Maximum seeds to keep
+ * @returns {Object} movieId -> gesture weight
+ */
+function selectSeedRatings(interactions, maxSeedMovies = COLLABORATIVE_CONFIG.maxSeedMovies) {
+  const ratings = buildUserRatings(interactions);
+  const seeds = {};
+
+  ratings.forEach(movieRatings => {
+    [...movieRatings.entries()].slice(-maxSeedMovies).forEach(([movieId, weight]) => {
+      seeds[movieId] = weight;
+    });
+  });
+
+  return seeds;
+}
+
+/**
+ * Calculate the collaborative score for a candidate movie
+ * Similarity-weighted average of the user's normalised gesture weights on
+ * neighbouring movies, damped when the similarity mass is small.
+ * @param {Object} seedRatings - movieId -> gesture weight for the user's rated movies
+ * @param {Object} neighbourLists - seedMovieId -> { otherMovieId: similarity }
+ * @param {string} candidateId - Movie being scored
+ * @param {Object} config - Overrides for COLLABORATIVE_CONFIG
+ * @returns {number|null} Score in [-1, 1], or null when no neighbour supports it
+ */
+function calculateCollaborativeScore(seedRatings, neighbourLists, candidateId, config = {}) {
+  const settings = { ...COLLABORATIVE_CONFIG, ...config };
+
+  let weightedSum = 0;
+  let similarityMass = 0;
+
+  for (const seedId in seedRatings) {
+    const similarity = neighbourLists[seedId]?.[candidateId];
+    if (!similarity) {
+      continue;
+    }
+
+    weightedSum += similarity * (seedRatings[seedId] / GESTURE_WEIGHTS.loved);
+    similarityMass += similarity;
+  }
+
+  if (similarityMass === 0) {
+    return null;
+  }
+
+  return weightedSum / (similarityMass + settings.scoreDamping);
+}
+
+/**
+ * Rank the neighbours of the user's positively rated movies as candidates
+ * Each neighbour scores the sum of similarity * gesture weight over the seeds
+ * that list it; the seeds themselves are left out.
+ * @param {Object} seedRatings - movieId -> gesture weight for the user's rated movies
+ * @param {Object} neighbourLists - seedMovieId -> { otherMovieId: similarity }
+ * @param {number} limit - Maximum candidates to return
+ * @returns {Array<string>} Movie IDs, strongest first
+ */
+function rankNeighbourCandidates(seedRatings, neighbourLists, limit = COLLABORATIVE_CONFIG.maxNeighbours) {
+  const strengths = new Map();
+
+  for (const seedId in seedRatings) {
+    if (seedRatings[seedId] <= 0) {
+      continue;
+    }
+    for (const [movieId, similarity] of Object.entries(neighbourLists[seedId] || {})) {
+      if (seedRatings[movieId] !== undefined) {
+        continue;
+      }
+      strengths.set(movieId, (strengths.get(movieId) || 0) + similarity * seedRatings[seedId]);
+    }
+  }
+
+  return [...strengths.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([movieId]) => movieId);
+}
+
+module.exports = {
+  COLLABORATIVE_CONFIG,
+  buildUserRatings,
+  buildItemSimilarities,
+  selectSeedRatings,
+  calculateCollaborativeScore,
+  rankNeighbourCandidates
+};
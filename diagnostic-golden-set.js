@@ -1,76 +1,206 @@
 /**
  * Watchlyst Diagnostic Golden Set
- * 30 Decks with 150 Titles (5 per deck)
- * 
+ * 6 Decks with 30 Titles (5 per deck); the deck count is set by the data file
+ *
  * These are diagnostic seed movies chosen to maximize BackLyst's learning
  * in the very first swipes. Each movie represents a distinct taste signal.
- * 
+ *
  * Format: { category: [{ title, year, tmdbId, description }] }
+ *
+ * The set lives in a versioned data file, data/diagnostic-golden-set.v<N>.json:
+ * { version, expectedDecks, titlesPerDeck, decks: [{ name, titles: [{ title, year, tmdbId, description }] }] }
+ * Check a new version with `npm run validate:golden-set` before pointing GOLDEN_SET_FILE at it.
  */
 
-const DIAGNOSTIC_GOLDEN_SET = {
-  // 1. Action Icons
-  'Action Icons': [
-    { title: 'Dirty Harry', year: 1971, tmdbId: 10493, description: 'gritty antihero, 70s crime realism' },
-    { title: 'Die Hard', year: 1988, tmdbId: 562, description: 'urban action, everyman hero, 80s blockbuster style' },
-    { title: 'The Matrix', year: 1999, tmdbId: 603, description: 'sci-fi action, stylized futurism, philosophy' },
-    { title: 'Gladiator', year: 2000, tmdbId: 98, description: 'epic historical combat, emotional gravitas' },
-    { title: 'John Wick', year: 2014, tmdbId: 245891, description: 'modern hyper-stylized action, choreography, revenge' },
-  ],
-
-  // 2. Classic Comedies
-  'Classic comedies': [
-    { title: 'Some Like It Hot', year: 1959, tmdbId: 137, description: 'screwball farce, gender-bending classic' },
-    { title: 'Blazing Saddles', year: 1974, tmdbId: 11072, description: 'satire, edgy/taboo humor' },
-    { title: 'Airplane!', year: 1980, tmdbId: 813, description: 'parody, absurdist chaos' },
-    { title: 'When Harry Met Sally...', year: 1989, tmdbId: 639, description: 'romantic comedy archetype, witty dialogue' },
-    { title: 'Groundhog Day', year: 1993, tmdbId: 137, description: 'high-concept comedy, philosophy under humor' },
-  ],
-
-  // 3. Romantic Chaos
-  'Romantic chaos': [
-    { title: 'Annie Hall', year: 1977, tmdbId: 152, description: 'neurotic, conversational romance' },
-    { title: 'The Worst Person in the World', year: 2021, tmdbId: 631842, description: 'modern messy romance, self-discovery, ambiguity' },
-    { title: 'Eternal Sunshine of the Spotless Mind', year: 2004, tmdbId: 38, description: 'experimental, bittersweet' },
-    { title: 'La La Land', year: 2016, tmdbId: 313369, description: 'musical romance, dreams vs relationships' },
-    { title: 'Past Lives', year: 2023, tmdbId: 820525, description: 'intimate, modern multicultural romance' },
-  ],
-
-  // 4. Modern Horror & Elevated Frights
-  'Modern Horror & Elevated frights': [
-    { title: 'The Ring', year: 2002, tmdbId: 8810, description: 'bridge horror into modern era' },
-    { title: 'Paranormal Activity', year: 2007, tmdbId: 14161, description: 'found footage revival' },
-    { title: 'It Follows', year: 2014, tmdbId: 270303, description: 'allegorical indie dread' },
-    { title: 'Get Out', year: 2017, tmdbId: 419430, description: 'social horror, satire' },
-    { title: 'Hereditary', year: 2018, tmdbId: 493922, description: 'family trauma, elevated modern dread' },
-  ],
-
-  // 5. Sci-Fi Classics
-  'Sci–Fi classics': [
-    { title: '2001: A Space Odyssey', year: 1968, tmdbId: 62, description: 'cosmic, cerebral, visual epic' },
-    { title: 'Star Wars', year: 1977, tmdbId: 11, description: 'space opera archetype, mythic heroism' },
-    { title: 'Blade Runner', year: 1982, tmdbId: 78, description: 'neo-noir sci-fi, dystopian aesthetics' },
-    { title: 'Jurassic Park', year: 1993, tmdbId: 329, description: 'blockbuster science spectacle' },
-    { title: 'Inception', year: 2010, tmdbId: 27205, description: 'modern blockbuster sci-fi, dream logic' },
-  ],
-
-  // 6. Classic Dramas
-  'Classic drama': [
-    { title: 'Citizen Kane', year: 1941, tmdbId: 15, description: 'foundational American drama, ambition' },
-    { title: 'The Godfather', year: 1972, tmdbId: 238, description: 'crime family epic, morality' },
-    { title: 'One Flew Over the Cuckoo\'s Nest', year: 1975, tmdbId: 510, description: 'institutional rebellion, human spirit' },
-    { title: 'Schindler\'s List', year: 1993, tmdbId: 424, description: 'historical tragedy, moral courage' },
-    { title: 'There Will Be Blood', year: 2007, tmdbId: 7345, description: 'character study, capitalism & obsession' },
-  ],
-
-  // Continue with all 30 categories...
-  // (Including all 150 movies as provided in the images)
-};
+const path = require('path');
+
+const GOLDEN_SET_FILE = path.join(__dirname, 'data', 'diagnostic-golden-set.v1.json');
+
+/**
+ * Read a golden set data file
+ * @param {string} file - Path to a diagnostic-golden-set.v<N>.json file
+ * @returns {Object} { version, expectedDecks, titlesPerDeck, decks }
+ */
+function loadGoldenSet(file = GOLDEN_SET_FILE) {
+  return require(path.resolve(file));
+}
+
+/**
+ * Deck name -> titles, the shape the rest of the recommender reads
+ * @param {Object} set - Loaded golden set
+ * @returns {Object} { category: [{ title, year, tmdbId, description }] }
+ */
+function toDeckMap(set) {
+  const decks = {};
+  set.decks.forEach(deck => {
+    decks[deck.name] = deck.titles;
+  });
+  return decks;
+}
+
+const GOLDEN_SET = loadGoldenSet();
+const GOLDEN_SET_VERSION = GOLDEN_SET.version;
+const DIAGNOSTIC_GOLDEN_SET = toDeckMap(GOLDEN_SET);
+
+// ===== VALIDATION =====
+
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function releaseYear(details) {
+  const year = parseInt(String(details.release_date || '').slice(0, 4));
+  return Number.isNaN(year) ? null : year;
+}
+
+/**
+ * Differences between a golden set title and its TMDB details
+ * @param {Object} movie - { title, year, tmdbId }
+ * @param {Object} details - TMDB /movie/{id} response
+ * @returns {Array} [{ code: 'title-mismatch'|'year-mismatch', message }]; empty when they agree
+ */
+function compareWithTmdb(movie, details) {
+  const mismatches = [];
+
+  const names = [details.title, details.original_title].map(normalizeTitle);
+  if (!names.includes(normalizeTitle(movie.title))) {
+    mismatches.push({
+      code: 'title-mismatch',
+      message: `TMDB ${movie.tmdbId} is "${details.title}", not "${movie.title}"`
+    });
+  }
+
+  const year = releaseYear(details);
+  if (year !== movie.year) {
+    mismatches.push({
+      code: 'year-mismatch',
+      message: `TMDB ${movie.tmdbId} ("${details.title}") was released in ${year || 'an unknown year'}, not ${movie.year}`
+    });
+  }
+
+  return mismatches;
+}
+
+/**
+ * Check a golden set for completeness and against cached TMDB details
+ * Errors: wrong deck or title counts, titles missing a field, one TMDB ID
+ * used for different titles, and titles or years that disagree with TMDB.
+ * Warnings: a movie listed in more than one deck (onboarding serves it once)
+ * and titles with no cached TMDB details.
+ * @param {Object} set - Loaded golden set
+ * @param {Object} tmdbCache - TMDB ID -> /movie/{id} details; {} skips the TMDB checks
+ * @returns {Object} { valid, errors, warnings, stats } where each issue is
+ *   { code, deck, title, tmdbId, message }
+ */
+function validateGoldenSet(set, tmdbCache = {}) {
+  const errors = [];
+  const warnings = [];
+  const byId = new Map();
+  const decks = set.decks || [];
+  let titleCount = 0;
+  let checked = 0;
+
+  if (decks.length !== set.expectedDecks) {
+    errors.push({
+      code: 'deck-count',
+      message: `Expected ${set.expectedDecks} decks, found ${decks.length}`
+    });
+  }
+
+  const deckNames = new Set();
+  decks.forEach(deck => {
+    if (deckNames.has(deck.name)) {
+      errors.push({ code: 'duplicate-deck', deck: deck.name, message: `Deck "${deck.name}" is listed twice` });
+    }
+    deckNames.add(deck.name);
+
+    const titles = deck.titles || [];
+    titleCount += titles.length;
+    if (titles.length !== set.titlesPerDeck) {
+      errors.push({
+        code: 'title-count',
+        deck: deck.name,
+        message: `Deck "${deck.name}" has ${titles.length} titles, expected ${set.titlesPerDeck}`
+      });
+    }
+
+    titles.forEach(movie => {
+      const issue = { deck: deck.name, title: movie.title, tmdbId: movie.tmdbId };
+
+      if (!movie.title || !Number.isInteger(movie.year) || !Number.isInteger(movie.tmdbId)) {
+        errors.push({ ...issue, code: 'missing-field', message: `"${movie.title}" needs a title, integer year and integer tmdbId` });
+        return;
+      }
+
+      const previous = byId.get(movie.tmdbId);
+      if (previous && normalizeTitle(previous.title) !== normalizeTitle(movie.title)) {
+        errors.push({
+          ...issue,
+          code: 'duplicate-id',
+          message: `TMDB ID ${movie.tmdbId} is used for both "${previous.title}" (${previous.deck}) and "${movie.title}"`
+        });
+        return;
+      }
+      if (previous) {
+        warnings.push({ ...issue, code: 'repeated-title', message: `"${movie.title}" is in both "${previous.deck}" and "${deck.name}"` });
+        return;
+      }
+      byId.set(movie.tmdbId, { title: movie.title, deck: deck.name });
+
+      const details = tmdbCache[String(movie.tmdbId)];
+      if (!details) {
+        warnings.push({ ...issue, code: 'not-cached', message: `No cached TMDB details for ${movie.tmdbId} ("${movie.title}")` });
+        return;
+      }
+      checked++;
+
+      compareWithTmdb(movie, details).forEach(mismatch => errors.push({ ...issue, ...mismatch }));
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    stats: {
+      version: set.version,
+      decks: decks.length,
+      titles: titleCount,
+      uniqueTitles: byId.size,
+      checkedAgainstTmdb: checked
+    }
+  };
+}
 
 // Export the diagnostic set
 module.exports = {
   DIAGNOSTIC_GOLDEN_SET,
-  
+  GOLDEN_SET_FILE,
+  GOLDEN_SET_VERSION,
+  loadGoldenSet,
+  compareWithTmdb,
+  validateGoldenSet,
+
+  /**
+   * Deck names in the order they appear in the data file
+   * @returns {string[]} Deck names
+   */
+  listDecks: function() {
+    return Object.keys(DIAGNOSTIC_GOLDEN_SET);
+  },
+
+  /**
+   * Titles in one deck
+   * @param {string} deck - Deck name
+   * @returns {Array} [{ title, year, tmdbId, description }]; empty for an unknown deck
+   */
+  getTitlesByDeck: function(deck) {
+    return [...(DIAGNOSTIC_GOLDEN_SET[deck] || [])];
+  },
+
   /**
    * Get diagnostic movies for selected categories
    * @param {string[]} selectedCategories - Array of category names
@@ -85,15 +215,15 @@ module.exports = {
     });
     return movies;
   },
-  
+
   /**
    * Get all diagnostic movies as a flat array
-   * @returns {Array} All 150 movies
+   * @returns {Array} Every title in every deck
    */
   getAllMovies: function() {
     return Object.values(DIAGNOSTIC_GOLDEN_SET).flat();
   },
-  
+
   /**
    * Get movie TMDB IDs for selected categories
    * @param {string[]} selectedCategories - Array of category names
@@ -104,5 +234,3 @@ module.exports = {
     return movies.map(m => m.tmdbId);
   }
 };
-
-
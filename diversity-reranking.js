@@ -0,0 +1,117 @@
+// WatchLyst Recommendation System - Diversity Re-ranking
+// Maximal marginal relevance (MMR) over movie feature vectors
+
+// ===== DIVERSITY CONFIGURATION =====
+const DIVERSITY_CONFIG = {
+  defaultDiversity: 0.3,  // Used when users/{userId}.recommendationSettings.diversity is unset
+  // Only these dimensions decide whether two movies are "the same kind of film";
+  // rating and popularity are similar across most of the catalog
+  similarityPrefixes: ['genre_', 'era_', 'language_', 'runtime_']
+};
+
+/**
+ * Read a user's diversity setting, clamped to [0, 1]
+ * @param {Object|undefined} recommendationSettings - users/{userId}.recommendationSettings
+ * @returns {number} 0 = rank by score only, 1 = maximise variety
+ */
+function getDiversitySetting(recommendationSettings) {
+  const diversity = recommendationSettings?.diversity;
+  if (typeof diversity !== 'number' || !Number.isFinite(diversity)) {
+    return DIVERSITY_CONFIG.defaultDiversity;
+  }
+  return Math.max(0, Math.min(1, diversity));
+}
+
+/**
+ * Cosine similarity over the genre, era, language and runtime dimensions
+ * @param {Object} a - Feature vector
+ * @param {Object} b - Feature vector
+ * @returns {number} Similarity (0-1 for non-negative features)
+ */
+function featureSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (const dimension in a) {
+    if (!DIVERSITY_CONFIG.similarityPrefixes.some(prefix => dimension.startsWith(prefix))) {
+      continue;
+    }
+    const valueA = a[dimension] || 0;
+    const valueB = b[dimension] || 0;
+    dot += valueA * valueB;
+    normA += valueA * valueA;
+  }
+  for (const dimension in b) {
+    if (DIVERSITY_CONFIG.similarityPrefixes.some(prefix => dimension.startsWith(prefix))) {
+      normB += (b[dimension] || 0) * (b[dimension] || 0);
+    }
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Re-rank scored candidates with maximal marginal relevance
+ * Each pick maximises (1 - diversity) * relevance - diversity * maxSimilarity,
+ * where relevance is the score rescaled to [0, 1] across the candidates and
+ * maxSimilarity is the closest match among movies already picked.
+ * @param {Array} items - [{ score, features, ... }]
+ * @param {number} diversity - 0-1, from getDiversitySetting
+ * @param {number} limit - Number of items to return
+ * @returns {Array} Up to `limit` items in re-ranked order
+ */
+function rerankForDiversity(items, diversity, limit = items.length) {
+  const ranked = [...items].sort((a, b) => b.score - a.score);
+
+  if (diversity <= 0 || ranked.length <= 1) {
+    return ranked.slice(0, limit);
+  }
+
+  const maxScore = ranked[0].score;
+  const minScore = ranked[ranked.length - 1].score;
+  const scoreRange = maxScore - minScore || 1;
+
+  const remaining = ranked.map(item => ({
+    item,
+    relevance: (item.score - minScore) / scoreRange,
+    maxSimilarity: 0
+  }));
+  const selected = [];
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const value = (1 - diversity) * candidate.relevance - diversity * candidate.maxSimilarity;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    selected.push(picked.item);
+
+    // Only the newest pick can raise a candidate's closest-match similarity
+    remaining.forEach(candidate => {
+      candidate.maxSimilarity = Math.max(
+        candidate.maxSimilarity,
+        featureSimilarity(candidate.item.features, picked.item.features)
+      );
+    });
+  }
+
+  return selected;
+}
+
+module.exports = {
+  DIVERSITY_CONFIG,
+  getDiversitySetting,
+  featureSimilarity,
+  rerankForDiversity
+};
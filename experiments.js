@@ -0,0 +1,191 @@
+// WatchLyst Recommendation System - Experiments
+// Registry of A/B experiments with deterministic user assignment
+
+const crypto = require('crypto');
+
+// ===== EXPERIMENT REGISTRY =====
+// Each active experiment splits every user across its variants by weight.
+// Variant `overrides` may set:
+//   explorationRate     - Base exploration rate passed to calculateExplorationRate
+//   collaborativeWeight - Share of the score taken by the collaborative signal
+//   scorer              - Scorer version, a key of SCORER_VERSIONS in scoring-system.js
+// Changing an experiment's salt or variant weights reshuffles its users, so
+// start a new experiment ID instead of editing a running one.
+const EXPERIMENTS = {
+  collaborative_blend_2025_06: {
+    description: 'Does a heavier collaborative blend raise the like ratio?',
+    active: false,
+    startedAt: '2025-06-01T00:00:00Z',
+    salt: 'c7d1',
+    variants: [
+      { id: 'control', weight: 50, overrides: {} },
+      { id: 'blend_50', weight: 50, overrides: { collaborativeWeight: 0.5 } }
+    ]
+  },
+  cosine_scorer_2026_10: {
+    description: 'Holdback on the dimension-scaled scorer: does cosine content scoring raise the like ratio?',
+    active: true,
+    startedAt: '2026-10-19T00:00:00Z',
+    salt: '4e2a',
+    variants: [
+      { id: 'cosine', weight: 90, overrides: { scorer: 'cosine_v2' } },
+      { id: 'dimensions_holdback', weight: 10, overrides: { scorer: 'dimensions_v1' } }
+    ]
+  }
+};
+
+// Override keys a variant may set
+const EXPERIMENT_OVERRIDE_KEYS = ['explorationRate', 'collaborativeWeight', 'scorer'];
+
+// Buckets used to map a user hash onto variant weights
+const ASSIGNMENT_BUCKETS = 10000;
+
+/**
+ * Hash a user into a stable bucket for one experiment
+ * @param {string} experimentId - Experiment key in the registry
+ * @param {string} salt - Experiment salt
+ * @param {string} userId - User ID
+ * @returns {number} Bucket in [0, ASSIGNMENT_BUCKETS)
+ */
+function assignmentBucket(experimentId, salt, userId) {
+  const digest = crypto.createHash('sha256')
+    .update(`${experimentId}:${salt}:${userId}`)
+    .digest();
+  return digest.readUInt32BE(0) % ASSIGNMENT_BUCKETS;
+}
+
+/**
+ * Deterministically assign a user to a variant
+ * @param {string} experimentId - Experiment key in the registry
+ * @param {string} userId - User ID
+ * @param {Object} registry - Experiment registry (defaults to EXPERIMENTS)
+ * @returns {string|null} Variant ID, or null if the experiment is unknown or inactive
+ */
+function assignVariant(experimentId, userId, registry = EXPERIMENTS) {
+  const experiment = registry[experimentId];
+  if (!experiment || !experiment.active || !userId) {
+    return null;
+  }
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const position = assignmentBucket(experimentId, experiment.salt || '', userId) / ASSIGNMENT_BUCKETS * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (position < cumulative) {
+      return variant.id;
+    }
+  }
+
+  return experiment.variants[experiment.variants.length - 1].id;
+}
+
+/**
+ * Variant assignments for every active experiment
+ * Recorded on each interaction's context as `experiments`.
+ * @param {string} userId - User ID
+ * @param {Object} registry - Experiment registry (defaults to EXPERIMENTS)
+ * @returns {Object} experimentId -> variantId
+ */
+function getAssignments(userId, registry = EXPERIMENTS) {
+  const assignments = {};
+
+  for (const experimentId in registry) {
+    const variantId = assignVariant(experimentId, userId, registry);
+    if (variantId) {
+      assignments[experimentId] = variantId;
+    }
+  }
+
+  return assignments;
+}
+
+/**
+ * Merge the overrides of the user's assigned variants onto a base config
+ * Experiments are applied in registry order; later ones win on conflicts.
+ * @param {Object} assignments - experimentId -> variantId
+ * @param {Object} base - Default values for EXPERIMENT_OVERRIDE_KEYS
+ * @param {Object} registry - Experiment registry (defaults to EXPERIMENTS)
+ * @returns {Object} Config with overrides applied
+ */
+function resolveExperimentConfig(assignments, base = {}, registry = EXPERIMENTS) {
+  const config = { ...base };
+
+  for (const experimentId in registry) {
+    const variantId = assignments[experimentId];
+    const variant = registry[experimentId].variants.find(candidate => candidate.id === variantId);
+    if (!variant) {
+      continue;
+    }
+
+    for (const key of EXPERIMENT_OVERRIDE_KEYS) {
+      if (variant.overrides?.[key] !== undefined) {
+        config[key] = variant.overrides[key];
+      }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Per-variant like ratio and engagement for one experiment
+ * Only interactions stamped with the experiment in `context.experiments` count.
+ * @param {Array} interactions - [{ userId, action, timestamp, context }]; timestamp in ms
+ * @param {string} experimentId - Experiment key
+ * @returns {Object} variantId -> { users, interactions, actions, likeRatio, dislikeRatio,
+ *   interactionsPerUser, activeDaysPerUser }
+ */
+function computeVariantMetrics(interactions, experimentId) {
+  const variants = {};
+
+  interactions.forEach(interaction => {
+    const variantId = interaction.context?.experiments?.[experimentId];
+    if (!variantId) {
+      return;
+    }
+
+    if (!variants[variantId]) {
+      variants[variantId] = { users: new Map(), interactions: 0, actions: {} };
+    }
+
+    const variant = variants[variantId];
+    variant.interactions++;
+    variant.actions[interaction.action] = (variant.actions[interaction.action] || 0) + 1;
+
+    if (!variant.users.has(interaction.userId)) {
+      variant.users.set(interaction.userId, new Set());
+    }
+    if (typeof interaction.timestamp === 'number') {
+      variant.users.get(interaction.userId).add(new Date(interaction.timestamp).toISOString().slice(0, 10));
+    }
+  });
+
+  const metrics = {};
+  for (const variantId in variants) {
+    const { users, interactions: count, actions } = variants[variantId];
+    const activeDays = [...users.values()].reduce((sum, days) => sum + days.size, 0);
+
+    metrics[variantId] = {
+      users: users.size,
+      interactions: count,
+      actions,
+      likeRatio: ((actions.loved || 0) + (actions.liked || 0)) / count,
+      dislikeRatio: (actions.disliked || 0) / count,
+      interactionsPerUser: count / users.size,
+      activeDaysPerUser: activeDays / users.size
+    };
+  }
+
+  return metrics;
+}
+
+module.exports = {
+  EXPERIMENTS,
+  EXPERIMENT_OVERRIDE_KEYS,
+  assignVariant,
+  getAssignments,
+  resolveExperimentConfig,
+  computeVariantMetrics
+};
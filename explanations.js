@@ -0,0 +1,181 @@
+// WatchLyst Recommendation System - Explanations
+// Structured "Because you loved X" reasons for queued movies
+
+const { FEATURE_DIMENSIONS } = require('./scoring-system.js');
+const { featureSimilarity } = require('./diversity-reranking.js');
+
+// ===== EXPLANATION CONFIGURATION =====
+const EXPLANATION_CONFIG = {
+  topFeatures: 3,             // Contributing dimensions named per movie
+  topAnchors: 2,              // Loved/liked movies named per movie
+  maxAnchorMovies: 30,        // User's most recent loved/liked movies compared against
+  minContribution: 0.05,      // Smallest preference * feature product worth naming
+  minAnchorSimilarity: 0.5,   // Weaker matches are not offered as "because you..."
+  anchorActions: ['loved', 'liked']
+};
+
+// Readable phrase for each feature dimension, e.g. "your taste for crime films"
+const FEATURE_LABELS = {
+  genre_action: 'action films',
+  genre_adventure: 'adventure films',
+  genre_animation: 'animation',
+  genre_comedy: 'comedies',
+  genre_crime: 'crime films',
+  genre_documentary: 'documentaries',
+  genre_drama: 'dramas',
+  genre_family: 'family films',
+  genre_fantasy: 'fantasy',
+  genre_history: 'historical films',
+  genre_horror: 'horror',
+  genre_music: 'music films',
+  genre_mystery: 'mysteries',
+  genre_romance: 'romance',
+  genre_scifi: 'sci-fi',
+  genre_tv_movie: 'TV movies',
+  genre_thriller: 'thrillers',
+  genre_war: 'war films',
+  genre_western: 'westerns',
+  runtime_short: 'short films',
+  runtime_standard: 'standard-length films',
+  runtime_long: 'long films',
+  runtime_epic: 'epics',
+  language_english: 'English-language films',
+  language_european: 'European cinema',
+  language_east_asian: 'East Asian cinema',
+  language_south_asian: 'South Asian cinema',
+  language_other: 'world cinema',
+  era_classic: 'classics',
+  era_1960s: '1960s films',
+  era_1970s: '1970s films',
+  era_1980s: '1980s films',
+  era_1990s: '1990s films',
+  era_2000s: '2000s films',
+  era_2010s: '2010s films',
+  era_2020s: 'new releases',
+  popularity_normalized: 'popular titles',
+  vote_count_normalized: 'widely seen titles',
+  recency_score: 'recent releases',
+  rating_normalized: 'highly rated films',
+  cult_score: 'cult favourites'
+};
+
+// Sentence used when a queue reason has nothing more specific to say
+const REASON_SUMMARIES = {
+  preference_match: 'Matches your taste',
+  similar_users: 'Popular with people who like what you like',
+  trending: 'Trending now',
+  exploration: 'Something different to help us learn your taste',
+  diagnostic: 'A starter pick to learn your taste quickly',
+  category_match: 'From a category you picked'
+};
+
+/**
+ * Feature dimensions that contributed most to the dot product
+ * @param {Object} userPreferences - Preference vector
+ * @param {Object} movieFeatures - Movie feature vector
+ * @param {number} limit - Dimensions to return
+ * @returns {Array} [{ dimension, label, contribution }] largest positive contribution first
+ */
+function topFeatureContributions(userPreferences, movieFeatures, limit = EXPLANATION_CONFIG.topFeatures) {
+  return Object.keys(FEATURE_DIMENSIONS)
+    .map(dimension => ({
+      dimension,
+      label: FEATURE_LABELS[dimension],
+      contribution: (userPreferences[dimension] || 0) * (movieFeatures[dimension] || 0)
+    }))
+    .filter(item => item.contribution >= EXPLANATION_CONFIG.minContribution)
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, limit);
+}
+
+/**
+ * The user's most recent distinct loved/liked movies
+ * @param {Array} interactions - User's interactions in chronological order
+ * @param {number} limit - Movies to return
+ * @returns {Array} [{ movieId, action }] most recent first
+ */
+function selectAnchorInteractions(interactions, limit = EXPLANATION_CONFIG.maxAnchorMovies) {
+  const latest = new Map();
+  interactions.forEach(interaction => {
+    latest.delete(interaction.movieId);
+    latest.set(interaction.movieId, interaction.action);
+  });
+
+  return [...latest.entries()]
+    .reverse()
+    .filter(([, action]) => EXPLANATION_CONFIG.anchorActions.includes(action))
+    .slice(0, limit)
+    .map(([movieId, action]) => ({ movieId, action }));
+}
+
+/**
+ * Loved/liked movies that most resemble a candidate
+ * @param {Object} movieFeatures - Candidate feature vector
+ * @param {Array} anchors - [{ movieId, title, action, features }]
+ * @param {number} limit - Movies to return
+ * @returns {Array} [{ movieId, title, action, similarity }] most similar first
+ */
+function findSimilarAnchors(movieFeatures, anchors, limit = EXPLANATION_CONFIG.topAnchors) {
+  return anchors
+    .map(anchor => ({
+      movieId: anchor.movieId,
+      title: anchor.title,
+      action: anchor.action,
+      similarity: featureSimilarity(movieFeatures, anchor.features)
+    }))
+    .filter(anchor => anchor.similarity >= EXPLANATION_CONFIG.minAnchorSimilarity)
+    .sort((a, b) => b.similarity - a.similarity || Number(b.action === 'loved') - Number(a.action === 'loved'))
+    .slice(0, limit);
+}
+
+function joinLabels(labels) {
+  if (labels.length <= 1) {
+    return labels.join('');
+  }
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Build the structured explanation stored on a queue entry
+ * @param {Object} params - { userPreferences, movieFeatures, reason, anchors, arm }
+ *   anchors are the user's loved/liked movies with features; arm is the
+ *   genre dimension behind an exploration pick
+ * @returns {Object} { reason, summary, details, topFeatures, similarMovies }
+ */
+function buildExplanation({ userPreferences, movieFeatures, reason, anchors = [], arm = null }) {
+  const topFeatures = topFeatureContributions(userPreferences, movieFeatures);
+  const similarMovies = findSimilarAnchors(movieFeatures, anchors);
+  const details = [];
+
+  // Exploration picks lead with why they are off-profile
+  if (reason === 'exploration') {
+    details.push(arm ? `Exploring ${FEATURE_LABELS[arm]} to learn your taste` : REASON_SUMMARIES.exploration);
+  }
+  if (similarMovies.length > 0) {
+    details.push(`Because you ${similarMovies[0].action} ${similarMovies[0].title}`);
+  }
+  if (topFeatures.length > 0) {
+    details.push(`Matches your taste for ${joinLabels(topFeatures.map(item => item.label))}`);
+  }
+  if (reason !== 'exploration' && reason !== 'preference_match' && REASON_SUMMARIES[reason]) {
+    details.push(REASON_SUMMARIES[reason]);
+  }
+
+  return {
+    reason,
+    summary: details[0] || REASON_SUMMARIES[reason] || REASON_SUMMARIES.preference_match,
+    details,
+    topFeatures,
+    similarMovies
+  };
+}
+
+module.exports = {
+  EXPLANATION_CONFIG,
+  FEATURE_LABELS,
+  REASON_SUMMARIES,
+  topFeatureContributions,
+  selectAnchorInteractions,
+  findSimilarAnchors,
+  buildExplanation
+};
@@ -0,0 +1,242 @@
+// WatchLyst Recommendation System - Exploration
+// Seeded Thompson sampling over genre arms, so every queue can be reproduced
+
+const crypto = require('crypto');
+const { FEATURE_DIMENSIONS } = require('./scoring-system.js');
+
+// ===== EXPLORATION CONFIGURATION =====
+const EXPLORATION_CONFIG = {
+  priorSuccesses: 1,  // Beta(1, 1) prior: an untried genre is a coin toss
+  priorFailures: 1,
+  successActions: ['loved', 'liked'],
+  failureActions: ['disliked', 'not_seen']
+};
+
+// One arm per genre dimension, in schema order so sampling order is stable
+const GENRE_ARMS = Object.keys(FEATURE_DIMENSIONS).filter(dimension => dimension.startsWith('genre_'));
+
+/**
+ * Seed for one generation of a user's queue
+ * @param {string} userId - User ID
+ * @param {number} generation - Queue generation (incremented on every rebuild)
+ * @returns {string} Seed persisted in recommendations.metadata.explorationSeed
+ */
+function explorationSeed(userId, generation) {
+  return `${userId}:${generation}`;
+}
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {string} seed - Any string; hashed to 32 bits
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRng(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box-Muller
+function sampleNormal(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Gamma(shape, 1) via Marsaglia-Tsang
+function sampleGamma(shape, rng) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, rng) * Math.pow(1 - rng(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  while (true) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = 1 - rng();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Draw from Beta(alpha, beta)
+ * @param {number} alpha - Successes plus prior
+ * @param {number} beta - Failures plus prior
+ * @param {Function} rng - Seeded PRNG
+ * @returns {number} Sample in (0, 1)
+ */
+function sampleBeta(alpha, beta, rng) {
+  const x = sampleGamma(alpha, rng);
+  const y = sampleGamma(beta, rng);
+  return x / (x + y);
+}
+
+/**
+ * Record a gesture against the genre arms of the movie
+ * Seen carries no verdict and leaves the arms unchanged.
+ * @param {Object} arms - genre -> { successes, failures } (userPreferences.explorationArms)
+ * @param {Object} movieFeatures - Feature vector of the movie
+ * @param {string} action - Gesture
+ * @param {number} delta - 1 to record the gesture, -1 to take it back after an undo
+ * @returns {Object} Updated arms
+ */
+function updateGenreArms(arms = {}, movieFeatures, action, delta = 1) {
+  const updated = { ...arms };
+  const isSuccess = EXPLORATION_CONFIG.successActions.includes(action);
+  const isFailure = EXPLORATION_CONFIG.failureActions.includes(action);
+
+  if (!isSuccess && !isFailure) {
+    return updated;
+  }
+
+  GENRE_ARMS.forEach(genre => {
+    if ((movieFeatures[genre] || 0) <= 0) {
+      return;
+    }
+    const arm = updated[genre] || { successes: 0, failures: 0 };
+    updated[genre] = {
+      successes: Math.max(0, arm.successes + (isSuccess ? delta : 0)),
+      failures: Math.max(0, arm.failures + (isFailure ? delta : 0))
+    };
+  });
+
+  return updated;
+}
+
+/**
+ * Shrink every arm's counts after a period without swipes
+ * Keeps the arms in step with the decayed preference vector, so old verdicts
+ * stop pinning the posteriors and exploration widens again.
+ * @param {Object} arms - genre -> { successes, failures }
+ * @param {number} multiplier - From getTemporalDecayMultiplier
+ * @returns {Object} Decayed arms
+ */
+function decayGenreArms(arms = {}, multiplier = 1) {
+  const decayed = {};
+  for (const genre in arms) {
+    decayed[genre] = {
+      successes: arms[genre].successes * multiplier,
+      failures: arms[genre].failures * multiplier
+    };
+  }
+  return decayed;
+}
+
+/**
+ * Thompson sample every genre arm once
+ * @param {Object} arms - genre -> { successes, failures }
+ * @param {Function} rng - Seeded PRNG
+ * @returns {Object} genre -> sampled like probability
+ */
+function sampleGenreArms(arms = {}, rng) {
+  const samples = {};
+
+  GENRE_ARMS.forEach(genre => {
+    const arm = arms[genre] || { successes: 0, failures: 0 };
+    samples[genre] = sampleBeta(
+      EXPLORATION_CONFIG.priorSuccesses + arm.successes,
+      EXPLORATION_CONFIG.priorFailures + arm.failures,
+      rng
+    );
+  });
+
+  return samples;
+}
+
+/**
+ * Pick exploration movies by Thompson sampling over genre arms
+ * For each slot every arm is sampled; the best-scoring unpicked movie from the
+ * winning genre is taken (falling back to the next arm if that genre is empty).
+ * @param {Array} candidates - [{ movieId, score, features }]
+ * @param {Object} arms - genre -> { successes, failures }
+ * @param {number} count - Exploration slots to fill
+ * @param {Function} rng - Seeded PRNG
+ * @returns {Array} [{ item, arm, sample }] in pick order
+ */
+function selectExplorationMovies(candidates, arms, count, rng) {
+  const ranked = [...candidates].sort((a, b) =>
+    b.score - a.score || String(a.movieId).localeCompare(String(b.movieId))
+  );
+  const picked = new Set();
+  const picks = [];
+
+  for (let slot = 0; slot < count; slot++) {
+    const samples = sampleGenreArms(arms, rng);
+    const armOrder = GENRE_ARMS.slice().sort((a, b) => samples[b] - samples[a]);
+
+    let pick = null;
+    for (const arm of armOrder) {
+      const item = ranked.find(candidate =>
+        !picked.has(candidate.movieId) && (candidate.features[arm] || 0) > 0
+      );
+      if (item) {
+        pick = { item, arm, sample: samples[arm] };
+        break;
+      }
+    }
+
+    if (!pick) {
+      break;
+    }
+
+    picked.add(pick.item.movieId);
+    picks.push(pick);
+  }
+
+  return picks;
+}
+
+/**
+ * Spread exploration picks evenly through the exploitation ranking
+ * @param {Array} exploitation - Items in ranked order
+ * @param {Array} explorationItems - Items in pick order
+ * @returns {Array} Merged queue
+ */
+function interleaveExploration(exploitation, explorationItems) {
+  const total = exploitation.length + explorationItems.length;
+  const slots = new Set(
+    explorationItems.map((_, index) => Math.round((index + 1) * total / (explorationItems.length + 1)) - 1)
+  );
+
+  const queue = [];
+  let exploitIndex = 0;
+  let exploreIndex = 0;
+  for (let position = 0; position < total; position++) {
+    if ((slots.has(position) && exploreIndex < explorationItems.length) || exploitIndex >= exploitation.length) {
+      queue.push(explorationItems[exploreIndex++]);
+    } else {
+      queue.push(exploitation[exploitIndex++]);
+    }
+  }
+
+  return queue;
+}
+
+module.exports = {
+  EXPLORATION_CONFIG,
+  GENRE_ARMS,
+  explorationSeed,
+  createRng,
+  sampleBeta,
+  updateGenreArms,
+  decayGenreArms,
+  sampleGenreArms,
+  selectExplorationMovies,
+  interleaveExploration
+};
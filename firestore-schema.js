@@ -26,8 +26,9 @@ const collections = {
         type: 'map',
         fields: {
           explorationRate: { type: 'number', default: 0.15 },
-          minQueueSize: { type: 'number', default: 50 },
-          refreshInterval: { type: 'number', default: 5 }, // swipes
+          minQueueSize: { type: 'number', default: 20 }, // top up below this many queued movies
+          refreshInterval: { type: 'number', default: 5 }, // swipes between queue maintenance checks
+          diversity: { type: 'number', default: 0.3 }, // 0 = rank by score, 1 = maximise variety (MMR)
         }
       },
       
@@ -37,7 +38,7 @@ const collections = {
         fields: {
           totalSwipes: { type: 'number', default: 0 },
           likeRatio: { type: 'number', default: 0 },
-          lastSwipeAt: { type: 'timestamp', required: false },
+          lastSwipeAt: { type: 'timestamp', required: false }, // Preference vector is as of this swipe; decay runs from here
           swipesByAction: {
             type: 'map',
             fields: {
@@ -66,6 +67,8 @@ const collections = {
       releaseDate: { type: 'string', required: true },
       voteAverage: { type: 'number', required: true },
       voteCount: { type: 'number', required: true },
+      weightedRating: { type: 'number', required: false }, // Bayesian weighted rating (0-10)
+      ratingPriorVersion: { type: 'string', required: false }, // catalogStats.ratingPrior used for weightedRating
       popularity: { type: 'number', required: true },
       runtime: { type: 'number', required: false },
       
@@ -73,23 +76,66 @@ const collections = {
       genreIds: { type: 'array', items: 'number', required: true },
       genres: { type: 'array', items: 'string', required: true },
       
-      // Feature vector for recommendations (6 dimensions)
+      // Feature vector for recommendations (41 dimensions, schema v3)
       featureVector: {
         type: 'map',
         required: true,
         fields: {
+          // Genres (one per TMDB genre)
           genre_action: { type: 'number', range: [0, 1] },
+          genre_adventure: { type: 'number', range: [0, 1] },
+          genre_animation: { type: 'number', range: [0, 1] },
           genre_comedy: { type: 'number', range: [0, 1] },
+          genre_crime: { type: 'number', range: [0, 1] },
+          genre_documentary: { type: 'number', range: [0, 1] },
           genre_drama: { type: 'number', range: [0, 1] },
+          genre_family: { type: 'number', range: [0, 1] },
+          genre_fantasy: { type: 'number', range: [0, 1] },
+          genre_history: { type: 'number', range: [0, 1] },
           genre_horror: { type: 'number', range: [0, 1] },
+          genre_music: { type: 'number', range: [0, 1] },
+          genre_mystery: { type: 'number', range: [0, 1] },
           genre_romance: { type: 'number', range: [0, 1] },
           genre_scifi: { type: 'number', range: [0, 1] },
-          popularity_normalized: { type: 'number', range: [0, 1] },
-          recency_score: { type: 'number', range: [0, 1] }, // Based on release date
-          rating_normalized: { type: 'number', range: [0, 1] } // voteAverage / 10
+          genre_tv_movie: { type: 'number', range: [0, 1] },
+          genre_thriller: { type: 'number', range: [0, 1] },
+          genre_war: { type: 'number', range: [0, 1] },
+          genre_western: { type: 'number', range: [0, 1] },
+          // Runtime buckets (one-hot): <90, 90-119, 120-149, 150+ minutes
+          runtime_short: { type: 'number', range: [0, 1] },
+          runtime_standard: { type: 'number', range: [0, 1] },
+          runtime_long: { type: 'number', range: [0, 1] },
+          runtime_epic: { type: 'number', range: [0, 1] },
+          // Original language groups (one-hot)
+          language_english: { type: 'number', range: [0, 1] },
+          language_european: { type: 'number', range: [0, 1] },
+          language_east_asian: { type: 'number', range: [0, 1] },
+          language_south_asian: { type: 'number', range: [0, 1] },
+          language_other: { type: 'number', range: [0, 1] },
+          // Release era (one-hot)
+          era_classic: { type: 'number', range: [0, 1] }, // before 1960
+          era_1960s: { type: 'number', range: [0, 1] },
+          era_1970s: { type: 'number', range: [0, 1] },
+          era_1980s: { type: 'number', range: [0, 1] },
+          era_1990s: { type: 'number', range: [0, 1] },
+          era_2000s: { type: 'number', range: [0, 1] },
+          era_2010s: { type: 'number', range: [0, 1] },
+          era_2020s: { type: 'number', range: [0, 1] },
+          // Content
+          popularity_normalized: { type: 'number', range: [0, 1] }, // catalog percentile
+          vote_count_normalized: { type: 'number', range: [0, 1] }, // catalog percentile
+          recency_score: { type: 'number', range: [0, 1] }, // Snapshot; scorers re-derive from releaseDate
+          rating_normalized: { type: 'number', range: [0, 1] }, // weightedRating / 10
+          cult_score: { type: 'number', range: [0, 1] } // well rated but niche
         }
       },
       
+      // Version of movieToFeatureVector that produced featureVector
+      featureVersion: { type: 'number', required: true },
+      
+      // Diagnostic golden set title; hydrated by scripts/populate-diagnostic-set.js
+      diagnosticSeed: { type: 'boolean', required: false },
+      
       // Recommendation metadata
       recommendationData: {
         type: 'map',
@@ -111,31 +157,98 @@ const collections = {
     fields: {
       userId: { type: 'string', required: true },
       
-      // Preference vector (matches movie feature dimensions)
+      // Preference vector (matches movie feature dimensions, range [-1, 1])
+      // v1 (9-dimension) vectors are upgraded on read by upgradePreferenceVector
       preferenceVector: {
         type: 'map',
         required: true,
         fields: {
+          // Genres (one per TMDB genre)
           genre_action: { type: 'number', default: 0 },
+          genre_adventure: { type: 'number', default: 0 },
+          genre_animation: { type: 'number', default: 0 },
           genre_comedy: { type: 'number', default: 0 },
+          genre_crime: { type: 'number', default: 0 },
+          genre_documentary: { type: 'number', default: 0 },
           genre_drama: { type: 'number', default: 0 },
+          genre_family: { type: 'number', default: 0 },
+          genre_fantasy: { type: 'number', default: 0 },
+          genre_history: { type: 'number', default: 0 },
           genre_horror: { type: 'number', default: 0 },
+          genre_music: { type: 'number', default: 0 },
+          genre_mystery: { type: 'number', default: 0 },
           genre_romance: { type: 'number', default: 0 },
           genre_scifi: { type: 'number', default: 0 },
+          genre_tv_movie: { type: 'number', default: 0 },
+          genre_thriller: { type: 'number', default: 0 },
+          genre_war: { type: 'number', default: 0 },
+          genre_western: { type: 'number', default: 0 },
+          // Runtime buckets (one-hot): <90, 90-119, 120-149, 150+ minutes
+          runtime_short: { type: 'number', default: 0 },
+          runtime_standard: { type: 'number', default: 0 },
+          runtime_long: { type: 'number', default: 0 },
+          runtime_epic: { type: 'number', default: 0 },
+          // Original language groups (one-hot)
+          language_english: { type: 'number', default: 0 },
+          language_european: { type: 'number', default: 0 },
+          language_east_asian: { type: 'number', default: 0 },
+          language_south_asian: { type: 'number', default: 0 },
+          language_other: { type: 'number', default: 0 },
+          // Release era (one-hot)
+          era_classic: { type: 'number', default: 0 }, // before 1960
+          era_1960s: { type: 'number', default: 0 },
+          era_1970s: { type: 'number', default: 0 },
+          era_1980s: { type: 'number', default: 0 },
+          era_1990s: { type: 'number', default: 0 },
+          era_2000s: { type: 'number', default: 0 },
+          era_2010s: { type: 'number', default: 0 },
+          era_2020s: { type: 'number', default: 0 },
+          // Content
           popularity_normalized: { type: 'number', default: 0 },
-          recency_score: { type: 'number', default: 0 },
-          rating_normalized: { type: 'number', default: 0 }
+          vote_count_normalized: { type: 'number', default: 0 },
+          recency_score: { type: 'number', default: 0 }, // Based on release date
+          rating_normalized: { type: 'number', default: 0 }, // weightedRating / 10
+          cult_score: { type: 'number', default: 0 } // well rated but niche
         }
       },
       
+      // FEATURE_VERSION the preference vector was last written under
+      featureVersion: { type: 'number', required: true },
+      
       // Learning parameters
       learningMetadata: {
         type: 'map',
         fields: {
-          learningRate: { type: 'number', default: 0.1 },
-          decayFactor: { type: 'number', default: 0.95 },
+          // Optional admin overrides; OptimizationConfig.learning applies when absent
+          learningRate: { type: 'number', required: false },
+          decayFactor: { type: 'number', required: false },
+          minimumLearningRate: { type: 'number', required: false },
+          convergenceThreshold: { type: 'number', required: false },
+          maxVectorMagnitude: { type: 'number', required: false },
+          preferenceHalfLifeDays: { type: 'number', required: false }, // Temporal decay half-life, 0 disables
+          cohort: { type: 'string', required: false }, // Tuning cohort set by updateLearningParameters
+          effectiveLearningRate: { type: 'number', required: false }, // After decay and minimum
           totalUpdates: { type: 'number', default: 0 },
-          modelConfidence: { type: 'number', default: 0 } // 0-1 based on interaction count
+          modelConfidence: { type: 'number', default: 0 }, // 0-1 based on interaction count
+          rebuiltAt: { type: 'timestamp', required: false } // Last rebuild by history replay
+        }
+      },
+      
+      // Thompson sampling arms: genre -> { successes, failures } from loved/liked vs disliked/not_seen
+      explorationArms: { type: 'map', required: false },
+      
+      // Diagnostic onboarding (onboarding.js), set by generateInitialRecommendations
+      onboarding: {
+        type: 'map',
+        required: false,
+        fields: {
+          status: { type: 'string', enum: ['diagnostic', 'complete'] },
+          deck: { type: 'array', items: 'string' }, // Diagnostic movie IDs in the catalog, in serving order
+          answered: { type: 'array', items: 'string' },
+          diagnosticSwipes: { type: 'number', default: 0 },
+          required: { type: 'number' }, // Diagnostic swipes before the handoff to the normal queue
+          startedAt: { type: 'timestamp' },
+          completedAt: { type: 'timestamp', required: false }
         }
       },
       
@@ -163,6 +276,7 @@ const collections = {
           gestureWeight: { type: 'number', required: true },
           explorationBonus: { type: 'number', default: 0 },
           finalScore: { type: 'number', required: true },
+          diagnostic: { type: 'boolean', default: false }, // Learned at the onboarding rate
           preferenceVectorBefore: { type: 'map', required: true },
           preferenceVectorAfter: { type: 'map', required: true }
         }
@@ -174,10 +288,24 @@ const collections = {
         fields: {
           queuePosition: { type: 'number', required: false },
           sessionId: { type: 'string', required: false },
-          platform: { type: 'string', required: false } // ios/android/web
+          platform: { type: 'string', required: false }, // ios/android/web
+          source: { 
+            type: 'string', 
+            required: false,
+            enum: ['app', 'face_off', 'simple_server', 'legacy_swipes']
+          },
+          experiments: { type: 'map', required: false }, // experimentId -> variantId, set server-side
+          originalAction: { type: 'string', required: false }, // raw client action before normalisation
+          legacySwipeId: { type: 'string', required: false }, // set on migrated swipes
+          correctionOf: { type: 'string', required: false } // interaction a rating change replaced
         }
       },
       
+      // Set server-side when an undo or rating change takes the swipe back;
+      // revoked interactions stay for audit but no longer count
+      revokedAt: { type: 'timestamp', required: false },
+      revokedBy: { type: 'string', required: false }, // interactionCorrections document ID
+      
       timestamp: { type: 'timestamp', required: true }
     }
   },
@@ -199,8 +327,11 @@ const collections = {
             score: { type: 'number', required: true },
             reason: { 
               type: 'string', 
-              enum: ['preference_match', 'trending', 'exploration', 'category_match'] 
+              enum: ['preference_match', 'trending', 'exploration', 'category_match', 'similar_users', 'diagnostic'] 
             },
+            // { reason, summary, details: string[], topFeatures: [{ dimension, label, contribution }],
+            //   similarMovies: [{ movieId, title, action, similarity }] } from explanations.js
+            explanation: { type: 'map', required: false },
             position: { type: 'number', required: true }
           }
         }
@@ -211,10 +342,19 @@ const collections = {
         type: 'map',
         fields: {
           generatedAt: { type: 'timestamp', required: true },
-          algorithm: { type: 'string', default: 'collaborative_content_v1' },
+          algorithm: { type: 'string', default: 'collaborative_content_v2' },
+          experiments: { type: 'map', required: false }, // experimentId -> variantId
           totalMoviesScored: { type: 'number', required: true },
+          candidateSources: { type: 'map', required: false }, // source -> candidates it contributed
           averageScore: { type: 'number', required: true },
-          explorationRate: { type: 'number', required: true }
+          explorationRate: { type: 'number', required: true },
+          generation: { type: 'number', required: false }, // incremented on every rebuild
+          explorationSeed: { type: 'string', required: false }, // `${userId}:${generation}`; replays the exploration draws
+          explorationGenres: { type: 'array', required: false }, // genre arm behind each exploration pick
+          collaborativeWeight: { type: 'number', required: false }, // share of score from item-item signal
+          scorer: { type: 'string', required: false }, // SCORER_VERSIONS key the queue was scored with
+          diversity: { type: 'number', required: false }, // MMR trade-off used for this queue
+          toppedUpAt: { type: 'timestamp', required: false } // last incremental top-up since generatedAt
         }
       },
       
@@ -222,13 +362,129 @@ const collections = {
       nextRefresh: {
         type: 'map',
         fields: {
-          afterSwipes: { type: 'number', default: 5 },
+          afterSwipes: { type: 'number', default: 5 }, // the user's refreshInterval
           scheduledAt: { type: 'timestamp', required: false }
         }
       },
       
       updatedAt: { type: 'timestamp', required: true }
     }
+  },
+
+  // 6. ITEM SIMILARITIES COLLECTION (Collaborative filtering model)
+  itemSimilarities: {
+    documentId: 'movieId',
+    fields: {
+      movieId: { type: 'string', required: true },
+      
+      // Most similar movies by co-likes, rebuilt daily by updateCollaborativeModel
+      neighbours: {
+        type: 'map',
+        required: true,
+        description: 'movieId -> similarity (0-1)'
+      },
+      
+      updatedAt: { type: 'timestamp', required: true }
+    }
+  },
+
+  // 7. CONFIG COLLECTION (Catalog-wide settings computed by scheduled jobs)
+  config: {
+    documentId: 'catalogStats',
+    fields: {
+      // Percentile breakpoints p0..p100, rebuilt daily by updateCatalogStats
+      popularity: { type: 'array', items: 'number', required: true },
+      voteCount: { type: 'array', items: 'number', required: true },
+      // Weighted rating prior: catalog mean vote average and minimum votes
+      ratingPrior: {
+        type: 'map',
+        fields: {
+          mean: { type: 'number', required: true },
+          minVotes: { type: 'number', required: true }
+        }
+      },
+      movieCount: { type: 'number', required: true },
+      computedAt: { type: 'timestamp', required: true }
+    }
+  },
+
+  // 8. BACKFILL JOBS COLLECTION (Resumable feature vector backfills)
+  backfillJobs: {
+    documentId: 'jobId', // e.g. movieFeatures_v1, preferenceVectors_v1
+    fields: {
+      jobId: { type: 'string', required: true },
+      collection: { type: 'string', required: true, enum: ['movies', 'userPreferences'] },
+      featureVersion: { type: 'number', required: true },
+      status: { type: 'string', required: true, enum: ['running', 'completed'] },
+      pass: { type: 'number', default: 1 }, // completed jobs restart daily to catch new docs
+      cursor: { type: 'string', required: false }, // last processed document ID
+      scanned: { type: 'number', default: 0 },
+      updated: { type: 'number', default: 0 },
+      skipped: { type: 'number', default: 0 },
+      errors: { type: 'number', default: 0 },
+      startedAt: { type: 'timestamp', required: true },
+      completedAt: { type: 'timestamp', required: false },
+      updatedAt: { type: 'timestamp', required: true }
+    }
+  },
+
+  // 9. EXPERIMENT METRICS COLLECTION (Per-variant results, registry in experiments.js)
+  experimentMetrics: {
+    documentId: 'experimentId',
+    fields: {
+      experimentId: { type: 'string', required: true },
+      description: { type: 'string', required: false },
+      active: { type: 'boolean', required: true },
+      // variantId -> { users, interactions, actions, likeRatio, dislikeRatio,
+      //                interactionsPerUser, activeDaysPerUser }
+      variants: { type: 'map', required: true },
+      interactionCount: { type: 'number', required: true },
+      computedAt: { type: 'timestamp', required: true }
+    }
+  },
+
+  // 10. CANDIDATE POOLS COLLECTION (Precomputed by updateCandidatePools)
+  candidatePools: {
+    documentId: 'poolId', // popular, recent, golden_set or {genre}__{era}, e.g. genre_crime__era_1970s
+    fields: {
+      source: {
+        type: 'string',
+        required: true,
+        enum: ['popular', 'recent', 'golden_set', 'genre_pool']
+      },
+      genre: { type: 'string', required: false }, // genre pools only
+      era: { type: 'string', required: false },
+      // Compact movie entries: { id, featureVector, featureVersion, releaseDate, popularity,
+      //   voteAverage, voteCount, weightedRating, genres }
+      movies: { type: 'array', items: 'map', required: true },
+      movieCount: { type: 'number', required: true },
+      computedAt: { type: 'timestamp', required: true }
+    }
+  },
+
+  // 11. INTERACTION CORRECTIONS COLLECTION (Undo and rating changes, written by Cloud Functions)
+  interactionCorrections: {
+    documentId: 'auto-generated',
+    fields: {
+      userId: { type: 'string', required: true },
+      interactionId: { type: 'string', required: true }, // revoked interaction
+      movieId: { type: 'string', required: true },
+      kind: {
+        type: 'string',
+        required: true,
+        enum: ['undo', 'change_rating']
+      },
+      previousAction: { type: 'string', required: true },
+      newAction: { type: 'string', required: false }, // change_rating only
+      replacementInteractionId: { type: 'string', required: false }, // change_rating only
+      // snapshot: restored from preferenceVectorBefore; replay: rebuilt from remaining history
+      rollback: {
+        type: 'string',
+        required: true,
+        enum: ['snapshot', 'replay']
+      },
+      createdAt: { type: 'timestamp', required: true }
+    }
   }
 };
 
@@ -248,6 +504,14 @@ const indexes = [
       { field: 'movieId', order: 'ASCENDING' }
     ]
   },
+  {
+    collection: 'interactions',
+    fields: [
+      { field: 'userId', order: 'ASCENDING' },
+      { field: 'movieId', order: 'ASCENDING' },
+      { field: 'timestamp', order: 'DESCENDING' }
+    ]
+  },
   {
     collection: 'interactions',
     fields: [
@@ -268,6 +532,13 @@ const indexes = [
       { field: 'recommendationData.totalInteractions', order: 'DESCENDING' },
       { field: 'popularity', order: 'DESCENDING' }
     ]
+  },
+  {
+    collection: 'movies',
+    fields: [
+      { field: 'genreIds', arrayConfig: 'CONTAINS' },
+      { field: 'weightedRating', order: 'DESCENDING' }
+    ]
   }
 ];
 
@@ -280,7 +551,8 @@ const sampleData = {
     recommendationSettings: {
       explorationRate: 0.15,
       minQueueSize: 50,
-      refreshInterval: 5
+      refreshInterval: 5,
+      diversity: 0.3
     },
     stats: {
       totalSwipes: 0,
@@ -300,19 +572,19 @@ const sampleData = {
   userPreference: {
     userId: 'testUserId',
     preferenceVector: {
+      // Every FEATURE_DIMENSIONS key from scoring-system.js, initialized to 0
       genre_action: 0,
       genre_comedy: 0,
-      genre_drama: 0,
       genre_horror: 0,
-      genre_romance: 0,
-      genre_scifi: 0,
+      runtime_standard: 0,
+      language_english: 0,
+      era_1990s: 0,
       popularity_normalized: 0,
       recency_score: 0,
-      rating_normalized: 0
+      rating_normalized: 0,
+      cult_score: 0
     },
     learningMetadata: {
-      learningRate: 0.1,
-      decayFactor: 0.95,
       totalUpdates: 0,
       modelConfidence: 0
     },
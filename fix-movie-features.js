@@ -33,15 +33,15 @@ async function fixMovieFeatures() {
     let errorCount = 0;
     
     // Process movies in batches
-    const batch = db.batch();
+    let batch = db.batch();
     let batchCount = 0;
     const batchSize = 500;
     
     for (const doc of moviesSnapshot.docs) {
       const movie = doc.data();
       
-      // Skip if already has feature vector
-      if (movie.featureVector) {
+      // Skip if feature vector is already from the current formula
+      if (scoringSystem.isFeatureVectorCurrent(movie)) {
         continue;
       }
       
@@ -52,6 +52,9 @@ async function fixMovieFeatures() {
         // Update the movie document
         batch.update(doc.ref, {
           featureVector: featureVector,
+          featureVersion: scoringSystem.FEATURE_VERSION,
+          weightedRating: scoringSystem.calculateWeightedRating(movie.voteAverage, movie.voteCount),
+          ratingPriorVersion: scoringSystem.ratingPriorVersion(),
           updatedAt: admin.firestore.Timestamp.now()
         });
         
@@ -62,6 +65,7 @@ async function fixMovieFeatures() {
         if (batchCount >= batchSize) {
           await batch.commit();
           console.log(`✅ Updated batch of ${batchCount} movies`);
+          batch = db.batch();
           batchCount = 0;
         }
         
@@ -0,0 +1,37 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+
+// ===== HELPER FUNCTION: Require Admin =====
+// Admins carry the `admin: true` custom claim (see scripts/set-admin-claim.js)
+export function requireAdmin(context: functions.https.CallableContext): void {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  if (context.auth.token.admin !== true) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Admin privileges required'
+    );
+  }
+}
+
+// ===== HELPER FUNCTION: Verify Request User =====
+// HTTP functions take the caller from a Firebase ID token sent as
+// `Authorization: Bearer <token>`, never from the request body
+export async function verifyRequestUser(req: functions.https.Request): Promise<string | null> {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) {
+    return null;
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(match[1]);
+    return decoded.uid;
+  } catch (error) {
+    return null;
+  }
+}
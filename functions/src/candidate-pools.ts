@@ -0,0 +1,116 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+import { loadCatalogStats } from './catalog-stats';
+import { OptimizationConfig, movieFeatureCache, performanceMonitor } from './optimization-config';
+
+// Import candidate generation
+const candidateGeneration = require('../../candidate-generation.js');
+
+const db = admin.firestore();
+
+// Pool documents can approach 400KB, so keep write batches well under the request limit
+const POOL_WRITE_BATCH_SIZE = 20;
+
+// Firestore's limit on writes in one batch; deletes carry no payload
+const DELETE_BATCH_SIZE = 500;
+
+const poolCacheKey = (poolId: string) => `candidatePool:${poolId}`;
+
+// ===== HELPER FUNCTION: Load Candidate Pools =====
+// Pools are shared by every user, so they are cached like catalog stats.
+// Pools the job has not written yet come back as null.
+export async function loadCandidatePools(poolIds: string[]): Promise<Record<string, any[] | null>> {
+  const pools: Record<string, any[] | null> = {};
+  const uncached: string[] = [];
+
+  poolIds.forEach(poolId => {
+    const cached = movieFeatureCache.get(poolCacheKey(poolId));
+    if (cached) {
+      pools[poolId] = cached as any[];
+    } else {
+      uncached.push(poolId);
+    }
+  });
+
+  if (uncached.length > 0) {
+    const docs = await db.getAll(...uncached.map(poolId => db.collection('candidatePools').doc(poolId)));
+    docs.forEach(doc => {
+      if (!doc.exists) {
+        pools[doc.id] = null;
+        return;
+      }
+      const movies = doc.data()!.movies || [];
+      movieFeatureCache.set(poolCacheKey(doc.id), movies, OptimizationConfig.caching.recommendationCacheTTL);
+      pools[doc.id] = movies;
+    });
+  }
+
+  return pools;
+}
+
+// ===== HELPER FUNCTION: Precompute Candidate Pools =====
+// Rebuilds every pool from the catalog and removes pools that are now empty
+export async function precomputeCandidatePools(): Promise<number> {
+  const timer = performanceMonitor.startTimer('precomputeCandidatePools');
+
+  try {
+    const moviesSnapshot = await db.collection('movies')
+      .select(
+        'genreIds', 'genres', 'releaseDate', 'runtime', 'originalLanguage', 'popularity',
+        'voteAverage', 'voteCount', 'weightedRating', 'featureVector', 'featureVersion', 'createdAt'
+      )
+      .get();
+
+    const movies = moviesSnapshot.docs.map(doc => {
+      const data = doc.data();
+      return { id: doc.id, ...data, createdAtMs: data.createdAt?.toMillis() };
+    });
+
+    const pools = candidateGeneration.buildCandidatePools(movies, {
+      now: new Date(),
+      catalogStats: await loadCatalogStats()
+    });
+
+    const computedAt = admin.firestore.Timestamp.now();
+    const poolIds = Object.keys(pools);
+    for (let i = 0; i < poolIds.length; i += POOL_WRITE_BATCH_SIZE) {
+      const batch = db.batch();
+      poolIds.slice(i, i + POOL_WRITE_BATCH_SIZE).forEach(poolId => {
+        batch.set(db.collection('candidatePools').doc(poolId), {
+          ...pools[poolId],
+          movieCount: pools[poolId].movies.length,
+          computedAt
+        });
+      });
+      await batch.commit();
+    }
+
+    const existing = await db.collection('candidatePools').select().get();
+    const stale = existing.docs.filter(doc => !pools[doc.id]);
+    for (let i = 0; i < stale.length; i += DELETE_BATCH_SIZE) {
+      const batch = db.batch();
+      stale.slice(i, i + DELETE_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    timer();
+    return poolIds.length;
+  } catch (error) {
+    timer();
+    throw error;
+  }
+}
+
+// ===== SCHEDULED FUNCTION: Update Candidate Pools =====
+export const updateCandidatePools = functions.pubsub
+  .schedule('every 24 hours')
+  .onRun(async (context) => {
+    console.log('Precomputing candidate pools...');
+
+    try {
+      const poolCount = await precomputeCandidatePools();
+      console.log(`Stored ${poolCount} candidate pools`);
+    } catch (error) {
+      console.error('Error updating candidate pools:', error);
+    }
+  });
@@ -0,0 +1,133 @@
+import * as admin from 'firebase-admin';
+import { loadCandidatePools } from './candidate-pools';
+
+// Import candidate generation
+const candidateGeneration = require('../../candidate-generation.js');
+const exploration = require('../../exploration.js');
+const ingestion = require('../../interaction-ingestion.js');
+
+const db = admin.firestore();
+
+const { CANDIDATE_CONFIG, CANDIDATE_SOURCES, SHARED_POOL_IDS } = candidateGeneration;
+
+// Values per Firestore 'in' query when checking which candidates a user has seen
+const SEEN_QUERY_CHUNK_SIZE = 30;
+
+function toMovies(docs: admin.firestore.DocumentSnapshot[]): any[] {
+  return docs
+    .filter(doc => doc.exists)
+    .map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+async function loadMoviesById(movieIds: string[]): Promise<any[]> {
+  if (movieIds.length === 0) {
+    return [];
+  }
+  const docs = await db.getAll(...movieIds.map(movieId => db.collection('movies').doc(movieId)));
+  return toMovies(docs);
+}
+
+// ===== HELPER FUNCTION: Load Seen Movie IDs =====
+// Checks candidates against the user's interactions without reading the whole history
+export async function loadSeenMovieIds(userId: string, movieIds: string[]): Promise<Set<string>> {
+  const chunks: string[][] = [];
+  for (let i = 0; i < movieIds.length; i += SEEN_QUERY_CHUNK_SIZE) {
+    chunks.push(movieIds.slice(i, i + SEEN_QUERY_CHUNK_SIZE));
+  }
+
+  const snapshots = await Promise.all(chunks.map(chunk =>
+    db.collection('interactions')
+      .where('userId', '==', userId)
+      .where('movieId', 'in', chunk)
+      .select('movieId', 'revokedAt')
+      .get()
+  ));
+
+  // Undone swipes put the movie back in play
+  const seen = new Set<string>();
+  snapshots.forEach(snapshot => snapshot.forEach(doc => {
+    if (ingestion.isActiveInteraction(doc.data())) {
+      seen.add(doc.data().movieId);
+    }
+  }));
+  return seen;
+}
+
+// ===== HELPER FUNCTION: Generate Candidates =====
+// Reads every candidate source in parallel and merges them before scoring:
+// popular head, genre/era pools for the user's strongest genres, the
+// diagnostic golden set, recent imports, collaborative neighbours and
+// long-tail samples drawn from the seeded PRNG. Shared sources come from the
+// precomputed candidatePools documents; each falls back to a live movies
+// query until updateCandidatePools has written it.
+export async function generateCandidates(options: {
+  userPreferences: any;
+  excluded: Set<string>;
+  seed: string;
+  neighbourIds?: (limit: number) => string[];
+}): Promise<{ movies: any[]; sourceCounts: Record<string, number> }> {
+  const { userPreferences, excluded, seed, neighbourIds } = options;
+  const movies = db.collection('movies');
+  const rng = exploration.createRng(`${seed}:candidates`);
+
+  const genres = candidateGeneration.selectPreferredGenres(userPreferences);
+  const genrePoolIds: string[][] = genres.map(({ dimension }: any) =>
+    candidateGeneration.getGenrePoolIds(dimension)
+  );
+  const longTailKeys: string[] = candidateGeneration.drawLongTailKeys(rng);
+
+  const pools = await loadCandidatePools([
+    SHARED_POOL_IDS.popular,
+    SHARED_POOL_IDS.recent,
+    SHARED_POOL_IDS.goldenSet,
+    ...([] as string[]).concat(...genrePoolIds)
+  ]);
+
+  const loadGenrePool = async (genreId: number, poolIds: string[]) => {
+    const eraPools = poolIds.map(poolId => pools[poolId]).filter(Boolean) as any[][];
+    if (eraPools.length > 0) {
+      return candidateGeneration.mergeGenreEraPools(eraPools);
+    }
+    const snapshot = await movies
+      .where('genreIds', 'array-contains', genreId)
+      .orderBy('weightedRating', 'desc')
+      .limit(CANDIDATE_CONFIG.genrePoolLimit)
+      .get();
+    return toMovies(snapshot.docs);
+  };
+
+  const [popular, genrePools, goldenSet, recent, collaborative, longTail] = await Promise.all([
+    pools[SHARED_POOL_IDS.popular] ||
+      movies.orderBy('popularity', 'desc').limit(CANDIDATE_CONFIG.popularLimit).get()
+        .then(snapshot => toMovies(snapshot.docs)),
+    Promise.all(genres.map(({ genreId }: any, index: number) => loadGenrePool(genreId, genrePoolIds[index]))),
+    pools[SHARED_POOL_IDS.goldenSet] ||
+      loadMoviesById(candidateGeneration.getGoldenSetIds()),
+    pools[SHARED_POOL_IDS.recent] ||
+      movies.orderBy('createdAt', 'desc').limit(CANDIDATE_CONFIG.recentLimit).get()
+        .then(snapshot => toMovies(snapshot.docs)),
+    loadMoviesById(neighbourIds ? neighbourIds(CANDIDATE_CONFIG.collaborativeLimit) : []),
+    Promise.all(longTailKeys.map(key =>
+      movies
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .startAt(key)
+        .limit(CANDIDATE_CONFIG.longTailSampleSize)
+        .get()
+        .then(snapshot => toMovies(snapshot.docs))
+    ))
+  ]);
+
+  const merged = candidateGeneration.mergeCandidates({
+    [CANDIDATE_SOURCES.popular]: popular,
+    [CANDIDATE_SOURCES.genrePool]: ([] as any[]).concat(...genrePools),
+    [CANDIDATE_SOURCES.goldenSet]: goldenSet,
+    [CANDIDATE_SOURCES.recent]: recent,
+    [CANDIDATE_SOURCES.collaborative]: collaborative,
+    [CANDIDATE_SOURCES.longTail]: ([] as any[]).concat(...longTail)
+  }, excluded);
+
+  return {
+    movies: merged,
+    sourceCounts: candidateGeneration.countCandidateSources(merged)
+  };
+}
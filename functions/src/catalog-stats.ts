@@ -0,0 +1,69 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+import { OptimizationConfig, movieFeatureCache } from './optimization-config';
+
+// Import scoring system
+const scoringSystem = require('../../scoring-system.js');
+
+const db = admin.firestore();
+
+const CATALOG_STATS_CACHE_KEY = 'catalogStats';
+
+// ===== HELPER FUNCTION: Load Catalog Stats =====
+// Percentile breakpoints and rating prior used by movieToFeatureVector; null until the first job run
+export async function loadCatalogStats(): Promise<any> {
+  const cached = movieFeatureCache.get(CATALOG_STATS_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const statsDoc = await db.collection('config').doc('catalogStats').get();
+  if (!statsDoc.exists) {
+    return null;
+  }
+
+  const stats = statsDoc.data()!;
+  movieFeatureCache.set(
+    CATALOG_STATS_CACHE_KEY,
+    stats,
+    OptimizationConfig.caching.movieFeatureCacheTTL
+  );
+
+  return stats;
+}
+
+// ===== SCHEDULED FUNCTION: Update Catalog Stats =====
+export const updateCatalogStats = functions.pubsub
+  .schedule('every 24 hours')
+  .onRun(async (context) => {
+    console.log('Computing catalog percentile breakpoints and rating prior...');
+
+    try {
+      const moviesSnapshot = await db.collection('movies')
+        .select('popularity', 'voteCount', 'voteAverage')
+        .get();
+
+      const popularity: number[] = [];
+      const voteCount: number[] = [];
+      const ratings: any[] = [];
+      moviesSnapshot.forEach(doc => {
+        const movie = doc.data();
+        popularity.push(movie.popularity || 0);
+        voteCount.push(movie.voteCount || 0);
+        ratings.push({ voteAverage: movie.voteAverage, voteCount: movie.voteCount });
+      });
+
+      await db.collection('config').doc('catalogStats').set({
+        popularity: scoringSystem.computePercentileBreakpoints(popularity),
+        voteCount: scoringSystem.computePercentileBreakpoints(voteCount),
+        ratingPrior: scoringSystem.computeRatingPrior(ratings),
+        movieCount: moviesSnapshot.size,
+        computedAt: admin.firestore.Timestamp.now()
+      });
+
+      console.log(`Stored percentile breakpoints for ${moviesSnapshot.size} movies`);
+
+    } catch (error) {
+      console.error('Error updating catalog stats:', error);
+    }
+  });
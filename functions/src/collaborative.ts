@@ -0,0 +1,111 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+
+// Import collaborative filtering model
+const collaborative = require('../../collaborative-filtering.js');
+const ingestion = require('../../interaction-ingestion.js');
+
+const db = admin.firestore();
+
+// ===== HELPER FUNCTION: Load Collaborative Model =====
+// Reads the stored neighbour lists for the user's most recent rated movies.
+// `score` blends into ranking; `neighbourIds` feeds candidate generation.
+export async function loadCollaborativeModel(
+  interactions: any[]
+): Promise<{
+  score: (movieId: string) => number | null;
+  neighbourIds: (limit: number) => string[];
+}> {
+  const seedRatings = collaborative.selectSeedRatings(interactions);
+  const seedIds = Object.keys(seedRatings);
+
+  if (seedIds.length === 0) {
+    return { score: () => null, neighbourIds: () => [] };
+  }
+
+  const similarityDocs = await db.getAll(
+    ...seedIds.map(movieId => db.collection('itemSimilarities').doc(movieId))
+  );
+
+  const neighbourLists: Record<string, Record<string, number>> = {};
+  similarityDocs.forEach(doc => {
+    if (doc.exists) {
+      neighbourLists[doc.id] = doc.data()!.neighbours || {};
+    }
+  });
+
+  return {
+    score: (movieId: string) => collaborative.calculateCollaborativeScore(
+      seedRatings,
+      neighbourLists,
+      movieId
+    ),
+    neighbourIds: (limit: number) => collaborative.rankNeighbourCandidates(
+      seedRatings,
+      neighbourLists,
+      limit
+    )
+  };
+}
+
+// ===== SCHEDULED FUNCTION: Update Collaborative Model =====
+export const updateCollaborativeModel = functions.pubsub
+  .schedule('every 24 hours')
+  .onRun(async (context) => {
+    console.log('Rebuilding item-item similarities...');
+
+    try {
+      const interactionsSnapshot = await db.collection('interactions')
+        .orderBy('timestamp', 'asc')
+        .select('userId', 'movieId', 'action', 'revokedAt')
+        .get();
+
+      const interactions = interactionsSnapshot.docs
+        .map(doc => doc.data())
+        .filter(ingestion.isActiveInteraction);
+      const neighbours = collaborative.buildItemSimilarities(interactions);
+      const movieIds = Object.keys(neighbours);
+
+      // Movies that lost all their neighbours must not keep serving the old list
+      const existing = await db.collection('itemSimilarities').select().get();
+      const orphaned = existing.docs.filter(doc => !neighbours[doc.id]);
+
+      const timestamp = admin.firestore.Timestamp.now();
+      let batch = db.batch();
+      let batchCount = 0;
+      const countWrite = async () => {
+        batchCount++;
+        if (batchCount === 500) {
+          await batch.commit();
+          batch = db.batch();
+          batchCount = 0;
+        }
+      };
+
+      for (const movieId of movieIds) {
+        batch.set(db.collection('itemSimilarities').doc(movieId), {
+          movieId,
+          neighbours: neighbours[movieId],
+          updatedAt: timestamp
+        });
+        await countWrite();
+      }
+
+      for (const doc of orphaned) {
+        batch.delete(doc.ref);
+        await countWrite();
+      }
+
+      if (batchCount > 0) {
+        await batch.commit();
+      }
+
+      console.log(
+        `Stored neighbours for ${movieIds.length} movies from ${interactions.length} interactions, ` +
+        `removed ${orphaned.length} without neighbours`
+      );
+
+    } catch (error) {
+      console.error('Error updating collaborative model:', error);
+    }
+  });
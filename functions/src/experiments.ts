@@ -0,0 +1,98 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+import { requireAdmin } from './auth';
+
+// Import experiment registry
+const experiments = require('../../experiments.js');
+const ingestion = require('../../interaction-ingestion.js');
+
+const db = admin.firestore();
+
+// ===== HELPER FUNCTION: Compute Experiment Metrics =====
+// Reads only interactions stamped with one of the experiment's variants and
+// stores the per-variant summary in experimentMetrics/{experimentId}
+async function computeExperimentMetrics(experimentId: string): Promise<any> {
+  const experiment = experiments.EXPERIMENTS[experimentId];
+  const variantIds = experiment.variants.map((variant: any) => variant.id);
+
+  const interactionsSnapshot = await db.collection('interactions')
+    .where(`context.experiments.${experimentId}`, 'in', variantIds)
+    .select('userId', 'action', 'timestamp', 'context.experiments', 'revokedAt')
+    .get();
+
+  const interactions = interactionsSnapshot.docs
+    .map(doc => doc.data())
+    .filter(ingestion.isActiveInteraction)
+    .map(data => ({ ...data, timestamp: data.timestamp?.toMillis() }));
+
+  const report = {
+    experimentId,
+    description: experiment.description,
+    active: experiment.active,
+    variants: experiments.computeVariantMetrics(interactions, experimentId),
+    interactionCount: interactions.length,
+    computedAt: admin.firestore.Timestamp.now()
+  };
+
+  await db.collection('experimentMetrics').doc(experimentId).set(report);
+
+  return report;
+}
+
+// ===== CLOUD FUNCTION: Get Experiment Metrics =====
+// Admin only. Recomputes metrics for one experiment, or every active one
+export const getExperimentMetrics = functions.https.onCall(
+  async (data, context) => {
+    requireAdmin(context);
+
+    const experimentIds: string[] = data?.experimentId
+      ? [data.experimentId]
+      : Object.keys(experiments.EXPERIMENTS)
+        .filter(experimentId => experiments.EXPERIMENTS[experimentId].active);
+
+    const unknown = experimentIds.filter(experimentId => !experiments.EXPERIMENTS[experimentId]);
+    if (unknown.length > 0) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Unknown experiment: ${unknown.join(', ')}`
+      );
+    }
+
+    try {
+      const reports = await Promise.all(experimentIds.map(computeExperimentMetrics));
+
+      return {
+        experiments: reports.map(report => ({
+          ...report,
+          computedAt: report.computedAt.toDate().toISOString()
+        }))
+      };
+
+    } catch (error) {
+      console.error('Error computing experiment metrics:', error);
+      throw new functions.https.HttpsError(
+        'internal',
+        'Failed to compute experiment metrics'
+      );
+    }
+  }
+);
+
+// ===== SCHEDULED FUNCTION: Update Experiment Metrics =====
+export const updateExperimentMetrics = functions.pubsub
+  .schedule('every 24 hours')
+  .onRun(async (context) => {
+    const activeIds = Object.keys(experiments.EXPERIMENTS)
+      .filter(experimentId => experiments.EXPERIMENTS[experimentId].active);
+
+    console.log(`Computing metrics for ${activeIds.length} active experiments...`);
+
+    for (const experimentId of activeIds) {
+      try {
+        const report = await computeExperimentMetrics(experimentId);
+        console.log(`Experiment ${experimentId}: ${report.interactionCount} interactions`);
+      } catch (error) {
+        console.error(`Error updating metrics for experiment ${experimentId}:`, error);
+      }
+    }
+  });
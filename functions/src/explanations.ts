@@ -0,0 +1,124 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+
+// Import scoring system and explanations
+const scoringSystem = require('../../scoring-system.js');
+const explanations = require('../../explanations.js');
+const ingestion = require('../../interaction-ingestion.js');
+
+const db = admin.firestore();
+
+// Latest interactions searched for loved/liked anchors when explaining on demand
+const EXPLANATION_INTERACTION_LIMIT = 100;
+
+// ===== HELPER FUNCTION: Load Explanation Anchors =====
+// The user's most recent loved/liked movies with titles and feature vectors
+export async function loadExplanationAnchors(interactions: any[]): Promise<any[]> {
+  const anchorInteractions = explanations.selectAnchorInteractions(interactions);
+  if (anchorInteractions.length === 0) {
+    return [];
+  }
+
+  const movieDocs = await db.getAll(
+    ...anchorInteractions.map((anchor: any) => db.collection('movies').doc(anchor.movieId))
+  );
+
+  return anchorInteractions
+    .map((anchor: any, index: number) => {
+      const movieDoc = movieDocs[index];
+      if (!movieDoc.exists) {
+        return null;
+      }
+      const movie = movieDoc.data()!;
+      return {
+        ...anchor,
+        title: movie.title,
+        features: scoringSystem.getScoringFeatures(movie)
+      };
+    })
+    .filter(Boolean);
+}
+
+// ===== CLOUD FUNCTION: Get Recommendation Explanation =====
+// Returns the structured explanation for a movie in the caller's queue.
+// Queues built before explanations existed are explained on demand.
+export const getRecommendationExplanation = functions.https.onCall(
+  async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'User must be authenticated'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const movieId = data?.movieId ? String(data.movieId) : null;
+
+    if (!movieId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'movieId is required'
+      );
+    }
+
+    const recommendationsDoc = await db.collection('recommendations').doc(userId).get();
+    const entry = (recommendationsDoc.data()?.queue || [])
+      .find((item: any) => item.movieId === movieId);
+
+    if (!entry) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Movie ${movieId} is not in the recommendation queue`
+      );
+    }
+
+    try {
+      let explanation = entry.explanation;
+
+      if (!explanation) {
+        const [userPrefDoc, movieDoc, interactionsSnapshot] = await Promise.all([
+          db.collection('userPreferences').doc(userId).get(),
+          db.collection('movies').doc(movieId).get(),
+          db.collection('interactions')
+            .where('userId', '==', userId)
+            .orderBy('timestamp', 'desc')
+            .limit(EXPLANATION_INTERACTION_LIMIT)
+            .get()
+        ]);
+
+        const userPreferences = scoringSystem.upgradePreferenceVector(
+          userPrefDoc.exists ? userPrefDoc.data()!.preferenceVector : undefined
+        );
+        const movieFeatures = movieDoc.exists
+          ? scoringSystem.getScoringFeatures(movieDoc.data()!)
+          : {};
+        const interactions = interactionsSnapshot.docs
+          .map(doc => doc.data())
+          .filter(ingestion.isActiveInteraction)
+          .reverse();
+
+        explanation = explanations.buildExplanation({
+          userPreferences,
+          movieFeatures,
+          reason: entry.reason,
+          anchors: await loadExplanationAnchors(interactions)
+        });
+      }
+
+      return {
+        movieId,
+        position: entry.position,
+        score: entry.score,
+        reason: entry.reason,
+        explanation
+      };
+
+    } catch (error) {
+      console.error('Error explaining recommendation:', error);
+      throw new functions.https.HttpsError(
+        'internal',
+        'Failed to explain recommendation'
+      );
+    }
+  }
+);
@@ -0,0 +1,258 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+import { OptimizationConfig } from './optimization-config';
+import { loadCatalogStats } from './catalog-stats';
+import { requireAdmin } from './auth';
+
+// Import scoring system
+const scoringSystem = require('../../scoring-system.js');
+
+const db = admin.firestore();
+
+// Leave headroom under the function timeout for the final progress write
+const BACKFILL_TIME_BUDGET_MS = (OptimizationConfig.functions.timeoutSeconds - 15) * 1000;
+
+// Completed passes are restarted after this long so newly imported movies are picked up
+const BACKFILL_REPASS_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+interface BackfillJob {
+  jobId: string;
+  collection: string;
+  isCurrent: (data: any, jobContext: any) => boolean;
+  transform: (data: any, jobContext: any) => Record<string, any>;
+  loadContext?: () => Promise<any>;
+}
+
+// ===== BACKFILL JOBS =====
+// Job IDs embed the feature version, so bumping FEATURE_VERSION starts a fresh job.
+// Movies are also stale once updateCatalogStats moves the rating prior; the
+// daily re-pass picks those up.
+const movieFeaturesJob: BackfillJob = {
+  jobId: `movieFeatures_v${scoringSystem.FEATURE_VERSION}`,
+  collection: 'movies',
+  isCurrent: (movie, catalogStats) => scoringSystem.isFeatureVectorCurrent(movie) &&
+    scoringSystem.isWeightedRatingCurrent(movie, catalogStats),
+  transform: (movie, catalogStats) => ({
+    featureVector: scoringSystem.movieToFeatureVector(movie, new Date(), catalogStats),
+    weightedRating: scoringSystem.calculateWeightedRating(movie.voteAverage, movie.voteCount, catalogStats),
+    ratingPriorVersion: scoringSystem.ratingPriorVersion(catalogStats),
+    featureVersion: scoringSystem.FEATURE_VERSION,
+    updatedAt: admin.firestore.Timestamp.now()
+  }),
+  loadContext: loadCatalogStats
+};
+
+const preferenceVectorsJob: BackfillJob = {
+  jobId: `preferenceVectors_v${scoringSystem.FEATURE_VERSION}`,
+  collection: 'userPreferences',
+  isCurrent: (preferences) => preferences.featureVersion === scoringSystem.FEATURE_VERSION,
+  transform: (preferences) => ({
+    preferenceVector: scoringSystem.upgradePreferenceVector(preferences.preferenceVector),
+    featureVersion: scoringSystem.FEATURE_VERSION,
+    updatedAt: admin.firestore.Timestamp.now()
+  })
+};
+
+// ===== HELPER FUNCTION: Run Backfill =====
+// Walks the collection in document ID order, saving the cursor after every page
+// so the next invocation resumes where this one stopped
+async function runBackfill(
+  job: BackfillJob,
+  deadline: number,
+  maxPages: number = Infinity
+): Promise<any> {
+  const jobRef = db.collection('backfillJobs').doc(job.jobId);
+  const jobDoc = await jobRef.get();
+  const now = admin.firestore.Timestamp.now();
+
+  let progress: any = jobDoc.exists ? jobDoc.data() : null;
+
+  if (progress && progress.status === 'completed') {
+    const sinceCompleted = now.toMillis() - progress.completedAt.toMillis();
+    if (sinceCompleted < BACKFILL_REPASS_INTERVAL_MS) {
+      return progress;
+    }
+    progress = {
+      ...progress,
+      status: 'running',
+      pass: progress.pass + 1,
+      cursor: null,
+      scanned: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      startedAt: now,
+      completedAt: null
+    };
+  }
+
+  if (!progress) {
+    progress = {
+      jobId: job.jobId,
+      collection: job.collection,
+      featureVersion: scoringSystem.FEATURE_VERSION,
+      status: 'running',
+      pass: 1,
+      cursor: null,
+      scanned: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      startedAt: now,
+      completedAt: null
+    };
+  }
+
+  const jobContext = job.loadContext ? await job.loadContext() : null;
+  const pageSize = OptimizationConfig.queries.moviePageSize;
+  let pages = 0;
+
+  while (pages < maxPages && Date.now() < deadline) {
+    let query = db.collection(job.collection)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+
+    if (progress.cursor) {
+      query = query.startAfter(progress.cursor);
+    }
+
+    const snapshot = await query.get();
+
+    if (snapshot.empty) {
+      progress.status = 'completed';
+      progress.completedAt = admin.firestore.Timestamp.now();
+      break;
+    }
+
+    const batch = db.batch();
+    let batchCount = 0;
+
+    snapshot.forEach(doc => {
+      const data = doc.data();
+
+      if (job.isCurrent(data, jobContext)) {
+        progress.skipped++;
+        return;
+      }
+
+      try {
+        batch.update(doc.ref, job.transform(data, jobContext));
+        batchCount++;
+      } catch (error) {
+        console.error(`Error backfilling ${job.collection}/${doc.id}:`, error);
+        progress.errors++;
+      }
+    });
+
+    if (batchCount > 0) {
+      await batch.commit();
+    }
+
+    progress.updated += batchCount;
+    progress.scanned += snapshot.size;
+    progress.cursor = snapshot.docs[snapshot.docs.length - 1].id;
+    progress.updatedAt = admin.firestore.Timestamp.now();
+    pages++;
+
+    await jobRef.set(progress);
+  }
+
+  progress.updatedAt = admin.firestore.Timestamp.now();
+  await jobRef.set(progress);
+
+  console.log(
+    `Backfill ${job.jobId}: ${progress.status}, scanned ${progress.scanned}, ` +
+    `updated ${progress.updated}, errors ${progress.errors}`
+  );
+
+  return progress;
+}
+
+// Timestamps are converted so callable responses stay plain JSON
+function toProgressReport(progress: any) {
+  if (!progress) {
+    return null;
+  }
+
+  return {
+    ...progress,
+    startedAt: progress.startedAt?.toDate().toISOString() || null,
+    updatedAt: progress.updatedAt?.toDate().toISOString() || null,
+    completedAt: progress.completedAt?.toDate().toISOString() || null
+  };
+}
+
+// ===== HELPER FUNCTION: Populate Movie Features =====
+// Admin-only: each call rewrites catalogue documents for up to maxPages pages
+export const populateMovieFeatures = functions.https.onCall(
+  async (data, context) => {
+    requireAdmin(context);
+
+    console.log('Populating movie feature vectors...');
+
+    try {
+      const maxPages = parseInt(data?.maxPages) || 1;
+      const deadline = Date.now() + BACKFILL_TIME_BUDGET_MS;
+      const progress = await runBackfill(movieFeaturesJob, deadline, maxPages);
+
+      return {
+        success: true,
+        message: `Backfill ${progress.status}: updated ${progress.updated} of ${progress.scanned} movies scanned`,
+        progress: toProgressReport(progress)
+      };
+
+    } catch (error) {
+      console.error('Error populating movie features:', error);
+      throw new functions.https.HttpsError(
+        'internal',
+        'Failed to populate movie features'
+      );
+    }
+  }
+);
+
+// ===== HELPER FUNCTION: Get Feature Backfill Progress =====
+export const getFeatureBackfillProgress = functions.https.onCall(
+  async (data, context) => {
+    requireAdmin(context);
+
+    try {
+      const [movieJob, preferenceJob] = await db.getAll(
+        db.collection('backfillJobs').doc(movieFeaturesJob.jobId),
+        db.collection('backfillJobs').doc(preferenceVectorsJob.jobId)
+      );
+
+      return {
+        featureVersion: scoringSystem.FEATURE_VERSION,
+        movies: toProgressReport(movieJob.data()),
+        userPreferences: toProgressReport(preferenceJob.data())
+      };
+
+    } catch (error) {
+      throw new functions.https.HttpsError(
+        'internal',
+        'Failed to get backfill progress'
+      );
+    }
+  }
+);
+
+// ===== SCHEDULED FUNCTION: Update Movie Features =====
+export const updateMovieFeatures = functions.pubsub
+  .schedule('every 1 hours')
+  .onRun(async (context) => {
+    console.log('Backfilling out-of-date feature vectors...');
+
+    try {
+      const deadline = Date.now() + BACKFILL_TIME_BUDGET_MS;
+      const movieProgress = await runBackfill(movieFeaturesJob, deadline);
+
+      // Preference documents are few; only start on them once movies are done
+      if (movieProgress.status === 'completed') {
+        await runBackfill(preferenceVectorsJob, deadline);
+      }
+
+    } catch (error) {
+      console.error('Error updating movie features:', error);
+    }
+  });
@@ -11,11 +11,52 @@ export {
   processSwipeInteraction,
   generateInitialRecommendations,
   refreshRecommendations,
-  getUserScoringDetails,
-  updateMovieFeatures,
-  populateMovieFeatures
+  getUserScoringDetails
 } from './recommendations';
 
+// Export feature backfill functions
+export {
+  updateMovieFeatures,
+  populateMovieFeatures,
+  getFeatureBackfillProgress
+} from './feature-backfill';
+
+// Export catalog statistics functions
+export { updateCatalogStats } from './catalog-stats';
+import { loadCatalogStats } from './catalog-stats';
+
+// Export collaborative filtering functions
+export { updateCollaborativeModel } from './collaborative';
+
+// Export candidate pool functions
+export { updateCandidatePools } from './candidate-pools';
+
+// Export recommendation explanation functions
+export { getRecommendationExplanation } from './explanations';
+
+// Export experiment functions
+export { getExperimentMetrics, updateExperimentMetrics } from './experiments';
+
+// Export admin tuning functions
+export { updateLearningParameters } from './learning-parameters';
+
+// Export preference rebuild functions
+export { rebuildPreferenceVectors } from './preference-rebuild';
+
+// Export interaction ingestion functions
+export { recordInteraction, undoLastInteraction, changeInteractionRating } from './interactions';
+import { writeInteraction } from './interactions';
+import { verifyRequestUser } from './auth';
+
+// Import interaction ingestion rules
+const ingestion = require('../../interaction-ingestion.js');
+
+// Import scoring system
+const scoringSystem = require('../../scoring-system.js');
+
+// Fields getMovies can sort by (all descending)
+const MOVIE_SORT_FIELDS = ['popularity', 'weightedRating'];
+
 // TMDB API configuration
 const TMDB_API_KEY = functions.config().tmdb?.api_key || process.env.TMDB_API_KEY;
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
@@ -71,6 +112,8 @@ interface MovieData {
   releaseDate: string;
   voteAverage: number;
   voteCount: number;
+  weightedRating: number;
+  ratingPriorVersion: string;
   popularity: number;
   runtime?: number;
   status?: string;
@@ -127,6 +170,7 @@ export const importMoviesFromTMDB = functions.https.onRequest(async (req, res) =
     // Process and store movies in Firestore
     const batch = db.batch();
     const timestamp = admin.firestore.Timestamp.now();
+    const catalogStats = await loadCatalogStats();
 
     for (const movie of movies.slice(0, limit)) {
       // Get genre names from IDs
@@ -143,6 +187,12 @@ export const importMoviesFromTMDB = functions.https.onRequest(async (req, res) =
         releaseDate: movie.release_date,
         voteAverage: movie.vote_average,
         voteCount: movie.vote_count,
+        weightedRating: scoringSystem.calculateWeightedRating(
+          movie.vote_average,
+          movie.vote_count,
+          catalogStats
+        ),
+        ratingPriorVersion: scoringSystem.ratingPriorVersion(catalogStats),
         popularity: movie.popularity,
         runtime: movie.runtime,
         status: movie.status,
@@ -197,10 +247,18 @@ export const getMovies = functions.https.onRequest(async (req, res) => {
     const limit = parseInt(req.query.limit as string) || 20;
     const page = parseInt(req.query.page as string) || 1;
     const offset = (page - 1) * limit;
+    const sortBy = (req.query.sortBy as string) || 'popularity';
+
+    if (!MOVIE_SORT_FIELDS.includes(sortBy)) {
+      res.status(400).json({
+        error: `sortBy must be one of: ${MOVIE_SORT_FIELDS.join(', ')}`
+      });
+      return;
+    }
 
     const moviesRef = db.collection('movies');
     const snapshot = await moviesRef
-      .orderBy('popularity', 'desc')
+      .orderBy(sortBy, 'desc')
       .limit(limit)
       .offset(offset)
       .get();
@@ -215,6 +273,7 @@ export const getMovies = functions.https.onRequest(async (req, res) => {
       movies,
       page,
       limit,
+      sortBy,
     });
   } catch (error) {
     console.error('Error fetching movies:', error);
@@ -357,21 +416,34 @@ function extractWatchProviders(results: any) {
 // Function to handle face-off updates
 export const updateFaceOff = functions.https.onRequest(async (req, res) => {
   try {
-    const { userId, movieId, action } = req.body;
+    // The swipe trains the caller's model, so the user comes from their ID token
+    const userId = await verifyRequestUser(req);
+    if (!userId) {
+      res.status(401).json({ error: 'User must be authenticated' });
+      return;
+    }
 
-    if (!userId || !movieId || !action) {
+    const { movieId, action } = req.body;
+
+    if (!movieId || !action) {
       res.status(400).json({ error: 'Missing required fields' });
       return;
     }
 
-    const swipeData = {
-      userId,
-      movieId,
-      action, // 'like' or 'dislike'
-      timestamp: admin.firestore.Timestamp.now(),
-    };
-
-    await db.collection('swipes').add(swipeData);
+    // Record as a canonical interaction so the recommendation pipeline learns from it
+    let interactionId: string;
+    try {
+      interactionId = await writeInteraction(
+        { userId, movieId, action },
+        ingestion.INTERACTION_SOURCES.faceOff
+      );
+    } catch (error) {
+      if (error instanceof functions.https.HttpsError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      throw error;
+    }
 
     // Update user's score based on action
     const userScoreRef = db.collection('scores').doc(userId);
@@ -382,7 +454,14 @@ export const updateFaceOff = functions.https.onRequest(async (req, res) => {
       currentScore = scoreDoc.data()?.score || 0;
     }
 
-    const scoreIncrement = action === 'like' ? 1 : -1;
+    // Legacy face-off score: positive gestures +1, dislikes -1, neutral gestures 0
+    const gesture = ingestion.normalizeGesture(action);
+    let scoreIncrement = 0;
+    if (['loved', 'liked'].includes(gesture)) {
+      scoreIncrement = 1;
+    } else if (gesture === 'disliked') {
+      scoreIncrement = -1;
+    }
     await userScoreRef.set({
       userId,
       score: currentScore + scoreIncrement,
@@ -392,6 +471,7 @@ export const updateFaceOff = functions.https.onRequest(async (req, res) => {
     res.json({
       success: true,
       message: 'Face-off updated successfully',
+      interactionId,
     });
   } catch (error) {
     console.error('Error updating face-off:', error);
@@ -409,17 +489,19 @@ export const getWatchlist = functions.https.onRequest(async (req, res) => {
       return;
     }
 
-    const swipesRef = db.collection('swipes');
-    const snapshot = await swipesRef
+    const interactionsRef = db.collection('interactions');
+    const snapshot = await interactionsRef
       .where('userId', '==', userId)
-      .where('action', '==', 'like')
+      .where('action', 'in', ['loved', 'liked'])
       .orderBy('timestamp', 'desc')
       .get();
 
-    const likedMovies = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const likedMovies = snapshot.docs
+      .filter(doc => ingestion.isActiveInteraction(doc.data()))
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
 
     res.json({
       success: true,
@@ -0,0 +1,440 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+import { loadCatalogStats } from './catalog-stats';
+import { resolveLearningSettings, getAdaptiveLearningRate } from './optimization-config';
+
+// Import interaction ingestion rules
+const ingestion = require('../../interaction-ingestion.js');
+const scoringSystem = require('../../scoring-system.js');
+const exploration = require('../../exploration.js');
+const preferenceReplay = require('../../preference-replay.js');
+const onboarding = require('../../onboarding.js');
+const queueMaintenance = require('../../queue-maintenance.js');
+const explanations = require('../../explanations.js');
+
+const db = admin.firestore();
+
+// ===== HELPER FUNCTION: Write Canonical Interaction =====
+// Every swipe path funnels through here so `processSwipeInteraction` sees it
+export async function writeInteraction(input: any, source: string): Promise<string> {
+  const result = ingestion.validateInteraction(input, source);
+
+  if (!result.isValid) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      result.errors.join('; ')
+    );
+  }
+
+  const interactionRef = await db.collection('interactions').add({
+    ...result.interaction,
+    timestamp: admin.firestore.Timestamp.now()
+  });
+
+  return interactionRef.id;
+}
+
+// ===== CLOUD FUNCTION: Record Interaction =====
+export const recordInteraction = functions.https.onCall(
+  async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'User must be authenticated'
+      );
+    }
+
+    const interactionId = await writeInteraction({
+      userId: context.auth.uid,
+      movieId: data.movieId,
+      action: data.action,
+      context: data.context || {}
+    }, ingestion.INTERACTION_SOURCES.app);
+
+    return {
+      success: true,
+      interactionId
+    };
+  }
+);
+
+// Latest interactions searched for the one to undo or re-rate
+const CORRECTION_SEARCH_LIMIT = 20;
+
+// ===== HELPER FUNCTION: Is Latest Update =====
+// Whether an interaction's update is the one the stored preference vector ends on
+function isLatestUpdate(prefs: any, scoringData: any): boolean {
+  return preferenceReplay.vectorsEqual(
+    scoringSystem.upgradePreferenceVector(prefs.preferenceVector),
+    scoringSystem.upgradePreferenceVector(scoringData.preferenceVectorAfter)
+  );
+}
+
+// ===== HELPER FUNCTION: Replay Without Interaction =====
+// Rebuilds the user's preferences from their history minus one interaction.
+// Reads the whole history, so it runs before the revoke transaction rather than in it.
+async function replayWithout(
+  userId: string,
+  interactionId: string,
+  learningMetadata: any,
+  catalogStats: any
+): Promise<any> {
+  const revokedAt = admin.firestore.Timestamp.now();
+  const historySnapshot = await db.collection('interactions')
+    .where('userId', '==', userId)
+    .orderBy('timestamp', 'desc')
+    .get();
+  const history = historySnapshot.docs
+    .map((doc): any => {
+      const item = doc.data();
+      return {
+        ...item,
+        timestamp: item.timestamp.toDate(),
+        revokedAt: doc.id === interactionId ? revokedAt : item.revokedAt
+      };
+    })
+    .filter(item => item.scoringData);
+
+  const movieIds = [...new Set(history.map(item => item.movieId as string))];
+  const movieDocs = movieIds.length > 0
+    ? await db.getAll(...movieIds.map(id => db.collection('movies').doc(id)))
+    : [];
+  const movies: Record<string, any> = {};
+  movieDocs.filter(doc => doc.exists).forEach(doc => {
+    movies[doc.id] = doc.data();
+  });
+
+  return preferenceReplay.rebuildFromHistory({
+    interactions: history,
+    movies,
+    settings: resolveLearningSettings(learningMetadata),
+    catalogStats
+  });
+}
+
+// ===== HELPER FUNCTION: Revoke Interaction =====
+// Takes back one swipe in a single transaction. The preference vector is
+// restored from the interaction's preferenceVectorBefore snapshot when it was
+// the latest update; otherwise the user's remaining history is replayed before
+// the transaction, which then only checks the vector has not moved since.
+// Stats (including lastSwipeAt), exploration arms, onboarding progress and the
+// movie's counters are reverted, the original is marked revoked and an
+// interactionCorrections document records why. An undo puts the movie back at
+// the front of the queue. A rating change also writes the replacement interaction,
+// which processSwipeInteraction then applies on top of the restored vector.
+async function revokeInteraction(
+  userId: string,
+  interactionId: string,
+  kind: string,
+  newAction: string | null = null
+): Promise<any> {
+  const interactionRef = db.collection('interactions').doc(interactionId);
+  const correctionRef = db.collection('interactionCorrections').doc();
+  const replacementRef = newAction ? db.collection('interactions').doc() : null;
+  const userPrefRef = db.collection('userPreferences').doc(userId);
+  const userRef = db.collection('users').doc(userId);
+  const recommendationsRef = db.collection('recommendations').doc(userId);
+  const catalogStats = await loadCatalogStats();
+
+  const recentSnapshot = await db.collection('interactions')
+    .where('userId', '==', userId)
+    .orderBy('timestamp', 'desc')
+    .limit(CORRECTION_SEARCH_LIMIT)
+    .get();
+  const previousSwipeAt = ingestion.lastSwipeAtWithout(
+    recentSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    interactionId
+  );
+
+  // Later swipes were learned on top of this one, so rebuild without it up front
+  const [interactionBefore, prefsBefore] = await Promise.all([interactionRef.get(), userPrefRef.get()]);
+  const scoringDataBefore = interactionBefore.data()?.scoringData;
+  let replay: any = null;
+  if (interactionBefore.data()?.userId === userId && scoringDataBefore &&
+      !isLatestUpdate(prefsBefore.data() || {}, scoringDataBefore)) {
+    replay = {
+      basedOn: scoringSystem.upgradePreferenceVector(prefsBefore.data()?.preferenceVector),
+      ...(await replayWithout(userId, interactionId, prefsBefore.data()?.learningMetadata || {}, catalogStats))
+    };
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const interactionDoc = await transaction.get(interactionRef);
+    const interaction = interactionDoc.data();
+
+    if (!interactionDoc.exists || interaction!.userId !== userId) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Interaction ${interactionId} not found`
+      );
+    }
+    if (interaction!.revokedAt) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `Interaction ${interactionId} has already been corrected`
+      );
+    }
+    if (!interaction!.scoringData) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `Interaction ${interactionId} is still being processed`
+      );
+    }
+
+    const { movieId, action, scoringData } = interaction!;
+    const now = admin.firestore.Timestamp.now();
+    const movieRef = db.collection('movies').doc(movieId);
+    const [userPrefDoc, userDoc, movieDoc, recommendationsDoc] = await transaction.getAll(
+      userPrefRef,
+      userRef,
+      movieRef,
+      recommendationsRef
+    );
+
+    const prefs = userPrefDoc.data() || {};
+    const learningMetadata = { ...(prefs.learningMetadata || {}) };
+    const currentPreferences = scoringSystem.upgradePreferenceVector(prefs.preferenceVector);
+
+    let rollback: string;
+    let preferenceVector: any;
+    let explorationArms: any;
+
+    if (isLatestUpdate(prefs, scoringData)) {
+      rollback = 'snapshot';
+      preferenceVector = scoringSystem.upgradePreferenceVector(scoringData.preferenceVectorBefore);
+      learningMetadata.totalUpdates = Math.max(0, (learningMetadata.totalUpdates || 0) - 1);
+      explorationArms = movieDoc.exists
+        ? exploration.updateGenreArms(
+          prefs.explorationArms || {},
+          scoringSystem.getScoringFeatures(movieDoc.data()!, interaction!.timestamp.toDate(), catalogStats),
+          action,
+          -1
+        )
+        : prefs.explorationArms || {};
+    } else {
+      // The replay is only valid against the vector it was computed from
+      if (!replay || !preferenceReplay.vectorsEqual(currentPreferences, replay.basedOn)) {
+        throw new functions.https.HttpsError(
+          'aborted',
+          'Preferences changed while the correction was prepared; try again'
+        );
+      }
+      rollback = 'replay';
+      preferenceVector = replay.preferences;
+      learningMetadata.totalUpdates = replay.totalUpdates;
+      explorationArms = replay.explorationArms;
+    }
+
+    learningMetadata.modelConfidence = scoringSystem.calculateModelConfidence(learningMetadata.totalUpdates);
+    learningMetadata.effectiveLearningRate = getAdaptiveLearningRate(
+      learningMetadata.totalUpdates,
+      learningMetadata
+    );
+
+    transaction.set(userPrefRef, {
+      preferenceVector,
+      featureVersion: scoringSystem.FEATURE_VERSION,
+      learningMetadata,
+      explorationArms,
+      ...(scoringData.diagnostic && prefs.onboarding
+        ? { onboarding: onboarding.revertDiagnosticSwipe(prefs.onboarding, movieId) }
+        : {}),
+      updatedAt: now
+    }, { merge: true });
+
+    if (userDoc.exists) {
+      const stats = ingestion.revertSwipeStats(action, userDoc.data()!.stats);
+      transaction.update(userRef, {
+        'stats.totalSwipes': stats.totalSwipes,
+        'stats.likeRatio': stats.likeRatio,
+        'stats.lastSwipeAt': previousSwipeAt || admin.firestore.FieldValue.delete(),
+        [`stats.swipesByAction.${action}`]: stats.swipesByAction[action]
+      });
+    }
+
+    // An undone card goes back on top of the deck, scored on the restored vector
+    if (kind === ingestion.CORRECTION_KINDS.undo && recommendationsDoc.exists && movieDoc.exists) {
+      const features = scoringSystem.getScoringFeatures(movieDoc.data()!, now.toDate(), catalogStats);
+      const reason = scoringData.diagnostic ? 'diagnostic' : 'preference_match';
+      transaction.update(recommendationsRef, {
+        queue: queueMaintenance.requeueAtFront(recommendationsDoc.data()!.queue || [], {
+          movieId,
+          score: scoringSystem.calculateRecommendationScore(preferenceVector, features).finalScore,
+          reason,
+          explanation: explanations.buildExplanation({
+            userPreferences: preferenceVector,
+            movieFeatures: features,
+            reason
+          })
+        }),
+        updatedAt: now
+      });
+    }
+
+    if (movieDoc.exists) {
+      transaction.update(movieRef, {
+        'recommendationData.totalInteractions': admin.firestore.FieldValue.increment(-1),
+        'recommendationData.positiveInteractions': ['loved', 'liked'].includes(action)
+          ? admin.firestore.FieldValue.increment(-1)
+          : admin.firestore.FieldValue.increment(0)
+      });
+    }
+
+    transaction.update(interactionRef, {
+      revokedAt: now,
+      revokedBy: correctionRef.id
+    });
+
+    if (replacementRef) {
+      const replacement = ingestion.validateInteraction({
+        userId,
+        movieId,
+        action: newAction,
+        context: { correctionOf: interactionId }
+      }, ingestion.INTERACTION_SOURCES.app);
+
+      transaction.set(replacementRef, {
+        ...replacement.interaction,
+        timestamp: now
+      });
+    }
+
+    transaction.set(correctionRef, {
+      userId,
+      interactionId,
+      movieId,
+      kind,
+      previousAction: action,
+      newAction,
+      replacementInteractionId: replacementRef ? replacementRef.id : null,
+      rollback,
+      createdAt: now
+    });
+
+    return {
+      success: true,
+      correctionId: correctionRef.id,
+      interactionId,
+      movieId,
+      previousAction: action,
+      newAction,
+      replacementInteractionId: replacementRef ? replacementRef.id : null,
+      rollback
+    };
+  });
+}
+
+// ===== HELPER FUNCTION: Find Latest Active Interaction =====
+// Most recent interaction the user has not already undone, optionally for one movie
+async function findLatestActiveInteraction(userId: string, movieId: string | null = null): Promise<string | null> {
+  let query = db.collection('interactions').where('userId', '==', userId);
+  if (movieId) {
+    query = query.where('movieId', '==', movieId);
+  }
+
+  const snapshot = await query
+    .orderBy('timestamp', 'desc')
+    .limit(CORRECTION_SEARCH_LIMIT)
+    .get();
+
+  const latest = snapshot.docs.find(doc => ingestion.isActiveInteraction(doc.data()));
+  return latest ? latest.id : null;
+}
+
+function rethrowCorrectionError(error: any, message: string): never {
+  if (error instanceof functions.https.HttpsError) {
+    throw error;
+  }
+  console.error(`${message}:`, error);
+  throw new functions.https.HttpsError('internal', message);
+}
+
+// ===== CLOUD FUNCTION: Undo Last Interaction =====
+// Takes back the caller's most recent swipe and puts its movie back at the
+// front of the queue.
+export const undoLastInteraction = functions.https.onCall(
+  async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'User must be authenticated'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const interactionId = await findLatestActiveInteraction(userId);
+
+    if (!interactionId) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'No interaction to undo'
+      );
+    }
+
+    try {
+      return await revokeInteraction(userId, interactionId, ingestion.CORRECTION_KINDS.undo);
+    } catch (error) {
+      rethrowCorrectionError(error, 'Failed to undo interaction');
+    }
+  }
+);
+
+// ===== CLOUD FUNCTION: Change Interaction Rating =====
+// Replaces the gesture on an earlier swipe, given by interactionId or by
+// movieId (the latest swipe on that movie)
+export const changeInteractionRating = functions.https.onCall(
+  async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'User must be authenticated'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const newAction = ingestion.normalizeGesture(data?.action);
+
+    if (!newAction) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `action must be one of: ${ingestion.VALID_GESTURES.join(', ')}`
+      );
+    }
+    if (!data?.interactionId && !data?.movieId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'interactionId or movieId is required'
+      );
+    }
+
+    const interactionId = data.interactionId
+      ? String(data.interactionId)
+      : await findLatestActiveInteraction(userId, String(data.movieId));
+
+    if (!interactionId) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `No interaction found for movie ${data.movieId}`
+      );
+    }
+
+    const interactionDoc = await db.collection('interactions').doc(interactionId).get();
+    if (interactionDoc.exists && interactionDoc.data()!.action === newAction) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `Interaction ${interactionId} is already ${newAction}`
+      );
+    }
+
+    try {
+      return await revokeInteraction(
+        userId,
+        interactionId,
+        ingestion.CORRECTION_KINDS.changeRating,
+        newAction
+      );
+    } catch (error) {
+      rethrowCorrectionError(error, 'Failed to change interaction rating');
+    }
+  }
+);
@@ -0,0 +1,122 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+import { requireAdmin } from './auth';
+import { resolveLearningSettings } from './optimization-config';
+
+// Import scoring system
+const scoringSystem = require('../../scoring-system.js');
+
+const db = admin.firestore();
+
+const BATCH_LIMIT = 500;
+
+// ===== HELPER FUNCTION: Find Target Users =====
+// Explicit user IDs must already have a preference document; a cohort alone
+// targets every user previously tagged with it
+async function findTargetPreferences(
+  userIds: string[] | undefined,
+  cohort: string | undefined
+): Promise<{ refs: admin.firestore.DocumentReference[]; notFound: string[] }> {
+  if (userIds && userIds.length > 0) {
+    const docs = await db.getAll(
+      ...userIds.map(userId => db.collection('userPreferences').doc(userId))
+    );
+
+    return {
+      refs: docs.filter(doc => doc.exists).map(doc => doc.ref),
+      notFound: docs.filter(doc => !doc.exists).map(doc => doc.id)
+    };
+  }
+
+  const snapshot = await db.collection('userPreferences')
+    .where('learningMetadata.cohort', '==', cohort)
+    .get();
+
+  return { refs: snapshot.docs.map(doc => doc.ref), notFound: [] };
+}
+
+// ===== CLOUD FUNCTION: Update Learning Parameters =====
+// Admin only. Writes hyper-parameter overrides into each target user's
+// learningMetadata; null clears an override back to OptimizationConfig.
+// Passing userIds together with a cohort also tags those users with it.
+export const updateLearningParameters = functions.https.onCall(
+  async (data, context) => {
+    requireAdmin(context);
+
+    const userIds: string[] | undefined = Array.isArray(data?.userIds)
+      ? data.userIds.filter((id: any) => typeof id === 'string' && id)
+      : (typeof data?.userId === 'string' ? [data.userId] : undefined);
+    const cohort: string | undefined = typeof data?.cohort === 'string' && data.cohort
+      ? data.cohort
+      : undefined;
+
+    if (!userIds?.length && !cohort) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Provide userId, userIds or cohort'
+      );
+    }
+
+    const validation = scoringSystem.validateLearningParameters(data?.parameters);
+    if (!validation.isValid) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        validation.errors.join('; ')
+      );
+    }
+
+    try {
+      const { refs, notFound } = await findTargetPreferences(userIds, cohort);
+
+      const learningMetadata: Record<string, any> = {};
+      for (const [name, value] of Object.entries(validation.parameters)) {
+        learningMetadata[name] = value === null
+          ? admin.firestore.FieldValue.delete()
+          : value;
+      }
+      if (cohort && userIds?.length) {
+        learningMetadata.cohort = cohort;
+      }
+
+      const timestamp = admin.firestore.Timestamp.now();
+      let batch = db.batch();
+      let batchCount = 0;
+
+      for (const ref of refs) {
+        batch.set(ref, { learningMetadata, updatedAt: timestamp }, { merge: true });
+        batchCount++;
+
+        if (batchCount === BATCH_LIMIT) {
+          await batch.commit();
+          batch = db.batch();
+          batchCount = 0;
+        }
+      }
+
+      if (batchCount > 0) {
+        await batch.commit();
+      }
+
+      console.log(
+        `Admin ${context.auth!.uid} updated learning parameters for ${refs.length} users` +
+        (cohort ? ` (cohort ${cohort})` : '')
+      );
+
+      return {
+        success: true,
+        updated: refs.length,
+        notFound,
+        cohort: cohort || null,
+        parameters: validation.parameters,
+        defaults: resolveLearningSettings()
+      };
+
+    } catch (error) {
+      console.error('Error updating learning parameters:', error);
+      throw new functions.https.HttpsError(
+        'internal',
+        'Failed to update learning parameters'
+      );
+    }
+  }
+);
@@ -1,5 +1,9 @@
 import * as admin from 'firebase-admin';
 
+// Import scoring system and the shared learning settings
+const scoringSystem = require('../../scoring-system.js');
+const learningSettings = require('../../learning-settings.js');
+
 // ===== PERFORMANCE OPTIMIZATION CONFIGURATION =====
 
 export const OptimizationConfig = {
@@ -52,22 +56,9 @@ export const OptimizationConfig = {
     ],
   },
 
-  // Learning Rate Optimization
-  learning: {
-    // Adaptive learning rate based on interaction count
-    adaptiveLearningRate: {
-      initial: 0.1,
-      decay: 0.95,
-      minimum: 0.01,
-      updateInterval: 100, // interactions
-    },
-    
-    // Early stopping for preference updates
-    convergenceThreshold: 0.001,
-    
-    // Maximum preference vector magnitude
-    maxVectorMagnitude: 1.0,
-  },
+  // Learning Rate Optimization: defined in learning-settings.js so the
+  // root scripts learn with the same values
+  learning: learningSettings.LEARNING_CONFIG,
 
   // Memory Management
   memory: {
@@ -270,13 +261,19 @@ export function optimizeFirestoreQueries(): void {
 
 // ===== LEARNING RATE ADJUSTMENT =====
 
-export function getAdaptiveLearningRate(totalInteractions: number): number {
-  const config = OptimizationConfig.learning.adaptiveLearningRate;
-  
-  const decaySteps = Math.floor(totalInteractions / config.updateInterval);
-  const learningRate = config.initial * Math.pow(config.decay, decaySteps);
-  
-  return Math.max(learningRate, config.minimum);
+// Central config first, then any hyper-parameters stored in the user's learningMetadata
+export function resolveLearningSettings(learningMetadata: any = {}): any {
+  return learningSettings.resolveLearningSettings(learningMetadata);
+}
+
+export function getAdaptiveLearningRate(
+  totalInteractions: number,
+  learningMetadata: any = {}
+): number {
+  return scoringSystem.getEffectiveLearningRate(
+    totalInteractions,
+    resolveLearningSettings(learningMetadata)
+  );
 }
 
 // ===== MEMORY MANAGEMENT =====
@@ -384,25 +381,6 @@ class PerformanceMonitor {
 
 export const performanceMonitor = new PerformanceMonitor();
 
-// ===== RECOMMENDATION QUEUE OPTIMIZATION =====
-
-export async function precomputeRecommendations(userId: string): Promise<void> {
-  console.log(`Precomputing recommendations for user ${userId}`);
-  
-  const timer = performanceMonitor.startTimer('precomputeRecommendations');
-  
-  try {
-    // Implementation would go here
-    // This would run as a background job to prepare recommendations
-    // before the user needs them
-    
-    timer();
-  } catch (error) {
-    timer();
-    throw error;
-  }
-}
-
 // Export configuration for Cloud Functions
 export const functionConfig = {
   memory: OptimizationConfig.functions.memory,
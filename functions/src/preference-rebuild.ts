@@ -0,0 +1,102 @@
+import * as functions from 'firebase-functions';
+import * as admin from 'firebase-admin';
+import { requireAdmin } from './auth';
+import { loadCatalogStats } from './catalog-stats';
+
+// Import the shared rebuild, also used by scripts/rebuild-preferences.js
+const preferenceRebuild = require('../../preference-rebuild.js');
+
+const db = admin.firestore();
+
+// Users rebuilt per call in bulk mode; pass nextStartAfter back to continue
+const DEFAULT_REBUILD_PAGE_SIZE = 50;
+const MAX_REBUILD_PAGE_SIZE = 200;
+
+// ===== HELPER FUNCTION: Rebuild User Preferences =====
+// Replays the user's full interaction history through the current
+// updateUserPreferences, decaying between swipes unless temporalDecay is off.
+// A dry run only reports the diff against the stored vector.
+export async function rebuildUserPreferences(
+  userId: string,
+  dryRun: boolean,
+  temporalDecay = true
+): Promise<any> {
+  return preferenceRebuild.rebuildUserPreferences(userId, { dryRun, temporalDecay }, {
+    db,
+    timestamp: () => admin.firestore.Timestamp.now(),
+    catalogStats: await loadCatalogStats()
+  });
+}
+
+// ===== CLOUD FUNCTION: Rebuild Preference Vectors =====
+// Admin only. Rebuilds the given users, or with `all` a page of users ordered
+// by ID; call again with nextStartAfter until it comes back null.
+// Large backfills are better run with `npm run rebuild:preferences`.
+export const rebuildPreferenceVectors = functions.https.onCall(
+  async (data, context) => {
+    requireAdmin(context);
+
+    const dryRun = data?.dryRun === true;
+    const temporalDecay = data?.temporalDecay !== false;
+    const all = data?.all === true;
+    const userIds: string[] = Array.isArray(data?.userIds)
+      ? data.userIds.filter((id: any) => typeof id === 'string' && id)
+      : (typeof data?.userId === 'string' && data.userId ? [data.userId] : []);
+
+    if (!all && userIds.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Provide userId, userIds or all: true'
+      );
+    }
+
+    try {
+      let targets = userIds;
+      let nextStartAfter: string | null = null;
+
+      if (all) {
+        const pageSize = Math.min(
+          Math.max(1, parseInt(data?.pageSize) || DEFAULT_REBUILD_PAGE_SIZE),
+          MAX_REBUILD_PAGE_SIZE
+        );
+        let query = db.collection('userPreferences')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .select()
+          .limit(pageSize);
+        if (typeof data?.startAfter === 'string' && data.startAfter) {
+          query = query.startAfter(data.startAfter);
+        }
+
+        const snapshot = await query.get();
+        targets = snapshot.docs.map(doc => doc.id);
+        nextStartAfter = snapshot.size === pageSize ? targets[targets.length - 1] : null;
+      }
+
+      // Sequential so a bulk page does not load every user's history at once
+      const results: any[] = [];
+      for (const userId of targets) {
+        results.push(await rebuildUserPreferences(userId, dryRun, temporalDecay));
+      }
+
+      console.log(
+        `Admin ${context.auth!.uid} ${dryRun ? 'dry-ran' : 'ran'} a preference rebuild for ${results.length} users`
+      );
+
+      return {
+        success: true,
+        dryRun,
+        temporalDecay,
+        rebuilt: results.length,
+        results,
+        nextStartAfter
+      };
+
+    } catch (error) {
+      console.error('Error rebuilding preference vectors:', error);
+      throw new functions.https.HttpsError(
+        'internal',
+        'Failed to rebuild preference vectors'
+      );
+    }
+  }
+);
@@ -1,11 +1,39 @@
 import * as functions from 'firebase-functions';
 import * as admin from 'firebase-admin';
 
+import { loadCollaborativeModel } from './collaborative';
+import { generateCandidates, loadSeenMovieIds } from './candidates';
+import { loadExplanationAnchors } from './explanations';
+import { loadCatalogStats } from './catalog-stats';
+import { resolveLearningSettings, getAdaptiveLearningRate } from './optimization-config';
+
 // Import scoring system
 const scoringSystem = require('../../scoring-system.js');
+const collaborative = require('../../collaborative-filtering.js');
+const experiments = require('../../experiments.js');
+const ingestion = require('../../interaction-ingestion.js');
+const diversityReranking = require('../../diversity-reranking.js');
+const exploration = require('../../exploration.js');
+const queueMaintenance = require('../../queue-maintenance.js');
+const candidateGeneration = require('../../candidate-generation.js');
+const explanations = require('../../explanations.js');
+const onboarding = require('../../onboarding.js');
 
 const db = admin.firestore();
 
+// Content-based dot product blended with item-item collaborative filtering
+const ALGORITHM_VERSION = 'collaborative_content_v2';
+
+// Movies kept in a user's recommendation queue
+const QUEUE_SIZE = queueMaintenance.QUEUE_MAINTENANCE_CONFIG.queueSize;
+
+// Scoring settings that experiment variants may override
+const DEFAULT_SCORING_CONFIG = {
+  explorationRate: 0.15,
+  collaborativeWeight: collaborative.COLLABORATIVE_CONFIG.blendWeight,
+  scorer: scoringSystem.DEFAULT_SCORER
+};
+
 // ===== CLOUD FUNCTION 1: Process Swipe Interaction =====
 export const processSwipeInteraction = functions.firestore
   .document('interactions/{interactionId}')
@@ -16,22 +44,38 @@ export const processSwipeInteraction = functions.firestore
     console.log(`Processing ${action} interaction for user ${userId} on movie ${movieId}`);
     
     try {
+      // Migrated swipes are learned by the migration script's per-user rebuild,
+      // which replays them in timestamp order; triggers fire in no fixed order,
+      // so here they are only counted
+      if (interaction.context?.source === ingestion.INTERACTION_SOURCES.legacySwipes) {
+        await recordSwipeStats(db.collection('users').doc(userId), action, interaction.timestamp.toDate());
+        const legacyMovieDoc = await db.collection('movies').doc(movieId).get();
+        if (legacyMovieDoc.exists) {
+          await recordMovieInteraction(legacyMovieDoc.ref, action);
+        }
+        return;
+      }
+      
       // 1. Get current user preferences
       const userPrefRef = db.collection('userPreferences').doc(userId);
       const userPrefDoc = await userPrefRef.get();
       
       let currentPreferences = scoringSystem.initializeUserPreferenceVector();
-      let learningMetadata = {
-        learningRate: 0.1,
-        decayFactor: 0.95,
+      // Hyper-parameters are only stored when an admin overrides them
+      let learningMetadata: any = {
         totalUpdates: 0,
         modelConfidence: 0
       };
+      let explorationArms = {};
+      let onboardingState: any;
       
       if (userPrefDoc.exists) {
         const data = userPrefDoc.data()!;
-        currentPreferences = data.preferenceVector || currentPreferences;
+        // Upgrade vectors learned under an older feature schema instead of resetting them
+        currentPreferences = scoringSystem.upgradePreferenceVector(data.preferenceVector);
         learningMetadata = data.learningMetadata || learningMetadata;
+        explorationArms = data.explorationArms || explorationArms;
+        onboardingState = data.onboarding;
       }
       
       // 2. Get movie features
@@ -42,31 +86,54 @@ export const processSwipeInteraction = functions.firestore
       }
       
       const movie = movieDoc.data()!;
-      let movieFeatures = movie.featureVector;
+      const catalogStats = await loadCatalogStats();
       
-      // Generate feature vector if missing
-      if (!movieFeatures) {
-        movieFeatures = scoringSystem.movieToFeatureVector(movie);
+      // Generate feature vector if missing or produced by an older formula
+      if (!scoringSystem.isFeatureVectorCurrent(movie)) {
         // Update movie with feature vector
         await movieDoc.ref.update({ 
-          featureVector: movieFeatures,
+          featureVector: scoringSystem.movieToFeatureVector(movie, new Date(), catalogStats),
+          featureVersion: scoringSystem.FEATURE_VERSION,
+          weightedRating: scoringSystem.calculateWeightedRating(movie.voteAverage, movie.voteCount, catalogStats),
+          ratingPriorVersion: scoringSystem.ratingPriorVersion(catalogStats),
           updatedAt: admin.firestore.Timestamp.now()
         });
       }
       
+      // Recency is taken as of the swipe, so replaying this interaction gives the same update
+      const interactionTime = interaction.timestamp ? interaction.timestamp.toDate() : new Date();
+      const movieFeatures = scoringSystem.getScoringFeatures(movie, interactionTime, catalogStats);
+      
+      // Fade the stored taste toward neutral for the time since the previous swipe
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+      const learningSettings = resolveLearningSettings(learningMetadata);
+      const lastSwipeAt = userDoc.exists ? userDoc.data()!.stats?.lastSwipeAt : null;
+      if (lastSwipeAt) {
+        const idleMs = interactionTime.getTime() - lastSwipeAt.toMillis();
+        currentPreferences = scoringSystem.applyTemporalDecay(currentPreferences, idleMs, learningSettings);
+        explorationArms = exploration.decayGenreArms(
+          explorationArms,
+          scoringSystem.getTemporalDecayMultiplier(idleMs, learningSettings)
+        );
+      }
+      
       // 3. Calculate scores before update
       const scoreBefore = scoringSystem.calculateRecommendationScore(
         currentPreferences, 
         movieFeatures
       );
       
-      // 4. Update preferences
+      // 4. Update preferences with this user's hyper-parameters; diagnostic
+      // onboarding swipes learn at a raised rate
+      const diagnostic = onboarding.isDiagnosticSwipe(onboardingState, movieId);
       const updateResult = scoringSystem.updateUserPreferences(
         currentPreferences,
         movieFeatures,
         action,
-        learningMetadata.learningRate,
-        learningMetadata.totalUpdates
+        diagnostic ? onboarding.getDiagnosticLearningRate(learningSettings) : learningSettings.learningRate,
+        learningMetadata.totalUpdates,
+        learningSettings
       );
       
       // 5. Calculate scores after update
@@ -80,63 +147,90 @@ export const processSwipeInteraction = functions.firestore
       learningMetadata.modelConfidence = scoringSystem.calculateModelConfidence(
         learningMetadata.totalUpdates
       );
+      learningMetadata.effectiveLearningRate = getAdaptiveLearningRate(
+        learningMetadata.totalUpdates,
+        learningMetadata
+      );
+      
+      if (diagnostic) {
+        onboardingState = onboarding.recordDiagnosticSwipe(
+          onboardingState,
+          movieId,
+          admin.firestore.Timestamp.fromDate(interactionTime)
+        );
+      }
+      
+      // Plan the remaining diagnostic titles by expected information gain,
+      // handing off early once none of them would teach the model much
+      let diagnosticPlan: any[] = [];
+      let diagnosticFeatures: Record<string, any> = {};
+      if (diagnostic && onboardingState.status === onboarding.ONBOARDING_STATUS.diagnostic) {
+        diagnosticFeatures = await loadDiagnosticFeatures(onboardingState.deck, catalogStats);
+        diagnosticPlan = planRemainingDiagnostics(onboardingState, diagnosticFeatures);
+        
+        if (onboarding.shouldHandOffEarly(onboardingState, diagnosticPlan[0]?.informationGain ?? 0)) {
+          onboardingState = onboarding.completeOnboarding(
+            onboardingState,
+            admin.firestore.Timestamp.fromDate(interactionTime)
+          );
+        }
+      }
+      const handoff = diagnostic && onboardingState.status === onboarding.ONBOARDING_STATUS.complete;
       
       await userPrefRef.set({
         userId,
         preferenceVector: updateResult.preferences,
+        featureVersion: scoringSystem.FEATURE_VERSION,
         learningMetadata,
+        explorationArms: exploration.updateGenreArms(explorationArms, movieFeatures, action),
+        ...(diagnostic ? { onboarding: onboardingState } : {}),
         updatedAt: admin.firestore.Timestamp.now()
       }, { merge: true });
       
-      // 7. Update interaction with scoring data
+      // 7. Update interaction with scoring data; experiment variants are always
+      // assigned here, replacing anything a client wrote under context.experiments
+      const assignments = ingestion.experimentAssignments(userId, interaction.context?.source);
+      const experimentContext = assignments
+        ? { 'context.experiments': assignments }
+        : interaction.context?.experiments
+          ? { 'context.experiments': admin.firestore.FieldValue.delete() }
+          : {};
+      
       await snap.ref.update({
+        ...experimentContext,
         scoringData: {
           baseScore: scoreBefore.baseScore,
           gestureWeight: scoringSystem.GESTURE_WEIGHTS[action],
           explorationBonus: 0,
           finalScore: scoreAfter.finalScore,
+          diagnostic,
           preferenceVectorBefore: currentPreferences,
           preferenceVectorAfter: updateResult.preferences
         }
       });
       
       // 8. Update user stats
-      const userRef = db.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (userDoc.exists) {
-        const stats = userDoc.data()!.stats || {};
-        const swipesByAction = stats.swipesByAction || {};
+      const totalSwipes = await recordSwipeStats(userRef, action, interactionTime);
+      if (totalSwipes !== null) {
+        // 9. Pop the swiped movie. The last diagnostic swipe hands off to a
+        // queue rebuilt on what onboarding learned; otherwise, every
+        // refreshInterval swipes, top up the queue if it has dropped below minQueueSize
+        const queueSettings = queueMaintenance.getQueueSettings(userDoc.data()!.recommendationSettings);
+        await popConsumedMovie(userId, movieId);
         
-        swipesByAction[action] = (swipesByAction[action] || 0) + 1;
-        const totalSwipes = stats.totalSwipes + 1 || 1;
-        
-        // Calculate like ratio
-        const positiveActions = (swipesByAction.loved || 0) + (swipesByAction.liked || 0);
-        const likeRatio = totalSwipes > 0 ? positiveActions / totalSwipes : 0;
-        
-        await userRef.update({
-          'stats.totalSwipes': totalSwipes,
-          'stats.likeRatio': likeRatio,
-          'stats.lastSwipeAt': admin.firestore.Timestamp.now(),
-          [`stats.swipesByAction.${action}`]: swipesByAction[action]
-        });
-        
-        // 9. Check if we need to refresh recommendations
-        if (totalSwipes % 5 === 0) {
-          console.log(`Triggering recommendation refresh for user ${userId}`);
+        if (handoff) {
+          console.log(`Onboarding complete for user ${userId}; rebuilding queue`);
           await refreshUserRecommendations(userId);
+        } else if (diagnostic) {
+          await reorderDiagnosticQueue(userId, diagnosticPlan, diagnosticFeatures, updateResult.preferences);
+        } else if (queueMaintenance.isMaintenanceDue(totalSwipes, queueSettings.refreshInterval)) {
+          console.log(`Triggering queue maintenance for user ${userId}`);
+          await topUpUserRecommendations(userId);
         }
       }
       
       // 10. Update movie recommendation data
-      await movieDoc.ref.update({
-        'recommendationData.totalInteractions': admin.firestore.FieldValue.increment(1),
-        'recommendationData.positiveInteractions': ['loved', 'liked'].includes(action) 
-          ? admin.firestore.FieldValue.increment(1) 
-          : admin.firestore.FieldValue.increment(0),
-        'recommendationData.lastInteractionAt': admin.firestore.Timestamp.now()
-      });
+      await recordMovieInteraction(movieDoc.ref, action);
       
       console.log(`Successfully processed ${action} interaction for user ${userId}`);
       
@@ -164,6 +258,11 @@ export const generateInitialRecommendations = functions.https.onCall(
     console.log(`Selected categories: ${selectedCategories.join(', ')}`);
     
     try {
+      const userDoc = await db.collection('users').doc(userId).get();
+      const diversity = diversityReranking.getDiversitySetting(
+        userDoc.exists ? userDoc.data()!.recommendationSettings : undefined
+      );
+      
       // 1. Initialize user preferences
       const userPrefRef = db.collection('userPreferences').doc(userId);
       const initialPreferences = scoringSystem.initializeUserPreferenceVector();
@@ -176,39 +275,62 @@ export const generateInitialRecommendations = functions.https.onCall(
         }
       });
       
+      // Keep learning parameters set by an admin; the learned state starts over
+      const existingPrefs = await userPrefRef.get();
+      const existingMetadata = existingPrefs.exists
+        ? existingPrefs.data()!.learningMetadata || {}
+        : {};
+      
+      // Diagnostic deck for the chosen categories; seed titles missing from the catalog are dropped
+      const diagnosticDeck = onboarding.buildDiagnosticDeck(selectedCategories);
+      const diagnosticDocs = diagnosticDeck.length > 0
+        ? await db.getAll(...diagnosticDeck.map((seed: any) => db.collection('movies').doc(seed.movieId)))
+        : [];
+      const diagnosticMovies: any[] = diagnosticDocs
+        .filter(doc => doc.exists)
+        .map(doc => ({ id: doc.id, ...doc.data() }));
+      const onboardingState = onboarding.createOnboardingState(
+        diagnosticMovies.map(movie => movie.id),
+        admin.firestore.Timestamp.now()
+      );
+      
       await userPrefRef.set({
         userId,
         preferenceVector: initialPreferences,
+        featureVersion: scoringSystem.FEATURE_VERSION,
         learningMetadata: {
-          learningRate: 0.1,
-          decayFactor: 0.95,
+          ...existingMetadata,
           totalUpdates: 0,
           modelConfidence: 0
         },
+        onboarding: onboardingState,
         updatedAt: admin.firestore.Timestamp.now()
       });
       
-      // 2. Get all movies
-      const moviesSnapshot = await db.collection('movies')
-        .orderBy('popularity', 'desc')
-        .limit(500)
-        .get();
+      // 2. Generate candidates; genre pools follow the selected categories
+      const recommendationsRef = db.collection('recommendations').doc(userId);
+      const previousRecommendations = await recommendationsRef.get();
+      const generation = (previousRecommendations.data()?.metadata?.generation || 0) + 1;
       
-      const allMovies: any[] = [];
-      moviesSnapshot.forEach(doc => {
-        allMovies.push({ id: doc.id, ...doc.data() });
+      const candidates = await generateCandidates({
+        userPreferences: initialPreferences,
+        excluded: new Set<string>(onboardingState.deck),
+        seed: exploration.explorationSeed(userId, generation)
       });
+      const allMovies = candidates.movies;
       
-      // 3. Score and categorize movies
+      // 3. Score and categorize movies with the scorer the user's variants select
+      const assignments = experiments.getAssignments(userId);
+      const scoringConfig = experiments.resolveExperimentConfig(assignments, DEFAULT_SCORING_CONFIG);
+      const score = scoringSystem.getScorer(scoringConfig.scorer);
+      const scoredAt = new Date();
+      const catalogStats = await loadCatalogStats();
       const scoredMovies = allMovies.map(movie => {
-        // Ensure movie has feature vector
-        let features = movie.featureVector;
-        if (!features) {
-          features = scoringSystem.movieToFeatureVector(movie);
-        }
+        // Ensure movie has feature vector, with recency as of this run
+        const features = scoringSystem.getScoringFeatures(movie, scoredAt, catalogStats);
         
         // Calculate base score
-        const scoreResult = scoringSystem.calculateRecommendationScore(
+        const scoreResult = score(
           initialPreferences,
           features
         );
@@ -241,17 +363,29 @@ export const generateInitialRecommendations = functions.https.onCall(
         return {
           movieId: movie.id,
           movie,
+          features,
           score: scoreResult.finalScore + bonusScore,
           reason,
           scoreDetails: scoreResult
         };
       });
       
-      // 4. Sort by score and select top movies
-      scoredMovies.sort((a, b) => b.score - a.score);
+      // 4. Order by score, re-ranked so similar movies don't cluster; only the
+      // queue is re-ranked since each pick rescans every remaining candidate
+      const rankedMovies = diversityReranking.rerankForDiversity(scoredMovies, diversity, QUEUE_SIZE);
       
-      // 5. Build recommendation queue with balanced distribution
-      const queue: any[] = [];
+      // 5. Build recommendation queue: the most informative diagnostic titles
+      // first, then a balanced distribution of QUEUE_SIZE movies behind them
+      const diagnosticFeatures: Record<string, any> = {};
+      diagnosticMovies.forEach(movie => {
+        diagnosticFeatures[movie.id] = scoringSystem.getScoringFeatures(movie, scoredAt, catalogStats);
+      });
+      const queue: any[] = planRemainingDiagnostics(onboardingState, diagnosticFeatures)
+        .map((item: any, position: number) => ({
+          ...diagnosticQueueEntry(item.movieId, diagnosticFeatures[item.movieId], initialPreferences),
+          position
+        }));
+      const diagnosticCount = queue.length;
       const targetDistribution = {
         category_match: Math.floor(50 * 0.6),  // 60%
         trending: Math.floor(50 * 0.25),       // 25%
@@ -265,12 +399,17 @@ export const generateInitialRecommendations = functions.https.onCall(
         const targetCount = targetDistribution[reason as keyof typeof targetDistribution];
         let added = 0;
         
-        for (const item of scoredMovies) {
+        for (const item of rankedMovies) {
           if (item.reason === reason && !addedMovies.has(item.movieId) && added < targetCount) {
             queue.push({
               movieId: item.movieId,
               score: item.score,
               reason: item.reason,
+              explanation: explanations.buildExplanation({
+                userPreferences: initialPreferences,
+                movieFeatures: item.features,
+                reason: item.reason
+              }),
               position: queue.length
             });
             addedMovies.add(item.movieId);
@@ -279,13 +418,18 @@ export const generateInitialRecommendations = functions.https.onCall(
         }
       }
       
-      // Fill remaining slots with highest scored movies
-      for (const item of scoredMovies) {
-        if (!addedMovies.has(item.movieId) && queue.length < 50) {
+      // Fill remaining slots with highest ranked movies
+      for (const item of rankedMovies) {
+        if (!addedMovies.has(item.movieId) && queue.length < diagnosticCount + QUEUE_SIZE) {
           queue.push({
             movieId: item.movieId,
             score: item.score,
             reason: 'preference_match',
+            explanation: explanations.buildExplanation({
+              userPreferences: initialPreferences,
+              movieFeatures: item.features,
+              reason: 'preference_match'
+            }),
             position: queue.length
           });
           addedMovies.add(item.movieId);
@@ -293,19 +437,26 @@ export const generateInitialRecommendations = functions.https.onCall(
       }
       
       // 6. Save recommendations
-      const recommendationsRef = db.collection('recommendations').doc(userId);
       await recommendationsRef.set({
         userId,
         queue,
         metadata: {
           generatedAt: admin.firestore.Timestamp.now(),
-          algorithm: 'collaborative_content_v1',
+          algorithm: ALGORITHM_VERSION,
+          experiments: assignments,
           totalMoviesScored: scoredMovies.length,
+          candidateSources: candidates.sourceCounts,
           averageScore: scoredMovies.reduce((sum, item) => sum + item.score, 0) / scoredMovies.length,
-          explorationRate: 0.15
+          explorationRate: scoringConfig.explorationRate,
+          scorer: scoringConfig.scorer,
+          generation,
+          diversity,
+          diagnosticCount
         },
         nextRefresh: {
-          afterSwipes: 5,
+          afterSwipes: queueMaintenance.getQueueSettings(
+            userDoc.exists ? userDoc.data()!.recommendationSettings : undefined
+          ).refreshInterval,
           scheduledAt: null
         },
         updatedAt: admin.firestore.Timestamp.now()
@@ -316,7 +467,12 @@ export const generateInitialRecommendations = functions.https.onCall(
       return {
         success: true,
         recommendationCount: queue.length,
+        onboarding: {
+          status: onboardingState.status,
+          diagnosticSwipes: onboardingState.required
+        },
         distribution: {
+          diagnostic: diagnosticCount,
           category_match: queue.filter(r => r.reason === 'category_match').length,
           trending: queue.filter(r => r.reason === 'trending').length,
           exploration: queue.filter(r => r.reason === 'exploration').length,
@@ -334,111 +490,318 @@ export const generateInitialRecommendations = functions.https.onCall(
   }
 );
 
-// ===== CLOUD FUNCTION 3: Refresh Recommendations =====
-async function refreshUserRecommendations(userId: string) {
-  console.log(`Refreshing recommendations for user ${userId}`);
+// ===== HELPER FUNCTION: Load Diagnostic Features =====
+// Feature vectors of the onboarding deck titles still in the catalog
+async function loadDiagnosticFeatures(deck: string[], catalogStats: any): Promise<Record<string, any>> {
+  const features: Record<string, any> = {};
+  if (deck.length === 0) {
+    return features;
+  }
   
-  try {
-    // 1. Get user preferences and stats
-    const userPrefDoc = await db.collection('userPreferences').doc(userId).get();
-    if (!userPrefDoc.exists) {
-      console.error(`User preferences not found for ${userId}`);
+  const now = new Date();
+  const docs = await db.getAll(...deck.map(movieId => db.collection('movies').doc(movieId)));
+  docs.filter(doc => doc.exists).forEach(doc => {
+    features[doc.id] = scoringSystem.getScoringFeatures(doc.data()!, now, catalogStats);
+  });
+  return features;
+}
+
+// ===== HELPER FUNCTION: Plan Remaining Diagnostics =====
+// Unanswered deck titles in active-learning order, one per diagnostic swipe still owed
+function planRemainingDiagnostics(onboardingState: any, features: Record<string, any>): any[] {
+  const candidates = onboardingState.deck
+    .filter((movieId: string) => features[movieId] && !onboardingState.answered.includes(movieId))
+    .map((movieId: string) => ({ movieId, features: features[movieId] }));
+  const answeredFeatures = onboardingState.answered
+    .filter((movieId: string) => features[movieId])
+    .map((movieId: string) => features[movieId]);
+  
+  return onboarding.planDiagnosticOrder(
+    candidates,
+    answeredFeatures,
+    onboardingState.required - onboardingState.diagnosticSwipes
+  );
+}
+
+function diagnosticQueueEntry(movieId: string, features: any, userPreferences: any) {
+  return {
+    movieId,
+    score: scoringSystem.calculateRecommendationScore(userPreferences, features).finalScore,
+    reason: 'diagnostic',
+    explanation: explanations.buildExplanation({
+      userPreferences,
+      movieFeatures: features,
+      reason: 'diagnostic'
+    })
+  };
+}
+
+// ===== HELPER FUNCTION: Reorder Diagnostic Queue =====
+// Replaces the diagnostic titles at the front of the queue with the new plan;
+// the rest of the queue keeps its order
+async function reorderDiagnosticQueue(
+  userId: string,
+  plan: any[],
+  features: Record<string, any>,
+  userPreferences: any
+) {
+  const recommendationsRef = db.collection('recommendations').doc(userId);
+  
+  await db.runTransaction(async (transaction) => {
+    const recommendationsDoc = await transaction.get(recommendationsRef);
+    if (!recommendationsDoc.exists) {
       return;
     }
     
-    const userPreferences = userPrefDoc.data()!.preferenceVector;
+    const rest = (recommendationsDoc.data()!.queue || [])
+      .filter((item: any) => item.reason !== 'diagnostic');
+    const queue = [
+      ...plan.map((item: any) => diagnosticQueueEntry(item.movieId, features[item.movieId], userPreferences)),
+      ...rest
+    ].map((item: any, position: number) => ({ ...item, position }));
     
-    const userDoc = await db.collection('users').doc(userId).get();
-    const userStats = userDoc.exists ? userDoc.data()!.stats : {};
+    transaction.update(recommendationsRef, {
+      queue,
+      'metadata.diagnosticCount': plan.length,
+      updatedAt: admin.firestore.Timestamp.now()
+    });
+  });
+}
+
+// ===== HELPER FUNCTION: Load Ranking Context =====
+// Everything both the full rebuild and a top-up need before scoring. Each
+// rebuild or top-up is a new generation with its own exploration seed.
+async function loadRankingContext(userId: string, previousRecommendations: any) {
+  const userPrefDoc = await db.collection('userPreferences').doc(userId).get();
+  if (!userPrefDoc.exists) {
+    console.error(`User preferences not found for ${userId}`);
+    return null;
+  }
+  
+  const generation = (previousRecommendations.data()?.metadata?.generation || 0) + 1;
+  const explorationSeed = exploration.explorationSeed(userId, generation);
+  
+  const userDoc = await db.collection('users').doc(userId).get();
+  const userData = userDoc.exists ? userDoc.data()! : {};
+  const userStats = userData.stats || {};
+  
+  // Rank on the taste as it stands now: decayed for the time since the last swipe
+  const learningSettings = resolveLearningSettings(userPrefDoc.data()!.learningMetadata);
+  const idleMs = userStats.lastSwipeAt ? Date.now() - userStats.lastSwipeAt.toMillis() : 0;
+  const userPreferences = scoringSystem.applyTemporalDecay(
+    scoringSystem.upgradePreferenceVector(userPrefDoc.data()!.preferenceVector),
+    idleMs,
+    learningSettings
+  );
+  const explorationArms = exploration.decayGenreArms(
+    userPrefDoc.data()!.explorationArms || {},
+    scoringSystem.getTemporalDecayMultiplier(idleMs, learningSettings)
+  );
+  const diversity = diversityReranking.getDiversitySetting(userData.recommendationSettings);
+  const queueSettings = queueMaintenance.getQueueSettings(userData.recommendationSettings);
+  
+  // Apply experiment variants, then calculate dynamic exploration rate
+  const assignments = experiments.getAssignments(userId);
+  const scoringConfig = experiments.resolveExperimentConfig(assignments, DEFAULT_SCORING_CONFIG);
+  const explorationRate = scoringSystem.calculateExplorationRate(
+    userStats.totalSwipes || 0,
+    userStats.likeRatio || 0.5,
+    scoringConfig.explorationRate
+  );
+  
+  return {
+    userPreferences,
+    explorationArms,
+    generation,
+    explorationSeed,
+    diversity,
+    queueSettings,
+    assignments,
+    explorationRate,
+    collaborativeWeight: scoringConfig.collaborativeWeight,
+    scorer: scoringConfig.scorer
+  };
+}
+
+// ===== HELPER FUNCTION: Rank Queue Items =====
+// Scores candidates, re-ranks for diversity, then fills exploration slots by
+// Thompson sampling over genre arms; the seeded PRNG makes the result reproducible.
+// Each item is explained against the user's loved/liked `anchors`.
+async function rankQueueItems(
+  candidates: any[],
+  count: number,
+  rankingContext: any,
+  collaborativeScore: (movieId: string) => number | null,
+  anchors: any[]
+) {
+  const {
+    userPreferences,
+    explorationArms,
+    explorationSeed,
+    diversity,
+    explorationRate,
+    collaborativeWeight
+  } = rankingContext;
+  const score = scoringSystem.getScorer(rankingContext.scorer);
+  
+  const scoredAt = new Date();
+  const catalogStats = await loadCatalogStats();
+  const scoredMovies = candidates.map(movie => {
+    // Ensure movie has feature vector, with recency as of this refresh
+    const features = scoringSystem.getScoringFeatures(movie, scoredAt, catalogStats);
     
-    // 2. Calculate dynamic exploration rate
-    const explorationRate = scoringSystem.calculateExplorationRate(
-      userStats.totalSwipes || 0,
-      userStats.likeRatio || 0.5,
-      0.15
+    // Calculate score
+    const scoreResult = score(
+      userPreferences,
+      features,
+      explorationRate,
+      false,
+      {
+        collaborativeScore: collaborativeScore(movie.id),
+        collaborativeWeight
+      }
     );
     
-    // 3. Get user's interaction history
+    // Determine recommendation reason
+    let reason = 'preference_match';
+    if (scoreResult.components.collaborative > 0.5) {
+      reason = 'similar_users';
+    } else if (movie.popularity > 200 && movie.voteAverage > 7.5) {
+      reason = 'trending';
+    }
+    
+    return {
+      movieId: movie.id,
+      features,
+      score: scoreResult.finalScore,
+      reason,
+      scoreDetails: scoreResult
+    };
+  });
+  
+  const explorationCount = Math.round(explorationRate * count);
+  const exploitation = diversityReranking.rerankForDiversity(
+    scoredMovies,
+    diversity,
+    count - explorationCount
+  );
+  const exploited = new Set(exploitation.map((item: any) => item.movieId));
+  
+  const rng = exploration.createRng(explorationSeed);
+  const explorationPicks = exploration.selectExplorationMovies(
+    scoredMovies.filter(item => !exploited.has(item.movieId)),
+    explorationArms,
+    explorationCount,
+    rng
+  );
+  const explorationItems = explorationPicks.map(({ item, arm, sample }: any) => {
+    const scoreResult = score(
+      userPreferences,
+      item.features,
+      explorationRate,
+      true,
+      {
+        collaborativeScore: item.scoreDetails.components.collaborative,
+        collaborativeWeight,
+        explorationSample: sample
+      }
+    );
+    return { ...item, score: scoreResult.finalScore, reason: 'exploration', arm, scoreDetails: scoreResult };
+  });
+  
+  const items = exploration.interleaveExploration(exploitation, explorationItems).map((item: any) => ({
+    movieId: item.movieId,
+    score: item.score,
+    reason: item.reason,
+    explanation: explanations.buildExplanation({
+      userPreferences,
+      movieFeatures: item.features,
+      reason: item.reason,
+      anchors,
+      arm: item.arm
+    })
+  }));
+  
+  return {
+    items,
+    totalMoviesScored: scoredMovies.length,
+    explorationGenres: explorationItems.map((item: any) => item.arm)
+  };
+}
+
+// ===== CLOUD FUNCTION 3: Refresh Recommendations =====
+// Full rebuild: rescans the user's whole history and the top of the catalog
+async function refreshUserRecommendations(userId: string) {
+  console.log(`Refreshing recommendations for user ${userId}`);
+  
+  try {
+    // 1. Load preferences, settings and experiment variants
+    const recommendationsRef = db.collection('recommendations').doc(userId);
+    const previousRecommendations = await recommendationsRef.get();
+    const rankingContext = await loadRankingContext(userId, previousRecommendations);
+    if (!rankingContext) {
+      return;
+    }
+    
+    // 2. Get user's interaction history
     const interactionsSnapshot = await db.collection('interactions')
       .where('userId', '==', userId)
       .get();
     
-    const seenMovies = new Set();
+    const seenMovies = new Set<string>();
+    const userInteractions: any[] = [];
     interactionsSnapshot.forEach(doc => {
+      if (!ingestion.isActiveInteraction(doc.data())) {
+        return;
+      }
       seenMovies.add(doc.data().movieId);
+      userInteractions.push(doc.data());
     });
+    userInteractions.sort((a, b) => a.timestamp.toMillis() - b.timestamp.toMillis());
     
-    // 4. Get unseen movies
-    const moviesSnapshot = await db.collection('movies')
-      .orderBy('popularity', 'desc')
-      .limit(1000)
-      .get();
-    
-    const unseenMovies: any[] = [];
-    moviesSnapshot.forEach(doc => {
-      if (!seenMovies.has(doc.id)) {
-        unseenMovies.push({ id: doc.id, ...doc.data() });
-      }
-    });
+    // Collaborative signal from movies co-liked with the user's rated movies
+    const collaborativeModel = await loadCollaborativeModel(userInteractions);
     
-    // 5. Score all unseen movies
-    const scoredMovies = unseenMovies.map(movie => {
-      // Ensure movie has feature vector
-      let features = movie.featureVector;
-      if (!features) {
-        features = scoringSystem.movieToFeatureVector(movie);
-      }
-      
-      // Determine if this is an exploration movie
-      const isExploration = Math.random() < explorationRate;
-      
-      // Calculate score
-      const scoreResult = scoringSystem.calculateRecommendationScore(
-        userPreferences,
-        features,
-        explorationRate,
-        isExploration
-      );
-      
-      // Determine recommendation reason
-      let reason = 'preference_match';
-      if (isExploration) {
-        reason = 'exploration';
-      } else if (movie.popularity > 200 && movie.voteAverage > 7.5) {
-        reason = 'trending';
-      }
-      
-      return {
-        movieId: movie.id,
-        score: scoreResult.finalScore,
-        reason,
-        scoreDetails: scoreResult
-      };
+    // 3. Generate unseen candidates from every source
+    const candidates = await generateCandidates({
+      userPreferences: rankingContext.userPreferences,
+      excluded: seenMovies,
+      seed: rankingContext.explorationSeed,
+      neighbourIds: collaborativeModel.neighbourIds
     });
     
-    // 6. Sort by score and create queue
-    scoredMovies.sort((a, b) => b.score - a.score);
-    
-    const queue = scoredMovies.slice(0, 50).map((item, index) => ({
-      movieId: item.movieId,
-      score: item.score,
-      reason: item.reason,
-      position: index
-    }));
+    // 4. Score and rank into a queue
+    const anchors = await loadExplanationAnchors(userInteractions);
+    const ranked = await rankQueueItems(
+      candidates.movies,
+      QUEUE_SIZE,
+      rankingContext,
+      collaborativeModel.score,
+      anchors
+    );
+    const queue = queueMaintenance.appendToQueue([], ranked.items);
     
-    // 7. Update recommendations
-    await db.collection('recommendations').doc(userId).set({
+    // 5. Update recommendations
+    await recommendationsRef.set({
       userId,
       queue,
       metadata: {
         generatedAt: admin.firestore.Timestamp.now(),
-        algorithm: 'collaborative_content_v1',
-        totalMoviesScored: scoredMovies.length,
-        averageScore: scoredMovies.slice(0, 50).reduce((sum, item) => sum + item.score, 0) / 50,
-        explorationRate
+        algorithm: ALGORITHM_VERSION,
+        experiments: rankingContext.assignments,
+        totalMoviesScored: ranked.totalMoviesScored,
+        candidateSources: candidates.sourceCounts,
+        averageScore: queue.reduce((sum: number, item: any) => sum + item.score, 0) / QUEUE_SIZE,
+        explorationRate: rankingContext.explorationRate,
+        explorationSeed: rankingContext.explorationSeed,
+        explorationGenres: ranked.explorationGenres,
+        generation: rankingContext.generation,
+        collaborativeWeight: rankingContext.collaborativeWeight,
+        scorer: rankingContext.scorer,
+        diversity: rankingContext.diversity
       },
       nextRefresh: {
-        afterSwipes: 5,
+        afterSwipes: rankingContext.queueSettings.refreshInterval,
         scheduledAt: null
       },
       updatedAt: admin.firestore.Timestamp.now()
@@ -452,6 +815,175 @@ async function refreshUserRecommendations(userId: string) {
   }
 }
 
+// ===== HELPER FUNCTION: Record Swipe Stats =====
+// Counts the swipe in the user's stats. lastSwipeAt only moves forward, so a
+// swipe processed after a newer one cannot rewind the temporal decay clock.
+// Returns the new total, or null when the user has no profile yet.
+async function recordSwipeStats(
+  userRef: admin.firestore.DocumentReference,
+  action: string,
+  swipedAt: Date
+): Promise<number | null> {
+  return db.runTransaction(async transaction => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      return null;
+    }
+    
+    const stats = userDoc.data()!.stats || {};
+    const swipesByAction = stats.swipesByAction || {};
+    
+    swipesByAction[action] = (swipesByAction[action] || 0) + 1;
+    const totalSwipes = stats.totalSwipes + 1 || 1;
+    
+    // Calculate like ratio
+    const positiveActions = (swipesByAction.loved || 0) + (swipesByAction.liked || 0);
+    const likeRatio = totalSwipes > 0 ? positiveActions / totalSwipes : 0;
+    
+    const swipedAtTimestamp = admin.firestore.Timestamp.fromDate(swipedAt);
+    const lastSwipeAt = stats.lastSwipeAt && stats.lastSwipeAt.toMillis() > swipedAtTimestamp.toMillis()
+      ? stats.lastSwipeAt
+      : swipedAtTimestamp;
+    
+    transaction.update(userRef, {
+      'stats.totalSwipes': totalSwipes,
+      'stats.likeRatio': likeRatio,
+      'stats.lastSwipeAt': lastSwipeAt,
+      [`stats.swipesByAction.${action}`]: swipesByAction[action]
+    });
+    
+    return totalSwipes;
+  });
+}
+
+// ===== HELPER FUNCTION: Record Movie Interaction =====
+// Aggregate interaction counts kept on the movie document
+async function recordMovieInteraction(movieRef: admin.firestore.DocumentReference, action: string) {
+  await movieRef.update({
+    'recommendationData.totalInteractions': admin.firestore.FieldValue.increment(1),
+    'recommendationData.positiveInteractions': ['loved', 'liked'].includes(action) 
+      ? admin.firestore.FieldValue.increment(1) 
+      : admin.firestore.FieldValue.increment(0),
+    'recommendationData.lastInteractionAt': admin.firestore.Timestamp.now()
+  });
+}
+
+// ===== HELPER FUNCTION: Pop Consumed Movie =====
+// Removes a swiped movie from the user's queue
+async function popConsumedMovie(userId: string, movieId: string) {
+  const recommendationsRef = db.collection('recommendations').doc(userId);
+  
+  await db.runTransaction(async transaction => {
+    const recommendationsDoc = await transaction.get(recommendationsRef);
+    if (!recommendationsDoc.exists) {
+      return;
+    }
+    
+    const queue = recommendationsDoc.data()!.queue || [];
+    const remaining = queueMaintenance.popConsumed(queue, [movieId]);
+    if (remaining.length !== queue.length) {
+      transaction.update(recommendationsRef, {
+        queue: remaining,
+        updatedAt: admin.firestore.Timestamp.now()
+      });
+    }
+  });
+}
+
+// ===== HELPER FUNCTION: Top Up Recommendations =====
+// Incremental maintenance: rescore only a window of candidates and append
+// enough of them to refill the queue once it drops below minQueueSize
+async function topUpUserRecommendations(userId: string) {
+  const recommendationsRef = db.collection('recommendations').doc(userId);
+  const previousRecommendations = await recommendationsRef.get();
+  const currentQueue = previousRecommendations.data()?.queue;
+  
+  // Nothing to maintain yet: build the queue from scratch
+  if (!currentQueue) {
+    await refreshUserRecommendations(userId);
+    return;
+  }
+  
+  try {
+    const rankingContext = await loadRankingContext(userId, previousRecommendations);
+    if (!rankingContext) {
+      return;
+    }
+    
+    const count = queueMaintenance.getTopUpCount(currentQueue.length, rankingContext.queueSettings);
+    if (count === 0) {
+      return;
+    }
+    
+    console.log(`Topping up recommendations for user ${userId}: ${currentQueue.length} left`);
+    
+    // 1. Recent interactions seed the collaborative signal
+    const recentSnapshot = await db.collection('interactions')
+      .where('userId', '==', userId)
+      .orderBy('timestamp', 'desc')
+      .limit(queueMaintenance.QUEUE_MAINTENANCE_CONFIG.recentInteractions)
+      .get();
+    const recentInteractions = recentSnapshot.docs
+      .map(doc => doc.data())
+      .filter(ingestion.isActiveInteraction)
+      .reverse();
+    const collaborativeModel = await loadCollaborativeModel(recentInteractions);
+    
+    // 2. Score a window of unseen, unqueued candidates
+    const excluded = new Set<string>([
+      ...currentQueue.map((item: any) => item.movieId),
+      ...recentInteractions.map(interaction => interaction.movieId)
+    ]);
+    const candidates = await generateCandidates({
+      userPreferences: rankingContext.userPreferences,
+      excluded,
+      seed: rankingContext.explorationSeed,
+      neighbourIds: collaborativeModel.neighbourIds
+    });
+    const seen = await loadSeenMovieIds(userId, candidates.movies.map((movie: any) => movie.id));
+    const candidateWindow = candidates.movies
+      .filter((movie: any) => !seen.has(movie.id))
+      .slice(0, queueMaintenance.QUEUE_MAINTENANCE_CONFIG.candidateWindow);
+    const anchors = await loadExplanationAnchors(recentInteractions);
+    const ranked = await rankQueueItems(
+      candidateWindow,
+      count,
+      rankingContext,
+      collaborativeModel.score,
+      anchors
+    );
+    
+    // 3. Append to the queue as it is now; swipes may have popped more meanwhile
+    await db.runTransaction(async transaction => {
+      const latest = await transaction.get(recommendationsRef);
+      const queue = queueMaintenance.appendToQueue(latest.data()?.queue || [], ranked.items);
+      
+      transaction.update(recommendationsRef, {
+        queue,
+        'metadata.toppedUpAt': admin.firestore.Timestamp.now(),
+        'metadata.experiments': rankingContext.assignments,
+        'metadata.candidateSources': candidateGeneration.countCandidateSources(candidateWindow),
+        'metadata.averageScore': queue.reduce((sum: number, item: any) => sum + item.score, 0) / QUEUE_SIZE,
+        'metadata.explorationRate': rankingContext.explorationRate,
+        'metadata.explorationSeed': rankingContext.explorationSeed,
+        'metadata.explorationGenres': ranked.explorationGenres,
+        'metadata.generation': rankingContext.generation,
+        'metadata.collaborativeWeight': rankingContext.collaborativeWeight,
+        'metadata.scorer': rankingContext.scorer,
+        'metadata.diversity': rankingContext.diversity,
+        'nextRefresh.afterSwipes': rankingContext.queueSettings.refreshInterval,
+        updatedAt: admin.firestore.Timestamp.now()
+      });
+    });
+    
+    console.log(`Topped up recommendations for user ${userId}: scored ${ranked.totalMoviesScored} candidates`);
+    
+  } catch (error) {
+    console.error('Error topping up recommendations:', error);
+    throw error;
+  }
+}
+
 // Export for callable function
 export const refreshRecommendations = functions.https.onCall(
   async (data, context) => {
@@ -529,103 +1061,3 @@ export const getUserScoringDetails = functions.https.onCall(
     }
   }
 );
-
-// ===== HELPER FUNCTION: Populate Movie Features =====
-export const populateMovieFeatures = functions.https.onCall(
-  async (data, context) => {
-    if (!context.auth) {
-      throw new functions.https.HttpsError(
-        'unauthenticated',
-        'User must be authenticated'
-      );
-    }
-
-    console.log('Populating movie feature vectors...');
-    
-    try {
-      const moviesSnapshot = await db.collection('movies')
-        .where('featureVector', '==', null)
-        .limit(100)
-        .get();
-
-      if (moviesSnapshot.empty) {
-        return {
-          success: true,
-          message: 'All movies already have feature vectors',
-          updatedCount: 0
-        };
-      }
-
-      const batch = db.batch();
-      let updatedCount = 0;
-
-      moviesSnapshot.forEach(doc => {
-        const movie = doc.data();
-        const features = scoringSystem.movieToFeatureVector(movie);
-        
-        batch.update(doc.ref, {
-          featureVector: features,
-          updatedAt: admin.firestore.Timestamp.now()
-        });
-        
-        updatedCount++;
-      });
-
-      await batch.commit();
-      
-      console.log(`Updated feature vectors for ${updatedCount} movies`);
-      
-      return {
-        success: true,
-        message: `Updated ${updatedCount} movies with feature vectors`,
-        updatedCount
-      };
-      
-    } catch (error) {
-      console.error('Error populating movie features:', error);
-      throw new functions.https.HttpsError(
-        'internal',
-        'Failed to populate movie features'
-      );
-    }
-  }
-);
-
-// ===== SCHEDULED FUNCTION: Update Movie Features =====
-export const updateMovieFeatures = functions.pubsub
-  .schedule('every 24 hours')
-  .onRun(async (context) => {
-    console.log('Updating movie feature vectors...');
-    
-    const batch = db.batch();
-    let updateCount = 0;
-    
-    try {
-      const moviesSnapshot = await db.collection('movies')
-        .where('featureVector', '==', null)
-        .limit(100)
-        .get();
-      
-      moviesSnapshot.forEach(doc => {
-        const movie = doc.data();
-        const features = scoringSystem.movieToFeatureVector(movie);
-        
-        batch.update(doc.ref, {
-          featureVector: features,
-          updatedAt: admin.firestore.Timestamp.now()
-        });
-        
-        updateCount++;
-      });
-      
-      if (updateCount > 0) {
-        await batch.commit();
-        console.log(`Updated feature vectors for ${updateCount} movies`);
-      } else {
-        console.log('No movies need feature vector updates');
-      }
-      
-    } catch (error) {
-      console.error('Error updating movie features:', error);
-    }
-  });
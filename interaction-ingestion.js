@@ -0,0 +1,204 @@
+// WatchLyst Interaction Ingestion
+// Single entry point for turning client swipes into canonical `interactions` documents
+
+const { GESTURE_WEIGHTS } = require('./scoring-system.js');
+const { getAssignments } = require('./experiments.js');
+
+// ===== CANONICAL GESTURES =====
+// The five gestures the recommendation pipeline understands
+const VALID_GESTURES = Object.keys(GESTURE_WEIGHTS);
+
+// ===== LEGACY ACTION ALIASES =====
+// Free-form actions written by the old `swipes` endpoints
+const LEGACY_ACTION_ALIASES = {
+  love: 'loved',
+  like: 'liked',
+  dislike: 'disliked',
+  unseen: 'not_seen',
+  'not seen': 'not_seen'
+};
+
+// ===== INTERACTION SOURCES =====
+// Recorded on `context.source` so we know which path produced a document
+const INTERACTION_SOURCES = {
+  app: 'app',
+  faceOff: 'face_off',
+  simpleServer: 'simple_server',
+  legacySwipes: 'legacy_swipes'
+};
+
+// ===== CORRECTIONS =====
+// Clients never edit interactions. Undo and rating changes revoke the original
+// server-side (`revokedAt`) and record a compensating `interactionCorrections` document.
+const CORRECTION_KINDS = {
+  undo: 'undo',
+  changeRating: 'change_rating'
+};
+
+/**
+ * Map a client action onto one of the canonical gestures
+ * @param {string} action - Raw action string from the client
+ * @returns {string|null} Canonical gesture, or null if unrecognised
+ */
+function normalizeGesture(action) {
+  if (typeof action !== 'string') {
+    return null;
+  }
+
+  const key = action.trim().toLowerCase();
+  if (VALID_GESTURES.includes(key)) {
+    return key;
+  }
+
+  return LEGACY_ACTION_ALIASES[key] || null;
+}
+
+/**
+ * Experiment assignments to record on an interaction
+ * Always computed here, never taken from the client's `context.experiments`.
+ * @param {string} userId - User ID
+ * @param {string} source - One of INTERACTION_SOURCES
+ * @returns {Object|null} experimentId -> variantId, or null for migrated swipes
+ */
+function experimentAssignments(userId, source) {
+  return source === INTERACTION_SOURCES.legacySwipes ? null : getAssignments(userId);
+}
+
+/**
+ * Validate a swipe and build the canonical interaction payload
+ * The caller is responsible for adding the `timestamp` field.
+ * @param {Object} input - { userId, movieId, action, context }
+ * @param {string} source - One of INTERACTION_SOURCES
+ * @returns {Object} { isValid, errors, interaction }
+ */
+function validateInteraction(input, source = INTERACTION_SOURCES.app) {
+  const errors = [];
+  const { userId, movieId, action, context = {} } = input || {};
+
+  if (typeof userId !== 'string' || userId.length === 0) {
+    errors.push('userId is required');
+  }
+
+  if (movieId === undefined || movieId === null || movieId === '') {
+    errors.push('movieId is required');
+  }
+
+  const gesture = normalizeGesture(action);
+  if (!gesture) {
+    errors.push(`action must be one of: ${VALID_GESTURES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, interaction: null };
+  }
+
+  const interaction = {
+    userId,
+    movieId: movieId.toString(),
+    action: gesture,
+    context: {
+      ...context,
+      source
+    }
+  };
+
+  // Experiment variants are assigned server-side; migrated history predates them
+  const assignments = experimentAssignments(userId, source);
+  if (assignments) {
+    interaction.context.experiments = assignments;
+  } else {
+    delete interaction.context.experiments;
+  }
+
+  // Keep the raw client action around when we had to translate it
+  if (gesture !== action) {
+    interaction.context.originalAction = action;
+  }
+
+  return { isValid: true, errors, interaction };
+}
+
+/**
+ * Convert a legacy `swipes` document into an interaction payload
+ * @param {string} swipeId - Document ID in the `swipes` collection
+ * @param {Object} swipe - Swipe document data
+ * @returns {Object} { isValid, errors, interaction } with `timestamp` preserved
+ */
+function swipeToInteraction(swipeId, swipe) {
+  const result = validateInteraction({
+    userId: swipe.userId,
+    movieId: swipe.movieId,
+    action: swipe.action,
+    context: { legacySwipeId: swipeId }
+  }, INTERACTION_SOURCES.legacySwipes);
+
+  if (result.isValid) {
+    result.interaction.timestamp = swipe.timestamp || null;
+  }
+
+  return result;
+}
+
+/**
+ * Deterministic interaction ID for a migrated swipe, so reruns stay idempotent
+ * @param {string} swipeId - Document ID in the `swipes` collection
+ * @returns {string} Interaction document ID
+ */
+function legacyInteractionId(swipeId) {
+  return `legacy_${swipeId}`;
+}
+
+/**
+ * Whether an interaction still counts towards the model
+ * @param {Object} interaction - Interaction document data
+ * @returns {boolean} False once an undo or rating change has revoked it
+ */
+function isActiveInteraction(interaction) {
+  return !interaction.revokedAt;
+}
+
+/**
+ * When the user last swiped, once one interaction is taken back
+ * @param {Array} interactions - [{ id, timestamp, revokedAt? }], newest first
+ * @param {string} interactionId - Interaction being revoked
+ * @returns {*} Timestamp of the latest remaining active interaction, or null if there is none
+ */
+function lastSwipeAtWithout(interactions, interactionId) {
+  const latest = interactions.find(item => item.id !== interactionId && isActiveInteraction(item));
+  return latest ? latest.timestamp : null;
+}
+
+/**
+ * Swipe stats with one gesture taken back
+ * @param {string} action - Gesture being revoked
+ * @param {Object} stats - users/{userId}.stats
+ * @returns {Object} { totalSwipes, likeRatio, swipesByAction }
+ */
+function revertSwipeStats(action, stats = {}) {
+  const swipesByAction = { ...(stats.swipesByAction || {}) };
+  swipesByAction[action] = Math.max(0, (swipesByAction[action] || 0) - 1);
+
+  const totalSwipes = Math.max(0, (stats.totalSwipes || 0) - 1);
+  const positiveActions = (swipesByAction.loved || 0) + (swipesByAction.liked || 0);
+
+  return {
+    totalSwipes,
+    likeRatio: totalSwipes > 0 ? positiveActions / totalSwipes : 0,
+    swipesByAction
+  };
+}
+
+module.exports = {
+  VALID_GESTURES,
+  LEGACY_ACTION_ALIASES,
+  INTERACTION_SOURCES,
+  CORRECTION_KINDS,
+  normalizeGesture,
+  experimentAssignments,
+  validateInteraction,
+  swipeToInteraction,
+  legacyInteractionId,
+  isActiveInteraction,
+  lastSwipeAtWithout,
+  revertSwipeStats
+};
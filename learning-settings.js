@@ -0,0 +1,68 @@
+// WatchLyst Recommendation System - Learning Settings
+// Central learning hyper-parameters, shared by Cloud Functions
+// (OptimizationConfig.learning) and the root scripts
+
+// ===== LEARNING CONFIGURATION =====
+const LEARNING_CONFIG = {
+  // Adaptive learning rate based on interaction count
+  adaptiveLearningRate: {
+    initial: 0.1,
+    decay: 0.95,          // Multiplied into the learning rate every updateInterval interactions
+    minimum: 0.01,
+    updateInterval: 100   // interactions
+  },
+
+  // Updates whose largest change is below this are skipped
+  convergenceThreshold: 0.001,
+
+  // Maximum preference vector magnitude (bound on each dimension)
+  maxVectorMagnitude: 1.0,
+
+  // Days without swipes that halve every preference toward neutral (0 disables)
+  preferenceHalfLifeDays: 180
+};
+
+// Hyper-parameters an admin may set per user or cohort, with allowed ranges
+const LEARNING_PARAMETER_RANGES = {
+  learningRate: [0.001, 1],
+  decayFactor: [0.5, 1],
+  minimumLearningRate: [0, 1],
+  convergenceThreshold: [0, 0.1],
+  maxVectorMagnitude: [0.1, 1],
+  preferenceHalfLifeDays: [0, 3650]
+};
+
+/**
+ * Learning settings for a user
+ * LEARNING_CONFIG first, then any hyper-parameters stored in the user's
+ * learningMetadata. Only admin overrides are stored there, so clearing one
+ * falls back to the central value.
+ * @param {Object} learningMetadata - userPreferences/{userId}.learningMetadata
+ * @returns {Object} { learningRate, decayFactor, updateInterval, minimumLearningRate,
+ *   convergenceThreshold, maxVectorMagnitude, preferenceHalfLifeDays }
+ */
+function resolveLearningSettings(learningMetadata = {}) {
+  const settings = {
+    learningRate: LEARNING_CONFIG.adaptiveLearningRate.initial,
+    decayFactor: LEARNING_CONFIG.adaptiveLearningRate.decay,
+    updateInterval: LEARNING_CONFIG.adaptiveLearningRate.updateInterval,
+    minimumLearningRate: LEARNING_CONFIG.adaptiveLearningRate.minimum,
+    convergenceThreshold: LEARNING_CONFIG.convergenceThreshold,
+    maxVectorMagnitude: LEARNING_CONFIG.maxVectorMagnitude,
+    preferenceHalfLifeDays: LEARNING_CONFIG.preferenceHalfLifeDays
+  };
+
+  Object.keys(LEARNING_PARAMETER_RANGES).forEach(name => {
+    if (typeof learningMetadata?.[name] === 'number') {
+      settings[name] = learningMetadata[name];
+    }
+  });
+
+  return settings;
+}
+
+module.exports = {
+  LEARNING_CONFIG,
+  LEARNING_PARAMETER_RANGES,
+  resolveLearningSettings
+};
@@ -0,0 +1,352 @@
+// WatchLyst Recommendation System - Offline Evaluation
+// Replays recorded interactions through the learner and measures ranking quality
+
+const defaultScoringSystem = require('./scoring-system.js');
+const { resolveLearningSettings } = require('./learning-settings.js');
+const collaborative = require('./collaborative-filtering.js');
+const { normalizeGesture } = require('./interaction-ingestion.js');
+
+// ===== EVALUATION CONFIGURATION =====
+const EVALUATION_DEFAULTS = {
+  k: 10,                  // Cut-off for precision, recall and NDCG
+  minHistory: 1,          // Interactions a user needs before their rankings are scored
+  relevantActions: ['loved', 'liked'],
+  learningSettings: {},   // Overrides for the resolveLearningSettings defaults
+  collaborativeWeight: 0  // Share of the score taken by the collaborative signal
+};
+
+// Ready-made configs for the CLI; `blended` matches production
+const EVALUATION_PRESETS = {
+  content: { name: 'content', collaborativeWeight: 0 },
+  blended: { name: 'blended', collaborativeWeight: collaborative.COLLABORATIVE_CONFIG.blendWeight }
+};
+
+// ===== DATASET LOADING =====
+
+/**
+ * Convert an exported timestamp to milliseconds
+ * Accepts ISO strings, epoch milliseconds and Firestore JSON exports.
+ * @param {*} value - Timestamp in any supported shape
+ * @returns {number|null} Milliseconds since epoch
+ */
+function toMillis(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+
+  const seconds = value._seconds ?? value.seconds;
+  if (typeof seconds === 'number') {
+    return seconds * 1000 + Math.floor((value._nanoseconds ?? value.nanoseconds ?? 0) / 1e6);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a JSON or JSONL fixture
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @returns {*} Parsed JSON value, or an array of records for JSONL
+ */
+function parseFixture(text, filename = '') {
+  if (filename.endsWith('.jsonl')) {
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Build a dataset from exported interactions and movies
+ * Invalid gestures and interactions without a timestamp or known movie are dropped.
+ * @param {Array} interactions - [{ userId, movieId, action, timestamp }]
+ * @param {Array} movies - Movie documents, each with `id` (or `tmdbId`)
+ * @returns {Object} { interactions, movies, skipped }
+ */
+function prepareDataset(interactions, movies) {
+  const movieMap = new Map();
+  movies.forEach(movie => {
+    const id = String(movie.id ?? movie.tmdbId);
+    movieMap.set(id, { ...movie, id });
+  });
+
+  let skipped = 0;
+  const prepared = [];
+
+  interactions.forEach(raw => {
+    const action = normalizeGesture(raw.action);
+    const timestamp = toMillis(raw.timestamp);
+    const movieId = raw.movieId !== undefined ? String(raw.movieId) : null;
+
+    if (!raw.userId || !action || timestamp === null || !movieMap.has(movieId)) {
+      skipped++;
+      return;
+    }
+
+    prepared.push({ userId: raw.userId, movieId, action, timestamp });
+  });
+
+  prepared.sort((a, b) => a.timestamp - b.timestamp);
+
+  return { interactions: prepared, movies: [...movieMap.values()], skipped };
+}
+
+// ===== RANKING METRICS =====
+
+/**
+ * Fraction of the top k that is relevant
+ * @param {Array<string>} ranked - Movie IDs, best first
+ * @param {Set<string>} relevant - Held-out relevant movie IDs
+ * @param {number} k - Cut-off
+ * @returns {number} Precision@k
+ */
+function precisionAtK(ranked, relevant, k) {
+  const hits = ranked.slice(0, k).filter(id => relevant.has(id)).length;
+  return hits / k;
+}
+
+/**
+ * Fraction of the relevant movies found in the top k
+ * @param {Array<string>} ranked - Movie IDs, best first
+ * @param {Set<string>} relevant - Held-out relevant movie IDs
+ * @param {number} k - Cut-off
+ * @returns {number} Recall@k
+ */
+function recallAtK(ranked, relevant, k) {
+  if (relevant.size === 0) {
+    return 0;
+  }
+  const hits = ranked.slice(0, k).filter(id => relevant.has(id)).length;
+  return hits / relevant.size;
+}
+
+/**
+ * Normalised discounted cumulative gain with binary relevance
+ * @param {Array<string>} ranked - Movie IDs, best first
+ * @param {Set<string>} relevant - Held-out relevant movie IDs
+ * @param {number} k - Cut-off
+ * @returns {number} NDCG@k (0-1)
+ */
+function ndcgAtK(ranked, relevant, k) {
+  let dcg = 0;
+  ranked.slice(0, k).forEach((id, index) => {
+    if (relevant.has(id)) {
+      dcg += 1 / Math.log2(index + 2);
+    }
+  });
+
+  let idealDcg = 0;
+  for (let index = 0; index < Math.min(k, relevant.size); index++) {
+    idealDcg += 1 / Math.log2(index + 2);
+  }
+
+  return idealDcg > 0 ? dcg / idealDcg : 0;
+}
+
+// ===== REPLAY =====
+
+/**
+ * Number of interactions strictly before a moment
+ * @param {Array} interactions - Sorted by timestamp, as prepareDataset returns them
+ * @param {number} timestamp - Moment in ms
+ * @returns {number} Index of the first interaction at or after `timestamp`
+ */
+function countBefore(interactions, timestamp) {
+  let low = 0;
+  let high = interactions.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (interactions[middle].timestamp < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Replay the dataset chronologically and score each ranking
+ * Before every interaction (once the user has minHistory), the user's unseen
+ * movies are ranked with their current preferences and compared against the
+ * movies they go on to love or like. The interaction is then applied with
+ * updateUserPreferences. Collaborative similarities at each step are built from
+ * the other users' interactions before that moment only, so neither the user's
+ * own future nor anyone else's leaks into their scores.
+ * @param {Object} dataset - Output of prepareDataset
+ * @param {Object} config - Overrides for EVALUATION_DEFAULTS; `scoringSystem` may
+ *   supply an alternative scoring module to compare against the current one
+ * @returns {Object} { name, k, evaluations, users, metrics: { precision, recall, ndcg, coverage, novelty } }
+ */
+function evaluateConfig(dataset, config = {}) {
+  const settings = { ...EVALUATION_DEFAULTS, ...config };
+  const scoring = settings.scoringSystem || defaultScoringSystem;
+  const { k } = settings;
+  const relevantActions = new Set(settings.relevantActions);
+
+  // Features are computed once; recency is re-derived per step by getScoringFeatures
+  const catalogStats = {
+    popularity: scoring.computePercentileBreakpoints(dataset.movies.map(movie => movie.popularity || 0)),
+    voteCount: scoring.computePercentileBreakpoints(dataset.movies.map(movie => movie.voteCount || 0)),
+    ratingPrior: scoring.computeRatingPrior(dataset.movies)
+  };
+  const lastTimestamp = dataset.interactions.length > 0
+    ? new Date(dataset.interactions[dataset.interactions.length - 1].timestamp)
+    : new Date(0);
+  const movies = dataset.movies.map(movie => ({
+    ...movie,
+    featureVector: scoring.movieToFeatureVector(movie, lastTimestamp, catalogStats),
+    featureVersion: scoring.FEATURE_VERSION
+  }));
+  const movieById = new Map(movies.map(movie => [movie.id, movie]));
+  const learningSettings = { ...resolveLearningSettings(), ...settings.learningSettings };
+
+  // Item popularity for novelty: share of users who interacted with each movie
+  const byUser = new Map();
+  const movieUsers = new Map();
+  dataset.interactions.forEach(interaction => {
+    if (!byUser.has(interaction.userId)) {
+      byUser.set(interaction.userId, []);
+    }
+    byUser.get(interaction.userId).push(interaction);
+
+    if (!movieUsers.has(interaction.movieId)) {
+      movieUsers.set(interaction.movieId, new Set());
+    }
+    movieUsers.get(interaction.movieId).add(interaction.userId);
+  });
+  const userCount = byUser.size;
+  const selfInformation = (movieId) =>
+    -Math.log2(((movieUsers.get(movieId)?.size || 0) + 1) / (userCount + 1));
+
+  const totals = { precision: 0, recall: 0, ndcg: 0, novelty: 0 };
+  const recommended = new Set();
+  let evaluations = 0;
+
+  byUser.forEach((userInteractions, userId) => {
+    let preferences = scoring.initializeUserPreferenceVector();
+    const interacted = new Set();
+
+    let neighbourLists = {};
+    let neighbourCutoff = -1;
+
+    userInteractions.forEach((interaction, index) => {
+      const now = new Date(interaction.timestamp);
+
+      const relevant = new Set(
+        userInteractions.slice(index)
+          .filter(future => relevantActions.has(future.action) && !interacted.has(future.movieId))
+          .map(future => future.movieId)
+      );
+
+      if (index >= settings.minHistory && relevant.size > 0) {
+        // Similarities as of this step, rebuilt only when the cutoff moves
+        const cutoff = countBefore(dataset.interactions, interaction.timestamp);
+        if (settings.collaborativeWeight > 0 && cutoff !== neighbourCutoff) {
+          const others = dataset.interactions.slice(0, cutoff).filter(other => other.userId !== userId);
+          neighbourLists = collaborative.buildItemSimilarities(others);
+          neighbourCutoff = cutoff;
+        }
+
+        const seedRatings = collaborative.selectSeedRatings(userInteractions.slice(0, index));
+        const ranked = movies
+          .filter(movie => !interacted.has(movie.id))
+          .map(movie => ({
+            id: movie.id,
+            score: scoring.calculateRecommendationScore(
+              preferences,
+              scoring.getScoringFeatures(movie, now),
+              0,
+              false,
+              {
+                collaborativeScore: settings.collaborativeWeight > 0
+                  ? collaborative.calculateCollaborativeScore(seedRatings, neighbourLists, movie.id)
+                  : null,
+                collaborativeWeight: settings.collaborativeWeight
+              }
+            ).finalScore
+          }))
+          .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+          .map(entry => entry.id);
+
+        const topK = ranked.slice(0, k);
+        totals.precision += precisionAtK(ranked, relevant, k);
+        totals.recall += recallAtK(ranked, relevant, k);
+        totals.ndcg += ndcgAtK(ranked, relevant, k);
+        totals.novelty += topK.reduce((sum, id) => sum + selfInformation(id), 0) / Math.max(1, topK.length);
+        topK.forEach(id => recommended.add(id));
+        evaluations++;
+      }
+
+      preferences = scoring.updateUserPreferences(
+        preferences,
+        scoring.getScoringFeatures(movieById.get(interaction.movieId), now),
+        interaction.action,
+        learningSettings.learningRate,
+        index,
+        learningSettings
+      ).preferences;
+      interacted.add(interaction.movieId);
+    });
+  });
+
+  const average = (total) => evaluations > 0 ? total / evaluations : 0;
+
+  return {
+    name: settings.name || 'config',
+    k,
+    evaluations,
+    users: userCount,
+    metrics: {
+      precision: average(totals.precision),
+      recall: average(totals.recall),
+      ndcg: average(totals.ndcg),
+      coverage: movies.length > 0 ? recommended.size / movies.length : 0,
+      novelty: average(totals.novelty)
+    }
+  };
+}
+
+/**
+ * Evaluate two configs on the same dataset
+ * @param {Object} dataset - Output of prepareDataset
+ * @param {Object} baseline - Config for the reference run
+ * @param {Object} candidate - Config for the run being judged
+ * @returns {Object} { baseline, candidate, delta } where delta = candidate - baseline per metric
+ */
+function compareConfigs(dataset, baseline, candidate) {
+  const baselineResult = evaluateConfig(dataset, baseline);
+  const candidateResult = evaluateConfig(dataset, candidate);
+
+  const delta = {};
+  for (const metric in baselineResult.metrics) {
+    delta[metric] = candidateResult.metrics[metric] - baselineResult.metrics[metric];
+  }
+
+  return { baseline: baselineResult, candidate: candidateResult, delta };
+}
+
+module.exports = {
+  EVALUATION_DEFAULTS,
+  EVALUATION_PRESETS,
+  toMillis,
+  parseFixture,
+  prepareDataset,
+  precisionAtK,
+  recallAtK,
+  ndcgAtK,
+  evaluateConfig,
+  compareConfigs
+};
@@ -0,0 +1,275 @@
+// WatchLyst Recommendation System - Onboarding
+// Cold start from the diagnostic golden set: a new user's first swipes are
+// curated seed titles, learned at a higher rate, before the normal queue takes over
+
+const { FEATURE_DIMENSIONS } = require('./scoring-system.js');
+const { DIVERSITY_CONFIG } = require('./diversity-reranking.js');
+const { DIAGNOSTIC_GOLDEN_SET } = require('./diagnostic-golden-set.js');
+
+// ===== ONBOARDING CONFIGURATION =====
+const ONBOARDING_CONFIG = {
+  diagnosticSwipes: 10,        // Diagnostic swipes before handing off to the normal queue
+  deckSize: 20,                // Seed titles drawn up front; spares cover titles missing from the catalog
+  learningRateMultiplier: 3,   // Diagnostic swipes learn this much faster than normal swipes
+  maxLearningRate: 0.5,
+  minDiagnosticSwipes: 5,      // Never hand off earlier than this...
+  minInformationGain: 0.1      // ...but do once no remaining title is expected to teach more than this
+};
+
+const ONBOARDING_STATUS = {
+  diagnostic: 'diagnostic',
+  complete: 'complete'
+};
+
+// Onboarding category keys (the genre_* suffixes the app sends) served by each deck
+const DECK_CATEGORIES = {
+  'Action Icons': ['action', 'adventure'],
+  'Classic comedies': ['comedy'],
+  'Romantic chaos': ['romance'],
+  'Modern Horror & Elevated frights': ['horror', 'thriller'],
+  'Sci–Fi classics': ['scifi', 'fantasy'],
+  'Classic drama': ['drama', 'crime', 'history']
+};
+
+function normalizeKey(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Diagnostic decks for the categories picked during onboarding
+ * A category may be a genre key ("scifi") or a deck name ("Sci-Fi classics").
+ * @param {Array<string>} selectedCategories - Categories from the onboarding screen
+ * @returns {Array<string>} Matching deck names; every deck when nothing matches
+ */
+function resolveDiagnosticDecks(selectedCategories = []) {
+  const keys = new Set(selectedCategories.map(normalizeKey));
+  const decks = Object.keys(DIAGNOSTIC_GOLDEN_SET).filter(deck =>
+    keys.has(normalizeKey(deck)) ||
+    (DECK_CATEGORIES[deck] || []).some(category => keys.has(normalizeKey(category)))
+  );
+
+  return decks.length > 0 ? decks : Object.keys(DIAGNOSTIC_GOLDEN_SET);
+}
+
+/**
+ * Ordered diagnostic titles for a new user
+ * Matching decks are interleaved so the first swipes cover every chosen
+ * category, then the remaining decks follow. Titles listed in two decks are kept once.
+ * @param {Array<string>} selectedCategories - Categories from the onboarding screen
+ * @param {number} limit - Titles to return
+ * @returns {Array} [{ movieId, title, deck }]
+ */
+function buildDiagnosticDeck(selectedCategories = [], limit = ONBOARDING_CONFIG.deckSize) {
+  const matched = resolveDiagnosticDecks(selectedCategories);
+  const others = Object.keys(DIAGNOSTIC_GOLDEN_SET).filter(deck => !matched.includes(deck));
+  const deck = [];
+  const seen = new Set();
+
+  [matched, others].forEach(decks => {
+    const longest = Math.max(0, ...decks.map(name => DIAGNOSTIC_GOLDEN_SET[name].length));
+    for (let i = 0; i < longest; i++) {
+      decks.forEach(name => {
+        const movie = DIAGNOSTIC_GOLDEN_SET[name][i];
+        const movieId = movie ? String(movie.tmdbId) : null;
+        if (movieId && !seen.has(movieId)) {
+          seen.add(movieId);
+          deck.push({ movieId, title: movie.title, deck: name });
+        }
+      });
+    }
+  });
+
+  return deck.slice(0, limit);
+}
+
+/**
+ * Onboarding state stored in userPreferences/{userId}.onboarding
+ * @param {Array<string>} deck - Diagnostic movie IDs in serving order
+ * @param {Date} now - Start time
+ * @returns {Object} { status, deck, answered, diagnosticSwipes, required, startedAt, completedAt }
+ */
+function createOnboardingState(deck, now = new Date()) {
+  return {
+    status: deck.length > 0 ? ONBOARDING_STATUS.diagnostic : ONBOARDING_STATUS.complete,
+    deck,
+    answered: [],
+    diagnosticSwipes: 0,
+    required: Math.min(ONBOARDING_CONFIG.diagnosticSwipes, deck.length),
+    startedAt: now,
+    completedAt: deck.length > 0 ? null : now
+  };
+}
+
+/**
+ * Whether a swipe answers an outstanding diagnostic title
+ * @param {Object|undefined} state - Onboarding state
+ * @param {string} movieId - Swiped movie
+ * @returns {boolean}
+ */
+function isDiagnosticSwipe(state, movieId) {
+  return Boolean(state) &&
+    state.status === ONBOARDING_STATUS.diagnostic &&
+    state.deck.includes(movieId) &&
+    !state.answered.includes(movieId);
+}
+
+/**
+ * Record a diagnostic swipe, completing onboarding after the required number
+ * @param {Object} state - Onboarding state
+ * @param {string} movieId - Swiped diagnostic movie
+ * @param {Date} now - Swipe time
+ * @returns {Object} Updated state; status is complete once the handoff is due
+ */
+function recordDiagnosticSwipe(state, movieId, now = new Date()) {
+  const answered = [...state.answered, movieId];
+  const complete = answered.length >= state.required;
+
+  return {
+    ...state,
+    answered,
+    diagnosticSwipes: answered.length,
+    status: complete ? ONBOARDING_STATUS.complete : ONBOARDING_STATUS.diagnostic,
+    completedAt: complete ? now : null
+  };
+}
+
+/**
+ * Take back a diagnostic swipe that was undone
+ * Once the handoff has happened the state is left alone.
+ * @param {Object|undefined} state - Onboarding state
+ * @param {string} movieId - Movie whose swipe was revoked
+ * @returns {Object|undefined} Updated state
+ */
+function revertDiagnosticSwipe(state, movieId) {
+  if (!state || state.status !== ONBOARDING_STATUS.diagnostic || !state.answered.includes(movieId)) {
+    return state;
+  }
+
+  const answered = state.answered.filter(id => id !== movieId);
+  return { ...state, answered, diagnosticSwipes: answered.length };
+}
+
+/**
+ * Mark onboarding complete before the required swipes, when the deck has nothing left to teach
+ * @param {Object} state - Onboarding state
+ * @param {Date} now - Handoff time
+ * @returns {Object} Completed state
+ */
+function completeOnboarding(state, now = new Date()) {
+  return { ...state, status: ONBOARDING_STATUS.complete, completedAt: now };
+}
+
+// ===== ACTIVE LEARNING =====
+// The next diagnostic title is the one the model knows least about. Taste
+// dimensions are treated as a diagonal Bayesian linear model with unit prior
+// and noise: dimension d has variance 1 / (1 + sum of f_d^2 over answered
+// titles), and a title's expected information gain is the entropy drop of
+// its predicted score, 0.5 * ln(1 + sum_d f_d^2 * variance_d).
+
+const TASTE_DIMENSIONS = Object.keys(FEATURE_DIMENSIONS).filter(dimension =>
+  DIVERSITY_CONFIG.similarityPrefixes.some(prefix => dimension.startsWith(prefix))
+);
+
+/**
+ * Per-dimension uncertainty left after the answered diagnostic titles
+ * @param {Array} answeredFeatures - Feature vectors of titles already swiped
+ * @returns {Object} Taste dimension -> variance in (0, 1]
+ */
+function posteriorVariance(answeredFeatures = []) {
+  const variance = {};
+  TASTE_DIMENSIONS.forEach(dimension => {
+    const evidence = answeredFeatures.reduce((sum, features) => sum + Math.pow(features[dimension] || 0, 2), 0);
+    variance[dimension] = 1 / (1 + evidence);
+  });
+  return variance;
+}
+
+/**
+ * Expected information gain from asking about one title
+ * @param {Object} features - Title's feature vector
+ * @param {Object} variance - From posteriorVariance
+ * @returns {number} Gain in nats; 0 for a title that teaches nothing new
+ */
+function expectedInformationGain(features, variance) {
+  const predictedVariance = TASTE_DIMENSIONS.reduce(
+    (sum, dimension) => sum + Math.pow(features[dimension] || 0, 2) * variance[dimension],
+    0
+  );
+  return 0.5 * Math.log(1 + predictedVariance);
+}
+
+/**
+ * Order unanswered diagnostic titles by expected information gain
+ * Greedy: each pick is counted as answered before choosing the next, so the
+ * queue covers different tastes instead of five variations of the best title.
+ * Ties keep deck order.
+ * @param {Array} candidates - [{ movieId, features }] unanswered titles in deck order
+ * @param {Array} answeredFeatures - Feature vectors of titles already swiped
+ * @param {number} count - Titles to plan
+ * @returns {Array} [{ movieId, informationGain }] in serving order
+ */
+function planDiagnosticOrder(candidates, answeredFeatures = [], count = candidates.length) {
+  const remaining = [...candidates];
+  const evidence = [...answeredFeatures];
+  const plan = [];
+
+  while (plan.length < count && remaining.length > 0) {
+    const variance = posteriorVariance(evidence);
+    let bestIndex = 0;
+    let bestGain = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const gain = expectedInformationGain(candidate.features, variance);
+      if (gain > bestGain) {
+        bestGain = gain;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    plan.push({ movieId: best.movieId, informationGain: bestGain });
+    evidence.push(best.features);
+  }
+
+  return plan;
+}
+
+/**
+ * Whether to hand off before the required diagnostic swipes
+ * @param {Object} state - Onboarding state after the latest swipe
+ * @param {number} bestGain - Information gain of the best remaining title
+ * @returns {boolean}
+ */
+function shouldHandOffEarly(state, bestGain) {
+  return state.status === ONBOARDING_STATUS.diagnostic &&
+    state.diagnosticSwipes >= ONBOARDING_CONFIG.minDiagnosticSwipes &&
+    bestGain < ONBOARDING_CONFIG.minInformationGain;
+}
+
+/**
+ * Learning rate for a diagnostic swipe
+ * @param {Object} settings - Resolved learning settings
+ * @returns {number} The user's learning rate scaled up, capped at maxLearningRate
+ *   (never below the user's own rate)
+ */
+function getDiagnosticLearningRate(settings = {}) {
+  const base = typeof settings.learningRate === 'number' ? settings.learningRate : 0.1;
+  return Math.max(base, Math.min(ONBOARDING_CONFIG.maxLearningRate, base * ONBOARDING_CONFIG.learningRateMultiplier));
+}
+
+module.exports = {
+  ONBOARDING_CONFIG,
+  ONBOARDING_STATUS,
+  DECK_CATEGORIES,
+  resolveDiagnosticDecks,
+  buildDiagnosticDeck,
+  createOnboardingState,
+  isDiagnosticSwipe,
+  recordDiagnosticSwipe,
+  revertDiagnosticSwipe,
+  completeOnboarding,
+  posteriorVariance,
+  expectedInformationGain,
+  planDiagnosticOrder,
+  shouldHandOffEarly,
+  getDiagnosticLearningRate
+};
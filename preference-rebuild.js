@@ -0,0 +1,104 @@
+// WatchLyst Recommendation System - Preference Rebuild
+// Rebuild a stored preference vector from the user's interaction history; the
+// one implementation behind the rebuildPreferenceVectors callable and the
+// rebuild/migration scripts
+
+const {
+  FEATURE_VERSION,
+  upgradePreferenceVector,
+  calculateModelConfidence,
+  getEffectiveLearningRate
+} = require('./scoring-system.js');
+const { resolveLearningSettings } = require('./learning-settings.js');
+const { rebuildFromHistory, diffPreferences } = require('./preference-replay.js');
+
+/**
+ * Load a user's interactions and the movies they reference
+ * @param {Object} db - Firestore instance
+ * @param {string} userId - User ID
+ * @returns {Object} { interactions: [{ ..., timestamp: Date }], movies: movieId -> movie }
+ */
+async function loadUserHistory(db, userId) {
+  const snapshot = await db.collection('interactions').where('userId', '==', userId).get();
+  const interactions = snapshot.docs.map(doc => {
+    const data = doc.data();
+    return { ...data, timestamp: data.timestamp.toDate() };
+  });
+
+  const movieIds = [...new Set(interactions.map(interaction => interaction.movieId))];
+  const movieDocs = movieIds.length > 0
+    ? await db.getAll(...movieIds.map(id => db.collection('movies').doc(id)))
+    : [];
+  const movies = {};
+  movieDocs.filter(doc => doc.exists).forEach(doc => {
+    movies[doc.id] = doc.data();
+  });
+
+  return { interactions, movies };
+}
+
+/**
+ * Rebuild one user's preference vector by replaying their history
+ * Learning settings come from resolveLearningSettings over the user's stored
+ * overrides, so every caller replays with the same hyper-parameters the live
+ * learner uses. A dry run only reports the diff against the stored vector.
+ * @param {string} userId - User ID
+ * @param {Object} options - { dryRun, temporalDecay }
+ * @param {Object} context - { db, timestamp: () => Firestore timestamp, catalogStats }
+ * @returns {Object} { userId, replayed, skipped, totalUpdatesBefore, diff, written }
+ */
+async function rebuildUserPreferences(userId, options = {}, context) {
+  const { dryRun = false, temporalDecay = true } = options;
+  const { db, timestamp, catalogStats = null } = context;
+
+  const userPrefRef = db.collection('userPreferences').doc(userId);
+  const [userPrefDoc, { interactions, movies }] = await Promise.all([
+    userPrefRef.get(),
+    loadUserHistory(db, userId)
+  ]);
+
+  const prefs = userPrefDoc.exists ? userPrefDoc.data() : {};
+  const learningMetadata = { ...(prefs.learningMetadata || {}) };
+  const settings = resolveLearningSettings(learningMetadata);
+  const rebuilt = rebuildFromHistory({
+    interactions,
+    movies,
+    settings,
+    catalogStats,
+    temporalDecay
+  });
+
+  const diff = diffPreferences(
+    upgradePreferenceVector(prefs.preferenceVector),
+    rebuilt.preferences
+  );
+
+  if (!dryRun) {
+    learningMetadata.totalUpdates = rebuilt.totalUpdates;
+    learningMetadata.modelConfidence = calculateModelConfidence(rebuilt.totalUpdates);
+    learningMetadata.effectiveLearningRate = getEffectiveLearningRate(rebuilt.totalUpdates, settings);
+    learningMetadata.rebuiltAt = timestamp();
+
+    await userPrefRef.set({
+      userId,
+      preferenceVector: rebuilt.preferences,
+      featureVersion: FEATURE_VERSION,
+      learningMetadata,
+      explorationArms: rebuilt.explorationArms,
+      updatedAt: timestamp()
+    }, { merge: true });
+  }
+
+  return {
+    userId,
+    replayed: rebuilt.totalUpdates,
+    skipped: rebuilt.skipped,
+    totalUpdatesBefore: prefs.learningMetadata?.totalUpdates || 0,
+    diff,
+    written: !dryRun
+  };
+}
+
+module.exports = {
+  rebuildUserPreferences
+};
@@ -0,0 +1,144 @@
+// WatchLyst Recommendation System - Preference Replay
+// Rebuild a preference vector by re-applying interactions in order
+
+const {
+  FEATURE_DIMENSIONS,
+  updateUserPreferences,
+  upgradePreferenceVector,
+  getScoringFeatures,
+  getTemporalDecayMultiplier,
+  applyTemporalDecay
+} = require('./scoring-system.js');
+const { updateGenreArms, decayGenreArms } = require('./exploration.js');
+const { isActiveInteraction } = require('./interaction-ingestion.js');
+const { getDiagnosticLearningRate } = require('./onboarding.js');
+
+// Dimensions listed in a rebuild's dry-run diff
+const DIFF_TOP_DIMENSIONS = 10;
+
+/**
+ * Whether two preference vectors match to within floating-point noise
+ * @param {Object} a - Preference vector
+ * @param {Object} b - Preference vector
+ * @param {number} tolerance - Largest per-dimension difference treated as equal
+ * @returns {boolean}
+ */
+function vectorsEqual(a, b, tolerance = 1e-9) {
+  if (!a || !b) {
+    return false;
+  }
+  return Object.keys(FEATURE_DIMENSIONS).every(dimension =>
+    Math.abs((a[dimension] || 0) - (b[dimension] || 0)) <= tolerance
+  );
+}
+
+/**
+ * Re-apply interactions to a starting vector
+ * Mirrors processSwipeInteraction: each step decays the learning rate by the
+ * number of updates applied before it, diagnostic onboarding steps use the
+ * raised onboarding rate, and steps that carry a timestamp first decay the
+ * vector and arms for the gap since the previous step. Replaying a
+ * user's full history with the features used at swipe time therefore
+ * reproduces the stored vector.
+ * @param {Object} startVector - Vector before the first replayed interaction
+ * @param {Array} steps - [{ action, features, timestamp?, diagnostic? }] in chronological order
+ * @param {Object} settings - Resolved learning settings (learningRate, decay, ...)
+ * @returns {Object} { preferences, totalUpdates, explorationArms }
+ */
+function replayPreferences(startVector, steps, settings = {}) {
+  let preferences = { ...startVector };
+  let explorationArms = {};
+  let previousTimestamp = null;
+
+  steps.forEach(({ action, features, timestamp, diagnostic }, index) => {
+    if (timestamp && previousTimestamp) {
+      const elapsedMs = timestamp - previousTimestamp;
+      preferences = applyTemporalDecay(preferences, elapsedMs, settings);
+      explorationArms = decayGenreArms(explorationArms, getTemporalDecayMultiplier(elapsedMs, settings));
+    }
+    previousTimestamp = timestamp || previousTimestamp;
+
+    preferences = updateUserPreferences(
+      preferences,
+      features,
+      action,
+      diagnostic ? getDiagnosticLearningRate(settings) : settings.learningRate,
+      index,
+      settings
+    ).preferences;
+    explorationArms = updateGenreArms(explorationArms, features, action);
+  });
+
+  return {
+    preferences,
+    totalUpdates: steps.length,
+    explorationArms
+  };
+}
+
+/**
+ * Rebuild a user's preferences from their interaction history
+ * Interactions are replayed in timestamp order through the current
+ * updateUserPreferences, with each movie's features taken as of the swipe.
+ * The starting vector is the one the earliest interaction was learned on, so
+ * onboarding category boosts survive the rebuild. Revoked interactions and
+ * interactions on movies that no longer exist are skipped.
+ * @param {Object} params - { interactions, movies, settings, catalogStats, temporalDecay }
+ *   interactions: [{ movieId, action, timestamp: Date, scoringData?, revokedAt? }];
+ *   movies: movieId -> movie document; temporalDecay: false weighs every
+ *   swipe the same regardless of the gaps between them
+ * @returns {Object} { preferences, totalUpdates, explorationArms, skipped }
+ */
+function rebuildFromHistory({ interactions, movies, settings = {}, catalogStats = null, temporalDecay = true }) {
+  const history = [...interactions].sort((a, b) => a.timestamp - b.timestamp);
+  const startVector = upgradePreferenceVector(
+    history.find(interaction => interaction.scoringData)?.scoringData.preferenceVectorBefore
+  );
+
+  const active = history.filter(isActiveInteraction);
+  const steps = active
+    .filter(interaction => movies[interaction.movieId])
+    .map(interaction => ({
+      action: interaction.action,
+      features: getScoringFeatures(movies[interaction.movieId], interaction.timestamp, catalogStats),
+      timestamp: temporalDecay ? interaction.timestamp : null,
+      diagnostic: Boolean(interaction.scoringData?.diagnostic)
+    }));
+
+  return {
+    ...replayPreferences(startVector, steps, settings),
+    skipped: active.length - steps.length
+  };
+}
+
+/**
+ * Summarise how far a rebuilt vector moved, for dry runs
+ * @param {Object} before - Stored preference vector
+ * @param {Object} after - Rebuilt preference vector
+ * @param {number} limit - Largest changes to list
+ * @returns {Object} { maxChange, changedDimensions, changes: [{ dimension, before, after, delta }] }
+ */
+function diffPreferences(before = {}, after = {}, limit = DIFF_TOP_DIMENSIONS) {
+  const changes = Object.keys(FEATURE_DIMENSIONS)
+    .map(dimension => ({
+      dimension,
+      before: before[dimension] || 0,
+      after: after[dimension] || 0,
+      delta: (after[dimension] || 0) - (before[dimension] || 0)
+    }))
+    .filter(change => Math.abs(change.delta) > 1e-9)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  return {
+    maxChange: changes.length > 0 ? Math.abs(changes[0].delta) : 0,
+    changedDimensions: changes.length,
+    changes: changes.slice(0, limit)
+  };
+}
+
+module.exports = {
+  vectorsEqual,
+  replayPreferences,
+  rebuildFromHistory,
+  diffPreferences
+};
@@ -0,0 +1,114 @@
+// WatchLyst Recommendation System - Queue Maintenance
+// Keeps a user's queue topped up between full rebuilds
+
+// ===== QUEUE MAINTENANCE CONFIGURATION =====
+const QUEUE_MAINTENANCE_CONFIG = {
+  queueSize: 50,               // Movies kept in a user's recommendation queue
+  defaultRefreshInterval: 5,   // Swipes between maintenance checks
+  defaultMinQueueSize: 20,     // Top up when fewer movies than this remain
+  candidateWindow: 200,        // Unseen, unqueued movies rescored per top-up
+  recentInteractions: 100      // Latest interactions used to seed collaborative scoring
+};
+
+/**
+ * Read a user's queue settings, falling back to the defaults
+ * @param {Object|undefined} recommendationSettings - users/{userId}.recommendationSettings
+ * @returns {Object} { refreshInterval, minQueueSize }
+ */
+function getQueueSettings(recommendationSettings) {
+  const { refreshInterval, minQueueSize } = recommendationSettings || {};
+  const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value >= 1;
+
+  return {
+    refreshInterval: isPositive(refreshInterval)
+      ? Math.floor(refreshInterval)
+      : QUEUE_MAINTENANCE_CONFIG.defaultRefreshInterval,
+    minQueueSize: isPositive(minQueueSize)
+      ? Math.min(Math.floor(minQueueSize), QUEUE_MAINTENANCE_CONFIG.queueSize)
+      : QUEUE_MAINTENANCE_CONFIG.defaultMinQueueSize
+  };
+}
+
+/**
+ * Whether this swipe is due a maintenance check
+ * @param {number} totalSwipes - User's swipe count including this one
+ * @param {number} refreshInterval - From getQueueSettings
+ * @returns {boolean}
+ */
+function isMaintenanceDue(totalSwipes, refreshInterval) {
+  return totalSwipes > 0 && totalSwipes % refreshInterval === 0;
+}
+
+/**
+ * Remove consumed movies and renumber positions
+ * @param {Array} queue - [{ movieId, score, reason, position }]
+ * @param {Array} movieIds - Movies the user has swiped
+ * @returns {Array} Remaining queue
+ */
+function popConsumed(queue, movieIds) {
+  const consumed = new Set(movieIds);
+  return queue
+    .filter(item => !consumed.has(item.movieId))
+    .map((item, index) => ({ ...item, position: index }));
+}
+
+/**
+ * Number of movies a top-up should add
+ * @param {number} queueLength - Movies left in the queue
+ * @param {Object} settings - From getQueueSettings
+ * @returns {number} 0 while the queue holds at least minQueueSize movies
+ */
+function getTopUpCount(queueLength, settings) {
+  if (queueLength >= settings.minQueueSize) {
+    return 0;
+  }
+  return QUEUE_MAINTENANCE_CONFIG.queueSize - queueLength;
+}
+
+/**
+ * Append new movies after the existing queue, skipping duplicates
+ * Existing items keep their order so the movie on screen never moves.
+ * @param {Array} queue - Current queue
+ * @param {Array} additions - [{ movieId, score, reason }] in ranked order
+ * @param {number} queueSize - Maximum queue length
+ * @returns {Array} Merged queue with positions renumbered
+ */
+function appendToQueue(queue, additions, queueSize = QUEUE_MAINTENANCE_CONFIG.queueSize) {
+  const queued = new Set(queue.map(item => item.movieId));
+  const merged = [...queue];
+
+  for (const item of additions) {
+    if (merged.length >= queueSize) {
+      break;
+    }
+    if (!queued.has(item.movieId)) {
+      queued.add(item.movieId);
+      merged.push(item);
+    }
+  }
+
+  return merged.map((item, index) => ({ ...item, position: index }));
+}
+
+/**
+ * Put a movie back at the front of the queue, e.g. after its swipe is undone
+ * @param {Array} queue - Current queue
+ * @param {Object} item - { movieId, score, reason }
+ * @param {number} queueSize - Maximum queue length
+ * @returns {Array} Queue led by the movie, without duplicates, positions renumbered
+ */
+function requeueAtFront(queue, item, queueSize = QUEUE_MAINTENANCE_CONFIG.queueSize) {
+  return [item, ...queue.filter(existing => existing.movieId !== item.movieId)]
+    .slice(0, queueSize)
+    .map((entry, index) => ({ ...entry, position: index }));
+}
+
+module.exports = {
+  QUEUE_MAINTENANCE_CONFIG,
+  getQueueSettings,
+  isMaintenanceDue,
+  popConsumed,
+  getTopUpCount,
+  appendToQueue,
+  requeueAtFront
+};
@@ -1,6 +1,8 @@
 // WatchLyst Recommendation System - Scoring System Design
 // Mathematical Model for Movie Recommendations
 
+const { LEARNING_PARAMETER_RANGES, resolveLearningSettings } = require('./learning-settings.js');
+
 // ===== GESTURE WEIGHTS =====
 const GESTURE_WEIGHTS = {
   loved: 3.0,      // Double Tap = Loved → +3.0000
@@ -10,38 +12,153 @@ const GESTURE_WEIGHTS = {
   disliked: -2.5   // Swipe Down = Disliked → -2.5000
 };
 
-// ===== MOVIE FEATURE VECTOR (9 dimensions) =====
+// ===== LEARNING WEIGHTS =====
+// Weights used by updateUserPreferences. Seen/not seen carry no rating, but still
+// tell us something: a film the user chose to watch is weak evidence of interest,
+// one they never got round to is weak evidence against.
+const LEARNING_WEIGHTS = {
+  ...GESTURE_WEIGHTS,
+  seen: 0.5,
+  not_seen: -0.25
+};
+
+// ===== FEATURE VERSION =====
+// Bump whenever movieToFeatureVector changes; stored as `featureVersion` next to
+// every persisted vector so the backfill job can find stale ones
+// v1: 9 dimensions (6 genre buckets + popularity, recency, rating)
+// v2: one dimension per TMDB genre plus runtime, language, era and cult signal
+// v3: adds vote count percentile
+const FEATURE_VERSION = 3;
+
+// ===== MOVIE FEATURE VECTOR (41 dimensions) =====
 const FEATURE_DIMENSIONS = {
-  // Genre features (0-1 normalized)
+  // Genre features (0-1 normalized, one per TMDB genre)
   genre_action: { min: 0, max: 1, description: 'Action genre strength' },
+  genre_adventure: { min: 0, max: 1, description: 'Adventure genre strength' },
+  genre_animation: { min: 0, max: 1, description: 'Animation genre strength' },
   genre_comedy: { min: 0, max: 1, description: 'Comedy genre strength' },
+  genre_crime: { min: 0, max: 1, description: 'Crime genre strength' },
+  genre_documentary: { min: 0, max: 1, description: 'Documentary genre strength' },
   genre_drama: { min: 0, max: 1, description: 'Drama genre strength' },
+  genre_family: { min: 0, max: 1, description: 'Family genre strength' },
+  genre_fantasy: { min: 0, max: 1, description: 'Fantasy genre strength' },
+  genre_history: { min: 0, max: 1, description: 'History genre strength' },
   genre_horror: { min: 0, max: 1, description: 'Horror genre strength' },
+  genre_music: { min: 0, max: 1, description: 'Music genre strength' },
+  genre_mystery: { min: 0, max: 1, description: 'Mystery genre strength' },
   genre_romance: { min: 0, max: 1, description: 'Romance genre strength' },
   genre_scifi: { min: 0, max: 1, description: 'Sci-Fi genre strength' },
+  genre_tv_movie: { min: 0, max: 1, description: 'TV Movie genre strength' },
+  genre_thriller: { min: 0, max: 1, description: 'Thriller genre strength' },
+  genre_war: { min: 0, max: 1, description: 'War genre strength' },
+  genre_western: { min: 0, max: 1, description: 'Western genre strength' },
+  
+  // Runtime buckets (one-hot)
+  runtime_short: { min: 0, max: 1, description: 'Runtime under 90 minutes' },
+  runtime_standard: { min: 0, max: 1, description: 'Runtime 90-119 minutes' },
+  runtime_long: { min: 0, max: 1, description: 'Runtime 120-149 minutes' },
+  runtime_epic: { min: 0, max: 1, description: 'Runtime 150 minutes or more' },
+  
+  // Original language groups (one-hot)
+  language_english: { min: 0, max: 1, description: 'Originally in English' },
+  language_european: { min: 0, max: 1, description: 'Originally in a non-English European language' },
+  language_east_asian: { min: 0, max: 1, description: 'Originally in Japanese, Korean or Chinese' },
+  language_south_asian: { min: 0, max: 1, description: 'Originally in a South Asian language' },
+  language_other: { min: 0, max: 1, description: 'Originally in any other language' },
+  
+  // Release era (one-hot by decade)
+  era_classic: { min: 0, max: 1, description: 'Released before 1960' },
+  era_1960s: { min: 0, max: 1, description: 'Released in the 1960s' },
+  era_1970s: { min: 0, max: 1, description: 'Released in the 1970s' },
+  era_1980s: { min: 0, max: 1, description: 'Released in the 1980s' },
+  era_1990s: { min: 0, max: 1, description: 'Released in the 1990s' },
+  era_2000s: { min: 0, max: 1, description: 'Released in the 2000s' },
+  era_2010s: { min: 0, max: 1, description: 'Released in the 2010s' },
+  era_2020s: { min: 0, max: 1, description: 'Released in 2020 or later' },
   
   // Content features (0-1 normalized)
   popularity_normalized: { min: 0, max: 1, description: 'Popularity percentile' },
+  vote_count_normalized: { min: 0, max: 1, description: 'Vote count percentile' },
   recency_score: { min: 0, max: 1, description: 'How recent the movie is' },
-  rating_normalized: { min: 0, max: 1, description: 'Rating score (vote_average/10)' }
+  rating_normalized: { min: 0, max: 1, description: 'Bayesian weighted rating / 10' },
+  cult_score: { min: 0, max: 1, description: 'Well rated but niche (1) vs mainstream (0)' }
+};
+
+// ===== LEGACY SCHEMA (v1) =====
+// How each v1 dimension spreads onto v2 dimensions, mirroring the old GENRE_ID_MAPPING buckets
+const LEGACY_DIMENSION_MAPPING = {
+  genre_action: ['genre_action', 'genre_adventure', 'genre_thriller', 'genre_crime', 'genre_war', 'genre_western'],
+  genre_comedy: ['genre_comedy', 'genre_family', 'genre_animation'],
+  genre_drama: ['genre_drama', 'genre_mystery', 'genre_history', 'genre_music', 'genre_documentary', 'genre_tv_movie'],
+  genre_horror: ['genre_horror'],
+  genre_romance: ['genre_romance'],
+  genre_scifi: ['genre_scifi', 'genre_fantasy'],
+  popularity_normalized: ['popularity_normalized'],
+  recency_score: ['recency_score'],
+  rating_normalized: ['rating_normalized']
 };
 
 // ===== USER PREFERENCE VECTOR =====
 // Matches movie feature dimensions, initialized to 0
-const initializeUserPreferenceVector = () => ({
-  genre_action: 0,
-  genre_comedy: 0,
-  genre_drama: 0,
-  genre_horror: 0,
-  genre_romance: 0,
-  genre_scifi: 0,
-  popularity_normalized: 0,
-  recency_score: 0,
-  rating_normalized: 0
-});
+const initializeUserPreferenceVector = () => {
+  const vector = {};
+  for (const dimension in FEATURE_DIMENSIONS) {
+    vector[dimension] = 0;
+  }
+  return vector;
+};
+
+/**
+ * Check whether a vector was produced under the v1 (9-dimension) schema
+ * @param {Object} vector - Preference or feature vector
+ * @returns {boolean} True if the vector is missing the v2-only dimensions
+ */
+function isLegacyVector(vector) {
+  return !!vector && !('genre_thriller' in vector);
+}
+
+/**
+ * Check whether a movie's stored feature vector was produced by the current formula
+ * @param {Object} movie - Movie document from Firestore
+ * @returns {boolean} True if featureVector exists and matches FEATURE_VERSION
+ */
+function isFeatureVectorCurrent(movie) {
+  return !!movie.featureVector && movie.featureVersion === FEATURE_VERSION;
+}
+
+/**
+ * Upgrade a v1 preference vector to the current schema without losing what was learned
+ * Each old bucket's value is copied onto every v2 genre it used to absorb;
+ * dimensions that did not exist in v1 start neutral.
+ * @param {Object} vector - Stored preference vector
+ * @returns {Object} Preference vector on the current schema
+ */
+function upgradePreferenceVector(vector) {
+  const upgraded = initializeUserPreferenceVector();
+
+  if (!vector) {
+    return upgraded;
+  }
+
+  if (!isLegacyVector(vector)) {
+    for (const dimension in upgraded) {
+      upgraded[dimension] = vector[dimension] || 0;
+    }
+    return upgraded;
+  }
+
+  for (const legacyDimension in LEGACY_DIMENSION_MAPPING) {
+    const value = vector[legacyDimension] || 0;
+    LEGACY_DIMENSION_MAPPING[legacyDimension].forEach(dimension => {
+      upgraded[dimension] = value;
+    });
+  }
+
+  return upgraded;
+}
 
 // ===== SCORING ALGORITHM =====
-// Score = dotProduct(userPreferences, movieFeatures) + explorationBonus
+// Score = (1 - w) * cosine(userPreferences, movieFeatures) + w * collaborativeScore + explorationBonus
 
 /**
  * Calculate recommendation score for a movie
@@ -49,78 +166,251 @@ const initializeUserPreferenceVector = () => ({
  * @param {Object} movieFeatures - Movie feature vector  
  * @param {number} explorationRate - Exploration factor (0-1)
  * @param {boolean} isExploration - Whether this movie is for exploration
+ * @param {Object} options - { collaborativeScore, collaborativeWeight } to blend in item-item signal;
+ *   { explorationSample } (0-1, e.g. a Thompson sample) scales the exploration bonus;
+ *   { contentNormalization } 'cosine' (default) or 'dimensions', see SCORER_VERSIONS
  * @returns {number} Final recommendation score
  */
-function calculateRecommendationScore(userPreferences, movieFeatures, explorationRate = 0.15, isExploration = false) {
-  // 1. Calculate base score using dot product
-  let baseScore = 0;
+function calculateRecommendationScore(userPreferences, movieFeatures, explorationRate = 0.15, isExploration = false, options = {}) {
+  // 1. Calculate dot product and vector norms
+  let dotProduct = 0;
+  let userNorm = 0;
+  let movieNorm = 0;
   for (const dimension in FEATURE_DIMENSIONS) {
-    baseScore += (userPreferences[dimension] || 0) * (movieFeatures[dimension] || 0);
+    const userValue = userPreferences[dimension] || 0;
+    const movieValue = movieFeatures[dimension] || 0;
+    dotProduct += userValue * movieValue;
+    userNorm += userValue * userValue;
+    movieNorm += movieValue * movieValue;
   }
   
-  // 2. Normalize base score to [-1, 1] range
-  const dimensionCount = Object.keys(FEATURE_DIMENSIONS).length;
-  baseScore = baseScore / dimensionCount;
+  // 2. Normalize by the vector norms (cosine) so the base score spans [-1, 1]
+  // and stays on the same scale as the collaborative score and fixed bonuses
+  const {
+    collaborativeScore = null,
+    collaborativeWeight = 0,
+    explorationSample = 1,
+    contentNormalization = 'cosine'
+  } = options;
+  let baseScore;
+  if (contentNormalization === 'dimensions') {
+    baseScore = dotProduct / Object.keys(FEATURE_DIMENSIONS).length;
+  } else {
+    baseScore = userNorm > 0 && movieNorm > 0 ? dotProduct / Math.sqrt(userNorm * movieNorm) : 0;
+  }
   
-  // 3. Apply exploration bonus
+  // 3. Apply exploration bonus, scaled by the sample that picked the movie
   let explorationBonus = 0;
   if (isExploration) {
-    // Exploration movies get a random bonus to ensure variety
-    explorationBonus = Math.random() * explorationRate;
+    explorationBonus = explorationSample * explorationRate;
   }
   
-  // 4. Calculate final score
-  const finalScore = baseScore + explorationBonus;
+  // 4. Blend in collaborative signal when the movie has co-rated neighbours
+  let blendedScore = baseScore;
+  if (collaborativeScore !== null && collaborativeWeight > 0) {
+    blendedScore = (1 - collaborativeWeight) * baseScore + collaborativeWeight * collaborativeScore;
+  }
+  
+  // 5. Calculate final score
+  const finalScore = blendedScore + explorationBonus;
   
   return {
     baseScore,
     explorationBonus,
     finalScore,
     components: {
-      dotProduct: baseScore * dimensionCount,
+      dotProduct,
       normalizedScore: baseScore,
+      collaborative: collaborativeScore,
+      collaborativeWeight: collaborativeScore !== null ? collaborativeWeight : 0,
       exploration: explorationBonus
     }
   };
 }
 
+// ===== SCORER VERSIONS =====
+// Scoring options behind each scorer an experiment variant can select with
+// its `scorer` override
+// cosine_v2: content score normalised by the vector norms
+// dimensions_v1: content score divided by the dimension count (the original scorer)
+const SCORER_VERSIONS = {
+  cosine_v2: { contentNormalization: 'cosine' },
+  dimensions_v1: { contentNormalization: 'dimensions' }
+};
+
+const DEFAULT_SCORER = 'cosine_v2';
+
+/**
+ * Scoring function for a scorer version
+ * Same signature as calculateRecommendationScore; per-call options win over the version's.
+ * @param {string} version - Key in SCORER_VERSIONS; unknown versions fall back to DEFAULT_SCORER
+ * @returns {Function} (userPreferences, movieFeatures, explorationRate, isExploration, options) => score result
+ */
+function getScorer(version = DEFAULT_SCORER) {
+  const scorerOptions = SCORER_VERSIONS[version] || SCORER_VERSIONS[DEFAULT_SCORER];
+  return (userPreferences, movieFeatures, explorationRate = 0.15, isExploration = false, options = {}) =>
+    calculateRecommendationScore(userPreferences, movieFeatures, explorationRate, isExploration, {
+      ...scorerOptions,
+      ...options
+    });
+}
+
+// ===== LEARNING HYPER-PARAMETERS =====
+// Defaults come from learning-settings.js (OptimizationConfig.learning); a
+// settings argument overrides them, as resolveLearningSettings does for the
+// values stored in a user's learningMetadata
+
+/**
+ * Validate learning hyper-parameter overrides
+ * A null value clears the override so the central default applies again.
+ * @param {Object} parameters - Subset of LEARNING_PARAMETER_RANGES keys
+ * @returns {Object} { isValid, errors, parameters }
+ */
+function validateLearningParameters(parameters) {
+  const errors = [];
+  const validated = {};
+  
+  if (!parameters || typeof parameters !== 'object' || Object.keys(parameters).length === 0) {
+    return { isValid: false, errors: ['parameters must be a non-empty object'], parameters: validated };
+  }
+  
+  for (const [name, value] of Object.entries(parameters)) {
+    const range = LEARNING_PARAMETER_RANGES[name];
+    
+    if (!range) {
+      errors.push(`Unknown learning parameter: ${name}`);
+    } else if (value === null) {
+      validated[name] = null;
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < range[0] || value > range[1]) {
+      errors.push(`${name} must be a number between ${range[0]} and ${range[1]}`);
+    } else {
+      validated[name] = value;
+    }
+  }
+  
+  return { isValid: errors.length === 0, errors, parameters: validated };
+}
+
+/**
+ * Learning rate after decay, never below the configured minimum
+ * @param {number} totalInteractions - Total user interactions
+ * @param {Object} settings - Overrides for the resolveLearningSettings defaults
+ * @returns {number} Effective learning rate
+ */
+function getEffectiveLearningRate(totalInteractions, settings = {}) {
+  const { learningRate, decayFactor, updateInterval, minimumLearningRate } = {
+    ...resolveLearningSettings(),
+    ...settings
+  };
+  
+  const decaySteps = Math.floor(totalInteractions / updateInterval);
+  return Math.max(minimumLearningRate, learningRate * Math.pow(decayFactor, decaySteps));
+}
+
+// ===== TEMPORAL DECAY =====
+// A stored vector reflects the user's taste as of users/{userId}.stats.lastSwipeAt.
+// It fades toward neutral with the time since then, so old swipes matter less
+// and a returning user's first new swipes move recommendations quickly.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Fraction of a preference left after a period without swipes
+ * @param {number} elapsedMs - Time since the last swipe
+ * @param {Object} settings - Overrides for the resolveLearningSettings defaults
+ * @returns {number} Multiplier in (0, 1]
+ */
+function getTemporalDecayMultiplier(elapsedMs, settings = {}) {
+  const { preferenceHalfLifeDays } = { ...resolveLearningSettings(), ...settings };
+  if (!preferenceHalfLifeDays || !(elapsedMs > 0)) {
+    return 1;
+  }
+  return Math.pow(0.5, elapsedMs / MS_PER_DAY / preferenceHalfLifeDays);
+}
+
+/**
+ * Decay a preference vector toward neutral for a period without swipes
+ * Decay compounds, so applying it per gap between swipes equals applying it
+ * once over the whole period.
+ * @param {Object} preferences - Preference vector
+ * @param {number} elapsedMs - Time since the last swipe
+ * @param {Object} settings - Overrides for the resolveLearningSettings defaults
+ * @returns {Object} Decayed preference vector
+ */
+function applyTemporalDecay(preferences, elapsedMs, settings = {}) {
+  const multiplier = getTemporalDecayMultiplier(elapsedMs, settings);
+  if (multiplier === 1) {
+    return { ...preferences };
+  }
+
+  const decayed = {};
+  for (const dimension in preferences) {
+    decayed[dimension] = preferences[dimension] * multiplier;
+  }
+  return decayed;
+}
+
 // ===== LEARNING ALGORITHM =====
-// Use Exponential Moving Average (EMA) to update preferences
+// Positive gestures: Exponential Moving Average (EMA) toward the movie's features.
+// Negative gestures: repel toward -1, only on the features the movie has.
 
 /**
  * Update user preferences based on interaction
+ * A plain EMA with a negative weight moves every dimension *away from* the
+ * movie's value, so disliking a film with 0 on a dimension would raise that
+ * dimension. Negative gestures therefore scale by the movie's feature value
+ * instead, leaving dimensions the film lacks untouched.
  * @param {Object} currentPreferences - Current user preference vector
  * @param {Object} movieFeatures - Interacted movie's feature vector
  * @param {string} action - User action (loved, liked, seen, not_seen, disliked)
  * @param {number} learningRate - Learning rate (0-1)
  * @param {number} totalInteractions - Total user interactions (for decay)
+ * @param {Object} settings - Overrides for the resolveLearningSettings defaults (decay, minimum, convergence, magnitude)
  * @returns {Object} Updated preference vector
  */
-function updateUserPreferences(currentPreferences, movieFeatures, action, learningRate = 0.1, totalInteractions = 0) {
-  // Get gesture weight
+function updateUserPreferences(currentPreferences, movieFeatures, action, learningRate = 0.1, totalInteractions = 0, settings = {}) {
+  // Get gesture and learning weights
   const gestureWeight = GESTURE_WEIGHTS[action];
+  const learningWeight = LEARNING_WEIGHTS[action] || 0;
+  
+  const learningSettings = { ...resolveLearningSettings(), ...settings, learningRate };
+  const { convergenceThreshold, maxVectorMagnitude } = learningSettings;
   
   // Apply learning rate decay (slower learning as user interacts more)
-  const decayFactor = 0.95;
-  const effectiveLearningRate = learningRate * Math.pow(decayFactor, Math.floor(totalInteractions / 100));
+  const effectiveLearningRate = getEffectiveLearningRate(totalInteractions, learningSettings);
+  
+  // Step size, capped so a single update never overshoots its target
+  const step = Math.min(1, effectiveLearningRate * Math.abs(learningWeight));
   
-  // Update each dimension using EMA
   const updatedPreferences = {};
+  let largestChange = 0;
   
   for (const dimension in FEATURE_DIMENSIONS) {
     const currentValue = currentPreferences[dimension] || 0;
     const movieValue = movieFeatures[dimension] || 0;
     
-    // EMA update: new = old + learningRate * weight * (movie - old)
-    const update = effectiveLearningRate * gestureWeight * (movieValue - currentValue);
-    updatedPreferences[dimension] = Math.max(-1, Math.min(1, currentValue + update));
+    let update;
+    if (learningWeight >= 0) {
+      // Attract: new = old + step * (movie - old)
+      update = step * (movieValue - currentValue);
+    } else {
+      // Repel: new = old + step * movie * (-1 - old)
+      update = step * movieValue * (-1 - currentValue);
+    }
+    updatedPreferences[dimension] = Math.max(-maxVectorMagnitude, Math.min(maxVectorMagnitude, currentValue + update));
+    largestChange = Math.max(largestChange, Math.abs(updatedPreferences[dimension] - currentValue));
   }
   
+  // Converged: keep the current vector rather than writing noise
+  const converged = largestChange < convergenceThreshold;
+  
   return {
-    preferences: updatedPreferences,
+    preferences: converged ? { ...currentPreferences } : updatedPreferences,
     metadata: {
       gestureWeight,
+      learningWeight,
       effectiveLearningRate,
+      converged,
       update: updatedPreferences
     }
   };
@@ -154,33 +444,262 @@ function calculateExplorationRate(totalInteractions, likeRatio, baseExplorationR
 // ===== GENRE MAPPING =====
 // Map TMDB genre IDs to our feature dimensions
 const GENRE_ID_MAPPING = {
-  28: 'genre_action',    // Action
-  12: 'genre_action',    // Adventure
-  35: 'genre_comedy',    // Comedy
-  18: 'genre_drama',     // Drama
-  27: 'genre_horror',    // Horror
-  10749: 'genre_romance', // Romance
-  878: 'genre_scifi',    // Science Fiction
-  14: 'genre_scifi',     // Fantasy
-  53: 'genre_action',    // Thriller
-  80: 'genre_action',    // Crime
-  9648: 'genre_drama',   // Mystery
-  10752: 'genre_action', // War
-  37: 'genre_action',    // Western
-  36: 'genre_drama',     // History
-  10402: 'genre_drama',  // Music
-  10751: 'genre_comedy', // Family
-  16: 'genre_comedy',    // Animation
-  99: 'genre_drama',     // Documentary
-  10770: 'genre_drama'   // TV Movie
+  28: 'genre_action',       // Action
+  12: 'genre_adventure',    // Adventure
+  16: 'genre_animation',    // Animation
+  35: 'genre_comedy',       // Comedy
+  80: 'genre_crime',        // Crime
+  99: 'genre_documentary',  // Documentary
+  18: 'genre_drama',        // Drama
+  10751: 'genre_family',    // Family
+  14: 'genre_fantasy',      // Fantasy
+  36: 'genre_history',      // History
+  27: 'genre_horror',       // Horror
+  10402: 'genre_music',     // Music
+  9648: 'genre_mystery',    // Mystery
+  10749: 'genre_romance',   // Romance
+  878: 'genre_scifi',       // Science Fiction
+  10770: 'genre_tv_movie',  // TV Movie
+  53: 'genre_thriller',     // Thriller
+  10752: 'genre_war',       // War
+  37: 'genre_western'       // Western
+};
+
+// ===== LANGUAGE MAPPING =====
+// Map ISO 639-1 original languages to language group dimensions
+const LANGUAGE_MAPPING = {
+  en: 'language_english',
+  fr: 'language_european', es: 'language_european', de: 'language_european',
+  it: 'language_european', pt: 'language_european', nl: 'language_european',
+  sv: 'language_european', da: 'language_european', no: 'language_european',
+  fi: 'language_european', pl: 'language_european', ru: 'language_european',
+  cs: 'language_european', hu: 'language_european', el: 'language_european',
+  ro: 'language_european', uk: 'language_european', is: 'language_european',
+  ja: 'language_east_asian', ko: 'language_east_asian', zh: 'language_east_asian',
+  cn: 'language_east_asian',
+  hi: 'language_south_asian', ta: 'language_south_asian', te: 'language_south_asian',
+  ml: 'language_south_asian', bn: 'language_south_asian', kn: 'language_south_asian',
+  mr: 'language_south_asian', pa: 'language_south_asian', ur: 'language_south_asian'
+};
+
+// Minimum votes before a movie can be called cult rather than just unknown
+const CULT_MIN_VOTES = 50;
+
+/**
+ * Map a runtime in minutes to its bucket dimension
+ * @param {number} runtime - Runtime in minutes
+ * @returns {string|null} Runtime dimension, or null if unknown
+ */
+function runtimeBucket(runtime) {
+  if (!runtime || runtime <= 0) {
+    return null;
+  }
+  if (runtime < 90) return 'runtime_short';
+  if (runtime < 120) return 'runtime_standard';
+  if (runtime < 150) return 'runtime_long';
+  return 'runtime_epic';
+}
+
+/**
+ * Map a release year to its era dimension
+ * @param {number} year - Release year
+ * @returns {string|null} Era dimension, or null if unknown
+ */
+function eraBucket(year) {
+  if (!year || isNaN(year)) {
+    return null;
+  }
+  if (year < 1960) return 'era_classic';
+  if (year >= 2020) return 'era_2020s';
+  return `era_${Math.floor(year / 10) * 10}s`;
+}
+
+// ===== CATALOG PERCENTILES =====
+// Breakpoints are computed over the whole `movies` collection by updateCatalogStats
+// and stored in config/catalogStats as { popularity: [...], voteCount: [...] }
+const PERCENTILE_STEPS = 100;
+
+/**
+ * Compute percentile breakpoints for a set of values
+ * @param {number[]} values - Raw values from the catalog
+ * @param {number} steps - Number of percentile steps (100 gives p0..p100)
+ * @returns {number[]} steps + 1 ascending breakpoints, empty if there are no values
+ */
+function computePercentileBreakpoints(values, steps = PERCENTILE_STEPS) {
+  const sorted = values
+    .filter(value => typeof value === 'number' && !isNaN(value))
+    .sort((a, b) => a - b);
+  
+  if (sorted.length === 0) {
+    return [];
+  }
+  
+  const breakpoints = [];
+  for (let i = 0; i <= steps; i++) {
+    breakpoints.push(sorted[Math.round((i / steps) * (sorted.length - 1))]);
+  }
+  return breakpoints;
+}
+
+/**
+ * Locate a value within percentile breakpoints
+ * Interpolates between breakpoints; values sitting on a plateau of equal
+ * breakpoints (e.g. the many zero-vote films) get the plateau's midpoint.
+ * @param {number} value - Raw value
+ * @param {number[]} breakpoints - Output of computePercentileBreakpoints
+ * @returns {number} Percentile (0-1)
+ */
+function percentileRank(value, breakpoints) {
+  const last = breakpoints.length - 1;
+  if (last < 1) {
+    return 0;
+  }
+  
+  let below = 0;
+  let atOrBelow = 0;
+  breakpoints.forEach(breakpoint => {
+    if (breakpoint < value) below++;
+    if (breakpoint <= value) atOrBelow++;
+  });
+  
+  if (atOrBelow === 0) return 0;
+  if (below > last) return 1;
+  
+  if (atOrBelow > below) {
+    return ((below + atOrBelow - 1) / 2) / last;
+  }
+  
+  const lower = breakpoints[below - 1];
+  const upper = breakpoints[below];
+  return (below - 1 + (value - lower) / (upper - lower)) / last;
+}
+
+// ===== WEIGHTED RATING =====
+// IMDb-style shrinkage toward the catalog mean. Used until updateCatalogStats
+// has stored config/catalogStats.ratingPrior.
+const DEFAULT_RATING_PRIOR = {
+  mean: 6.5,      // Catalog mean vote average (C)
+  minVotes: 100   // Votes needed before a film's own average carries half the weight (m)
 };
 
+// Percentile of catalog vote counts used as m, with a floor for small catalogs
+const RATING_PRIOR_VOTES_PERCENTILE = 0.75;
+const RATING_PRIOR_MIN_VOTES = 50;
+
+/**
+ * Compute the rating prior (catalog mean and minimum votes) from the catalog
+ * @param {Array} movies - [{ voteAverage, voteCount }]
+ * @returns {Object} { mean, minVotes }
+ */
+function computeRatingPrior(movies) {
+  const rated = movies.filter(movie => (movie.voteCount || 0) > 0);
+  if (rated.length === 0) {
+    return { ...DEFAULT_RATING_PRIOR };
+  }
+  
+  const mean = rated.reduce((sum, movie) => sum + (movie.voteAverage || 0), 0) / rated.length;
+  const voteCounts = rated.map(movie => movie.voteCount).sort((a, b) => a - b);
+  const percentileVotes = voteCounts[Math.floor(RATING_PRIOR_VOTES_PERCENTILE * (voteCounts.length - 1))];
+  
+  return {
+    mean,
+    minVotes: Math.max(RATING_PRIOR_MIN_VOTES, percentileVotes)
+  };
+}
+
+/**
+ * Bayesian weighted rating: WR = (v / (v + m)) * R + (m / (v + m)) * C
+ * A film with a handful of votes stays close to the catalog mean.
+ * @param {number} voteAverage - TMDB vote average (R, 0-10)
+ * @param {number} voteCount - TMDB vote count (v)
+ * @param {Object|null} catalogStats - Uses catalogStats.ratingPrior when present
+ * @returns {number} Weighted rating (0-10)
+ */
+function calculateWeightedRating(voteAverage, voteCount, catalogStats = null) {
+  const { mean, minVotes } = catalogStats?.ratingPrior || DEFAULT_RATING_PRIOR;
+  const votes = Math.max(0, voteCount || 0);
+  
+  return (votes / (votes + minVotes)) * (voteAverage || 0) +
+    (minVotes / (votes + minVotes)) * mean;
+}
+
+/**
+ * Label for the rating prior a weightedRating was computed with
+ * Stored on movies as `ratingPriorVersion` so the feature backfill recomputes
+ * ratings when updateCatalogStats moves the prior. The mean is rounded to 0.1
+ * and minVotes to two significant figures, so the drift from a day's imports
+ * does not rewrite the whole catalog.
+ * @param {Object|null} catalogStats - Uses catalogStats.ratingPrior when present
+ * @returns {string} e.g. "6.5:100"
+ */
+function ratingPriorVersion(catalogStats = null) {
+  const { mean, minVotes } = catalogStats?.ratingPrior || DEFAULT_RATING_PRIOR;
+  return `${mean.toFixed(1)}:${Number(minVotes.toPrecision(2))}`;
+}
+
+/**
+ * Check whether a movie's stored weightedRating used the current rating prior
+ * @param {Object} movie - Movie document from Firestore
+ * @param {Object|null} catalogStats - Catalog stats
+ * @returns {boolean} True if ratingPriorVersion matches the prior in catalogStats
+ */
+function isWeightedRatingCurrent(movie, catalogStats = null) {
+  return movie.ratingPriorVersion === ratingPriorVersion(catalogStats);
+}
+
+/**
+ * Set the features that depend on the catalog as a whole
+ * Falls back to fixed scales until catalog stats have been computed.
+ * Expects rating_normalized to be set already.
+ * @param {Object} features - Feature vector to update in place
+ * @param {Object} movie - Movie document from Firestore
+ * @param {Object|null} catalogStats - Percentile breakpoints from config/catalogStats
+ */
+function applyCatalogFeatures(features, movie, catalogStats = null) {
+  const popularity = movie.popularity || 0;
+  const voteCount = movie.voteCount || 0;
+  
+  // Popularity percentile (fallback assumes max popularity of 1000)
+  features.popularity_normalized = catalogStats?.popularity?.length
+    ? percentileRank(popularity, catalogStats.popularity)
+    : Math.min(1, popularity / 1000);
+  
+  // Vote count percentile (fallback treats 10k+ votes as the top)
+  features.vote_count_normalized = catalogStats?.voteCount?.length
+    ? percentileRank(voteCount, catalogStats.voteCount)
+    : Math.min(1, Math.log10(voteCount + 1) / 4);
+  
+  // Cult vs mainstream: good rating with limited reach
+  features.cult_score = voteCount >= CULT_MIN_VOTES
+    ? features.rating_normalized * (1 - features.vote_count_normalized)
+    : 0;
+}
+
+/**
+ * Calculate how recent a movie is relative to a given moment
+ * Linear from 1 (released at `now`) to 0 (10+ years earlier).
+ * @param {string} releaseDate - Release date (YYYY-MM-DD)
+ * @param {Date} now - Reference moment; inject a fixed date for reproducible scores
+ * @returns {number} Recency score (0-1), 0 if the release date is unknown
+ */
+function calculateRecencyScore(releaseDate, now = new Date()) {
+  const released = new Date(releaseDate);
+  if (!releaseDate || isNaN(released.getTime())) {
+    return 0;
+  }
+  
+  const yearsDiff = (now - released) / (365 * 24 * 60 * 60 * 1000);
+  return Math.max(0, Math.min(1, 1 - (yearsDiff / 10)));
+}
+
 /**
  * Convert movie data to feature vector
  * @param {Object} movie - Movie document from Firestore
+ * @param {Date} now - Reference moment for recency_score
+ * @param {Object|null} catalogStats - Percentile breakpoints from config/catalogStats
  * @returns {Object} Feature vector
  */
-function movieToFeatureVector(movie) {
+function movieToFeatureVector(movie, now = new Date(), catalogStats = null) {
   const features = initializeUserPreferenceVector();
   
   // 1. Process genres
@@ -202,56 +721,96 @@ function movieToFeatureVector(movie) {
     }
   }
   
-  // 2. Normalize popularity (assume max popularity of 1000)
-  features.popularity_normalized = Math.min(1, (movie.popularity || 0) / 1000);
+  // 2. Calculate recency score as of `now` (scorers re-derive it via getScoringFeatures)
+  features.recency_score = calculateRecencyScore(movie.releaseDate, now);
+  
+  // 3. Normalize weighted rating
+  features.rating_normalized = calculateWeightedRating(movie.voteAverage, movie.voteCount, catalogStats) / 10;
+  
+  // 4. Popularity and vote count percentiles, cult vs mainstream
+  applyCatalogFeatures(features, movie, catalogStats);
   
-  // 3. Calculate recency score (movies within last 2 years get higher score)
-  const releaseDate = new Date(movie.releaseDate);
-  const currentDate = new Date();
-  const yearsDiff = (currentDate - releaseDate) / (365 * 24 * 60 * 60 * 1000);
-  features.recency_score = Math.max(0, Math.min(1, 1 - (yearsDiff / 10)));
+  // 5. Runtime bucket
+  const runtimeDimension = runtimeBucket(movie.runtime);
+  if (runtimeDimension) {
+    features[runtimeDimension] = 1;
+  }
   
-  // 4. Normalize rating
-  features.rating_normalized = (movie.voteAverage || 0) / 10;
+  // 6. Original language group
+  if (movie.originalLanguage) {
+    features[LANGUAGE_MAPPING[movie.originalLanguage] || 'language_other'] = 1;
+  }
+  
+  // 7. Release era
+  const eraDimension = eraBucket(new Date(movie.releaseDate).getFullYear());
+  if (eraDimension) {
+    features[eraDimension] = 1;
+  }
   
   return features;
 }
 
+/**
+ * Resolve the feature vector to score or learn from at a given moment
+ * Reuses the stored vector when it is current, and always derives recency from
+ * the release date so the same film scores the same regardless of when its
+ * vector was persisted. When catalog stats are passed, percentiles are also
+ * re-derived against the latest breakpoints.
+ * @param {Object} movie - Movie document from Firestore
+ * @param {Date} now - Reference moment (e.g. refresh time or interaction timestamp)
+ * @param {Object|null} catalogStats - Percentile breakpoints from config/catalogStats
+ * @returns {Object} Feature vector
+ */
+function getScoringFeatures(movie, now = new Date(), catalogStats = null) {
+  const features = isFeatureVectorCurrent(movie)
+    ? { ...movie.featureVector }
+    : movieToFeatureVector(movie, now, catalogStats);
+  
+  features.recency_score = calculateRecencyScore(movie.releaseDate, now);
+  if (catalogStats) {
+    applyCatalogFeatures(features, movie, catalogStats);
+  }
+  return features;
+}
+
 // ===== EXAMPLE CALCULATIONS =====
+// Printed only when this file is run directly (`node scoring-system.js`)
 
-// Example 1: User likes an action movie
-const examplePreferences = {
-  genre_action: 0.3,
-  genre_comedy: 0.1,
-  genre_drama: -0.2,
-  genre_horror: -0.5,
-  genre_romance: 0.0,
-  genre_scifi: 0.4,
-  popularity_normalized: 0.2,
-  recency_score: 0.3,
-  rating_normalized: 0.5
-};
+if (require.main === module) {
+  // Example 1: User likes an action movie
+  const examplePreferences = {
+    genre_action: 0.3,
+    genre_comedy: 0.1,
+    genre_drama: -0.2,
+    genre_horror: -0.5,
+    genre_romance: 0.0,
+    genre_scifi: 0.4,
+    popularity_normalized: 0.2,
+    recency_score: 0.3,
+    rating_normalized: 0.5
+  };
 
-const exampleMovie = {
-  genre_action: 0.8,
-  genre_comedy: 0.2,
-  genre_drama: 0.0,
-  genre_horror: 0.0,
-  genre_romance: 0.0,
-  genre_scifi: 0.0,
-  popularity_normalized: 0.7,
-  recency_score: 0.9,
-  rating_normalized: 0.75
-};
+  const exampleMovie = {
+    genre_action: 0.8,
+    genre_comedy: 0.2,
+    genre_drama: 0.0,
+    genre_horror: 0.0,
+    genre_romance: 0.0,
+    genre_scifi: 0.0,
+    popularity_normalized: 0.7,
+    recency_score: 0.9,
+    rating_normalized: 0.75
+  };
 
-// Calculate score
-const scoreResult = calculateRecommendationScore(examplePreferences, exampleMovie);
-console.log('Example Score Calculation:', scoreResult);
-// Expected: High score due to action genre match and high ratings
+  // Calculate score
+  const scoreResult = calculateRecommendationScore(examplePreferences, exampleMovie);
+  console.log('Example Score Calculation:', scoreResult);
+  // Expected: High score due to action genre match and high ratings
 
-// Update preferences after "liked" action
-const updateResult = updateUserPreferences(examplePreferences, exampleMovie, 'liked', 0.1, 50);
-console.log('Updated Preferences:', updateResult);
+  // Update preferences after "liked" action
+  const updateResult = updateUserPreferences(examplePreferences, exampleMovie, 'liked', 0.1, 50);
+  console.log('Updated Preferences:', updateResult);
+}
 
 // ===== MODEL CONFIDENCE =====
 /**
@@ -267,12 +826,35 @@ function calculateModelConfidence(totalInteractions) {
 
 module.exports = {
   GESTURE_WEIGHTS,
+  LEARNING_WEIGHTS,
+  LEARNING_PARAMETER_RANGES,
+  validateLearningParameters,
+  getEffectiveLearningRate,
+  getTemporalDecayMultiplier,
+  applyTemporalDecay,
+  FEATURE_VERSION,
   FEATURE_DIMENSIONS,
+  LEGACY_DIMENSION_MAPPING,
   GENRE_ID_MAPPING,
+  LANGUAGE_MAPPING,
   initializeUserPreferenceVector,
+  isLegacyVector,
+  isFeatureVectorCurrent,
+  upgradePreferenceVector,
   calculateRecommendationScore,
+  SCORER_VERSIONS,
+  DEFAULT_SCORER,
+  getScorer,
   updateUserPreferences,
   calculateExplorationRate,
+  computePercentileBreakpoints,
+  percentileRank,
+  computeRatingPrior,
+  ratingPriorVersion,
+  isWeightedRatingCurrent,
+  calculateWeightedRating,
+  calculateRecencyScore,
   movieToFeatureVector,
+  getScoringFeatures,
   calculateModelConfidence
 };
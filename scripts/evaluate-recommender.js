@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Offline evaluation of the recommender against recorded interactions
+ * Runs entirely from local fixtures; nothing touches Firestore.
+ *
+ * Usage:
+ *   node scripts/evaluate-recommender.js <interactions.json|.jsonl> [--movies movies.json|.jsonl]
+ *     [--baseline content|blended|config.json] [--candidate content|blended|config.json]
+ *     [--k 10] [--json]
+ *
+ * A JSON dataset may hold both sets: { "interactions": [...], "movies": [...] }.
+ * Config files override EVALUATION_DEFAULTS, e.g.
+ *   { "name": "fast", "learningSettings": { "learningRate": 0.2 }, "collaborativeWeight": 0.3 }
+ * and may set "scoringSystem" to the path of an alternative scoring-system.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const evaluation = require('../offline-evaluation.js');
+
+function parseArgs(argv) {
+  const options = {
+    dataset: null,
+    movies: null,
+    baseline: 'content',
+    candidate: 'blended',
+    k: null,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--movies':
+        options.movies = argv[++i];
+        break;
+      case '--baseline':
+        options.baseline = argv[++i];
+        break;
+      case '--candidate':
+        options.candidate = argv[++i];
+        break;
+      case '--k':
+        options.k = parseInt(argv[++i]) || null;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        options.dataset = argv[i];
+    }
+  }
+
+  return options;
+}
+
+function readFixture(file) {
+  return evaluation.parseFixture(fs.readFileSync(file, 'utf8'), file);
+}
+
+function loadConfig(nameOrPath, k) {
+  let config;
+
+  if (evaluation.EVALUATION_PRESETS[nameOrPath]) {
+    config = { ...evaluation.EVALUATION_PRESETS[nameOrPath] };
+  } else {
+    const file = path.resolve(nameOrPath);
+    config = { name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+
+    if (typeof config.scoringSystem === 'string') {
+      config.scoringSystem = require(path.resolve(path.dirname(file), config.scoringSystem));
+    }
+  }
+
+  if (k) {
+    config.k = k;
+  }
+
+  return config;
+}
+
+function formatTable(comparison) {
+  const { baseline, candidate, delta } = comparison;
+  const rows = [
+    ['metric', baseline.name, candidate.name, 'delta'],
+    ...Object.keys(delta).map(metric => [
+      metric === 'coverage' || metric === 'novelty' ? metric : `${metric}@${baseline.k}`,
+      baseline.metrics[metric].toFixed(4),
+      candidate.metrics[metric].toFixed(4),
+      `${delta[metric] >= 0 ? '+' : ''}${delta[metric].toFixed(4)}`
+    ])
+  ];
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.dataset) {
+    throw new Error('Usage: node scripts/evaluate-recommender.js <interactions.json|.jsonl> [--movies file]');
+  }
+
+  const data = readFixture(options.dataset);
+  const interactions = Array.isArray(data) ? data : data.interactions || [];
+  const movies = options.movies ? readFixture(options.movies) : data.movies || [];
+
+  if (movies.length === 0) {
+    throw new Error('No movies found: pass --movies or include "movies" in the dataset');
+  }
+
+  const dataset = evaluation.prepareDataset(interactions, movies);
+  const comparison = evaluation.compareConfigs(
+    dataset,
+    loadConfig(options.baseline, options.k),
+    loadConfig(options.candidate, options.k)
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...comparison, skipped: dataset.skipped }, null, 2));
+    return;
+  }
+
+  console.log('\n📊 Offline evaluation');
+  console.log(
+    `  ${dataset.interactions.length} interactions, ${comparison.baseline.users} users, ` +
+    `${dataset.movies.length} movies (${dataset.skipped} skipped), ` +
+    `${comparison.baseline.evaluations} ranked steps\n`
+  );
+  console.log(formatTable(comparison));
+}
+
+try {
+  main();
+  process.exit(0);
+} catch (error) {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+}
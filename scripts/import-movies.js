@@ -1,3 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * Import movies from TMDB into Firestore
+ * Every `import:*` npm script is a preset over this one engine (tmdb-import.js);
+ * flags adjust a preset or define the sources outright. All movies go through
+ * the canonical mapping in tmdb-mapping.js, including weightedRating and featureVector.
+ *
+ * Usage:
+ *   node scripts/import-movies.js --preset <single|multiple|all|comprehensive|robust|massive|test> [flags]
+ *   node scripts/import-movies.js --endpoint /movie/top_rated --pages 3 [flags]
+ *   node scripts/import-movies.js --discover with_genres=27,primary_release_year=1980 --pages 2
+ *   node scripts/import-movies.js --ids 603,238,27205
+ *
+ * Flags:
+ *   --pages N / --start-page N    Pages per source and where to start
+ *   --limit N                     Movies taken from each page
+ *   --details / --no-details      Fetch /movie/{id} for each movie (ID lists always do)
+ *   --skip-existing / --overwrite Leave catalog movies alone, or merge fresh data into them
+ *   --backfill-genres             Fill genre names on catalog movies that only have IDs first
+ *   --concurrency N, --retries N, --dry-run
+ *
+ * Presets also take bare page numbers, e.g. `npm run import:movies:multiple 1 5`.
+ */
+
 const admin = require('firebase-admin');
 require('dotenv').config();
 
@@ -14,125 +39,61 @@ admin.initializeApp({
 
 const db = admin.firestore();
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
-
-async function importMovies(page = 1, limit = 20) {
-  try {
-    if (!TMDB_API_KEY) {
-      console.error('TMDB API key not configured');
-      return;
-    }
-
-    console.log(`Importing movies from page ${page}...`);
-
-    // Fetch popular movies from TMDB
-    const response = await fetch(
-      `${TMDB_BASE_URL}/movie/popular?api_key=${TMDB_API_KEY}&page=${page}&language=en-US`
-    );
-
-    if (!response.ok) {
-      throw new Error(`TMDB API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const movies = data.results;
-
-    console.log(`Found ${movies.length} movies on page ${page}`);
-
-    // Process and store movies in Firestore
-    const batch = db.batch();
-    const timestamp = admin.firestore.Timestamp.now();
-
-    for (const movie of movies.slice(0, limit)) {
-      const movieData = {
-        tmdbId: movie.id,
-        title: movie.title,
-        overview: movie.overview,
-        posterPath: movie.poster_path,
-        backdropPath: movie.backdrop_path,
-        releaseDate: movie.release_date,
-        voteAverage: movie.vote_average,
-        voteCount: movie.vote_count,
-        genreIds: movie.genre_ids,
-        popularity: movie.popularity,
-        createdAt: timestamp,
-        updatedAt: timestamp,
-      };
-
-      const movieRef = db.collection('movies').doc(movie.id.toString());
-      batch.set(movieRef, movieData, { merge: true });
-    }
-
-    await batch.commit();
+const tmdbImport = require('../tmdb-import.js');
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/import-movies.js --preset <name> [flags]');
+  console.log('  node scripts/import-movies.js (--endpoint <path> | --discover key=value,... | --ids 1,2,3) [flags]');
+  console.log('\nPresets:');
+  Object.entries(tmdbImport.IMPORT_PRESETS).forEach(([name, preset]) => {
+    console.log(`  ${name.padEnd(14)} ${preset.description}`);
+  });
+}
 
-    console.log(`Successfully imported ${movies.length} movies from page ${page}`);
-    console.log(`Total results available: ${data.total_results}`);
+async function loadCatalogStats() {
+  const statsDoc = await db.collection('config').doc('catalogStats').get();
+  return statsDoc.exists ? statsDoc.data() : null;
+}
 
-    return {
-      imported: movies.length,
-      totalResults: data.total_results,
-      hasMore: page * 20 < data.total_results,
-    };
-  } catch (error) {
-    console.error('Error importing movies:', error);
-    throw error;
+async function importFromTMDB(argv) {
+  const { preset, overrides } = tmdbImport.parseImportArgs(argv);
+  if (!preset && !overrides.sources) {
+    printUsage();
+    return;
   }
-}
 
-async function importMultiplePages(startPage = 1, endPage = 5) {
-  console.log(`Starting import from page ${startPage} to ${endPage}...`);
-  
-  let totalImported = 0;
-  
-  for (let page = startPage; page <= endPage; page++) {
-    try {
-      const result = await importMovies(page, 20);
-      totalImported += result.imported;
-      
-      // Add a small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      if (!result.hasMore) {
-        console.log('No more pages available');
-        break;
-      }
-    } catch (error) {
-      console.error(`Error importing page ${page}:`, error);
-      break;
-    }
+  const config = tmdbImport.resolveImportConfig(preset, overrides);
+  console.log(`🚀 Starting ${preset || 'custom'} movie import from TMDB...`);
+  console.log('TMDB API Key:', TMDB_API_KEY ? '✅ Set' : '❌ Not set');
+  console.log('Firebase Project ID:', process.env.FIREBASE_PROJECT_ID);
+  if (config.dryRun) {
+    console.log('🧪 Dry run: nothing will be written');
   }
-  
-  console.log(`Import completed! Total movies imported: ${totalImported}`);
-}
 
-// CLI interface
-const args = process.argv.slice(2);
-const command = args[0];
+  const totals = await tmdbImport.runImport(config, {
+    db,
+    apiKey: TMDB_API_KEY,
+    timestamp: () => admin.firestore.Timestamp.now(),
+    catalogStats: await loadCatalogStats()
+  });
+
+  console.log('\n📊 Summary:');
+  totals.sources.forEach(source => {
+    console.log(`  🎬 ${source.name}: ${source.imported} imported, ${source.skipped} skipped, ${source.errors} errors`);
+  });
+  console.log(`  ✅ ${config.dryRun ? 'Would import' : 'Imported'}: ${totals.imported}`);
+  console.log(`  ⏭️  Skipped: ${totals.skipped}`);
+  console.log(`  ❌ Errors: ${totals.errors}`);
+  console.log(`  📄 Pages processed: ${totals.pages}`);
+
+  const countSnapshot = await db.collection('movies').count().get();
+  console.log(`📋 Total unique movies in database: ${countSnapshot.data().count}`);
+}
 
-switch (command) {
-  case 'single':
-    const page = parseInt(args[1]) || 1;
-    const limit = parseInt(args[2]) || 20;
-    importMovies(page, limit)
-      .then(() => process.exit(0))
-      .catch(() => process.exit(1));
-    break;
-    
-  case 'multiple':
-    const startPage = parseInt(args[1]) || 1;
-    const endPage = parseInt(args[2]) || 5;
-    importMultiplePages(startPage, endPage)
-      .then(() => process.exit(0))
-      .catch(() => process.exit(1));
-    break;
-    
-  default:
-    console.log('Usage:');
-    console.log('  node scripts/import-movies.js single [page] [limit]');
-    console.log('  node scripts/import-movies.js multiple [startPage] [endPage]');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node scripts/import-movies.js single 1 20');
-    console.log('  node scripts/import-movies.js multiple 1 5');
-    process.exit(0);
-} 
\ No newline at end of file
+importFromTMDB(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate legacy `swipes` documents into canonical `interactions`
+ * Triggers fire in no particular order, so `processSwipeInteraction` only
+ * counts migrated interactions. Once every swipe is written, each affected
+ * user's preferences are rebuilt from their full history in timestamp order
+ * (preference-rebuild.js, as `npm run rebuild:preferences`). Swipes with no
+ * timestamp are stamped with the time they are migrated.
+ *
+ * Usage:
+ *   node scripts/migrate-swipes.js [--dry-run] [--page-size 200]
+ */
+
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+// Initialize Firebase Admin
+const serviceAccount = {
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+};
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const db = admin.firestore();
+const ingestion = require('../interaction-ingestion.js');
+const preferenceRebuild = require('../preference-rebuild.js');
+
+// Firestore error code for create() on an existing document
+const ALREADY_EXISTS = 6;
+
+function parseArgs(argv) {
+  const options = {
+    dryRun: false,
+    pageSize: 200
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--page-size':
+        options.pageSize = parseInt(argv[++i]) || options.pageSize;
+        break;
+    }
+  }
+
+  return options;
+}
+
+async function migrateDocs(docs, options, summary, userIds) {
+  for (const doc of docs) {
+    const result = ingestion.swipeToInteraction(doc.id, doc.data());
+
+    if (!result.isValid) {
+      console.log(`⚠️  Skipping swipe ${doc.id}: ${result.errors.join('; ')}`);
+      summary.invalid++;
+      continue;
+    }
+
+    if (!result.interaction.timestamp) {
+      result.interaction.timestamp = admin.firestore.Timestamp.now();
+    }
+
+    userIds.add(result.interaction.userId);
+
+    if (options.dryRun) {
+      summary.migrated++;
+      continue;
+    }
+
+    try {
+      const interactionId = ingestion.legacyInteractionId(doc.id);
+      await db.collection('interactions').doc(interactionId).create(result.interaction);
+      await doc.ref.update({
+        migratedAt: admin.firestore.Timestamp.now(),
+        interactionId
+      });
+      summary.migrated++;
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        summary.alreadyMigrated++;
+      } else {
+        console.error(`❌ Error migrating swipe ${doc.id}:`, error.message);
+        summary.errors++;
+      }
+    }
+  }
+}
+
+async function loadCatalogStats() {
+  const statsDoc = await db.collection('config').doc('catalogStats').get();
+  return statsDoc.exists ? statsDoc.data() : null;
+}
+
+// Replays each user's whole history, so users whose swipes were migrated by an
+// earlier, interrupted run are rebuilt too
+async function rebuildPreferences(userIds, options, summary) {
+  if (options.dryRun) {
+    summary.rebuilt = userIds.size;
+    return;
+  }
+
+  const catalogStats = await loadCatalogStats();
+  for (const userId of userIds) {
+    try {
+      await preferenceRebuild.rebuildUserPreferences(userId, {}, {
+        db,
+        timestamp: () => admin.firestore.Timestamp.now(),
+        catalogStats
+      });
+      summary.rebuilt++;
+    } catch (error) {
+      console.error(`❌ Error rebuilding preferences for ${userId}:`, error.message);
+      summary.rebuildErrors++;
+    }
+  }
+}
+
+async function forEachPage(baseQuery, pageSize, handlePage) {
+  let lastDoc = null;
+
+  while (true) {
+    let query = baseQuery.limit(pageSize);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    await handlePage(snapshot.docs);
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+async function migrateSwipes(options) {
+  console.log('🔄 Migrating legacy swipes into interactions...');
+  if (options.dryRun) {
+    console.log('🧪 Dry run: nothing will be written\n');
+  }
+
+  const summary = { migrated: 0, alreadyMigrated: 0, invalid: 0, errors: 0, rebuilt: 0, rebuildErrors: 0 };
+  const userIds = new Set();
+
+  await forEachPage(db.collection('swipes').orderBy('timestamp', 'asc'), options.pageSize, async docs => {
+    await migrateDocs(docs, options, summary, userIds);
+    console.log(`📦 Processed page of ${docs.length} swipes (${summary.migrated} migrated so far)`);
+  });
+
+  // orderBy('timestamp') leaves out swipes without the field, so sweep every
+  // swipe by document ID for those; they are stamped with the migration time
+  await forEachPage(db.collection('swipes').orderBy(admin.firestore.FieldPath.documentId()), options.pageSize, async docs => {
+    const untimed = docs.filter(doc => !('timestamp' in doc.data()));
+    await migrateDocs(untimed, options, summary, userIds);
+    if (untimed.length > 0) {
+      console.log(`📦 Processed ${untimed.length} swipes without a timestamp (${summary.migrated} migrated so far)`);
+    }
+  });
+
+  console.log(`🔁 Rebuilding preferences for ${userIds.size} users from their history...`);
+  await rebuildPreferences(userIds, options, summary);
+
+  console.log('\n📊 Summary:');
+  console.log(`  ✅ Migrated: ${summary.migrated}`);
+  console.log(`  ⏭️  Already migrated: ${summary.alreadyMigrated}`);
+  console.log(`  ⚠️  Invalid actions: ${summary.invalid}`);
+  console.log(`  ❌ Errors: ${summary.errors}`);
+  console.log(`  🔁 ${options.dryRun ? 'Would rebuild' : 'Rebuilt'} preferences: ${summary.rebuilt} users`);
+  console.log(`  ❌ Rebuild errors: ${summary.rebuildErrors}`);
+
+  return summary;
+}
+
+migrateSwipes(parseArgs(process.argv.slice(2)))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -2,76 +2,232 @@
 
 /**
  * Script to populate Firestore with Diagnostic Golden Set movies
- * Ensures all 150 seed movies are available for the recommendation system
+ * Hydrates every seed movie into a full catalog record: TMDB details are
+ * mapped exactly as the importers map them (tmdb-mapping.js), then
+ * weightedRating and featureVector are computed so seeds score like any
+ * other movie. Seeds are the golden set titles plus any `movies` document
+ * already flagged `diagnosticSeed`.
+ *
+ * A seed is unresolved when TMDB has no movie under its ID or the movie there
+ * has a different title or year; it is left untouched and listed at the end,
+ * with the ID a TMDB search suggests instead.
+ *
+ * Usage:
+ *   node scripts/populate-diagnostic-set.js [--dry-run] [--force] [--tmdb-cache .tmdb-cache]
+ *
+ * --force re-hydrates seeds that already have a current feature vector.
+ * Details are read from and saved to the same cache as validate-golden-set.js.
  */
 
+const fs = require('fs');
+const path = require('path');
 const admin = require('firebase-admin');
-const serviceAccount = require('../service-account-key.json');
+const axios = require('axios');
+require('dotenv').config();
 
 // Initialize Firebase Admin
+const serviceAccount = {
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+};
+
 admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
+  credential: admin.credential.cert(serviceAccount),
 });
 
 const db = admin.firestore();
+const TMDB_API_KEY = process.env.TMDB_API_KEY;
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 
-// Import the diagnostic golden set
+// Import the diagnostic golden set and the shared TMDB mapping
 const diagnosticSet = require('../diagnostic-golden-set.js');
+const { mapMovieDetails, withDerivedFields } = require('../tmdb-mapping.js');
+const { isFeatureVectorCurrent } = require('../scoring-system.js');
+
+function parseArgs(argv) {
+  const options = {
+    dryRun: false,
+    force: false,
+    cacheDir: path.join(__dirname, '..', '.tmdb-cache')
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--tmdb-cache':
+        options.cacheDir = argv[++i];
+        break;
+    }
+  }
+
+  return options;
+}
+
+async function loadCatalogStats() {
+  const statsDoc = await db.collection('config').doc('catalogStats').get();
+  return statsDoc.exists ? statsDoc.data() : null;
+}
+
+async function tmdbGet(endpoint, params = {}) {
+  try {
+    const response = await axios.get(`${TMDB_BASE_URL}${endpoint}`, {
+      params: { api_key: TMDB_API_KEY, language: 'en-US', ...params }
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw new Error(`TMDB API error: ${error.response?.status || error.message}`);
+  }
+}
+
+async function getMovieDetails(tmdbId, cacheDir) {
+  const cacheFile = path.join(cacheDir, `${tmdbId}.json`);
+  if (fs.existsSync(cacheFile)) {
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  }
+
+  const details = await tmdbGet(`/movie/${tmdbId}`);
+  if (details) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(details, null, 2));
+  }
+  return details;
+}
+
+async function suggestTmdbId(seed) {
+  const results = await tmdbGet('/search/movie', {
+    query: seed.title,
+    primary_release_year: seed.year,
+    include_adult: false
+  });
+  return results?.results?.[0]?.id || null;
+}
+
+// Golden set titles first, then catalog documents flagged as seeds that the set no longer lists
+async function loadSeeds() {
+  const seeds = new Map();
+  diagnosticSet.getAllMovies().forEach(movie => {
+    const movieId = String(movie.tmdbId);
+    if (!seeds.has(movieId)) {
+      seeds.set(movieId, { movieId, title: movie.title, year: movie.year, tmdbId: movie.tmdbId });
+    }
+  });
+
+  const flagged = await db.collection('movies').where('diagnosticSeed', '==', true).get();
+  flagged.docs
+    .filter(doc => !seeds.has(doc.id))
+    .forEach(doc => {
+      const data = doc.data();
+      seeds.set(doc.id, {
+        movieId: doc.id,
+        title: data.title,
+        year: parseInt(String(data.releaseDate || '').slice(0, 4)) || null,
+        tmdbId: Number(doc.id)
+      });
+    });
 
-async function populateDiagnosticMovies() {
-  console.log('🎬 Populating Diagnostic Golden Set...\n');
-  
-  const allMovies = diagnosticSet.getAllMovies();
-  console.log(`Total movies to add: ${allMovies.length}`);
-  
-  let added = 0;
-  let skipped = 0;
-  let errors = 0;
-  
-  for (const movie of allMovies) {
+  return [...seeds.values()];
+}
+
+async function hydrateSeed(seed, catalogStats, options) {
+  const movieRef = db.collection('movies').doc(seed.movieId);
+  const existing = await movieRef.get();
+
+  if (!options.force && existing.exists && isFeatureVectorCurrent(existing.data()) && existing.data().genres?.length) {
+    return { status: 'current' };
+  }
+
+  const details = await getMovieDetails(seed.tmdbId, options.cacheDir);
+  if (!details) {
+    return { status: 'unresolved', reason: `TMDB has no movie ${seed.tmdbId}`, suggestion: await suggestTmdbId(seed) };
+  }
+
+  const mismatches = diagnosticSet.compareWithTmdb(seed, details);
+  if (mismatches.length > 0) {
+    return {
+      status: 'unresolved',
+      reason: mismatches.map(mismatch => mismatch.message).join('; '),
+      suggestion: await suggestTmdbId(seed)
+    };
+  }
+
+  const movieData = {
+    ...withDerivedFields(mapMovieDetails(details), catalogStats),
+    diagnosticSeed: true, // Flag this as a diagnostic seed movie
+    updatedAt: admin.firestore.Timestamp.now()
+  };
+  if (!existing.exists) {
+    movieData.createdAt = admin.firestore.Timestamp.now();
+  }
+
+  if (!options.dryRun) {
+    await movieRef.set(movieData, { merge: true });
+  }
+  return { status: 'hydrated', genres: movieData.genres };
+}
+
+async function populateDiagnosticMovies(options) {
+  if (!TMDB_API_KEY) {
+    throw new Error('TMDB_API_KEY is required');
+  }
+
+  console.log('🎬 Hydrating Diagnostic Golden Set seeds...');
+  if (options.dryRun) {
+    console.log('🧪 Dry run: nothing will be written');
+  }
+
+  const [seeds, catalogStats] = await Promise.all([loadSeeds(), loadCatalogStats()]);
+  console.log(`Seed movies: ${seeds.length}\n`);
+
+  const summary = { hydrated: 0, current: 0, unresolved: [], errors: 0 };
+
+  for (const seed of seeds) {
     try {
-      const movieId = movie.tmdbId.toString();
-      const movieRef = db.collection('movies').doc(movieId);
-      
-      // Check if movie already exists
-      const movieDoc = await movieRef.get();
-      
-      if (movieDoc.exists) {
-        console.log(`⏭️  Skipping ${movie.title} (${movie.year}) - already exists`);
-        skipped++;
-        continue;
+      const result = await hydrateSeed(seed, catalogStats, options);
+
+      if (result.status === 'hydrated') {
+        console.log(`✅ ${options.dryRun ? 'Would hydrate' : 'Hydrated'} ${seed.title} (${seed.year}): ${result.genres.join(', ')}`);
+        summary.hydrated++;
+      } else if (result.status === 'current') {
+        console.log(`⏭️  Skipping ${seed.title} (${seed.year}) - already hydrated`);
+        summary.current++;
+      } else {
+        console.log(`⚠️  Unresolved ${seed.title} (${seed.year}): ${result.reason}`);
+        summary.unresolved.push({ ...seed, reason: result.reason, suggestion: result.suggestion });
       }
-      
-      // Add movie with minimal required fields
-      // The full data will be fetched from TMDB later
-      await movieRef.set({
-        tmdbId: movie.tmdbId,
-        title: movie.title,
-        releaseDate: `${movie.year}-01-01`,
-        overview: movie.description,
-        diagnosticSeed: true, // Flag this as a diagnostic seed movie
-        createdAt: admin.firestore.Timestamp.now(),
-        updatedAt: admin.firestore.Timestamp.now(),
-      }, { merge: true });
-      
-      console.log(`✅ Added ${movie.title} (${movie.year})`);
-      added++;
-      
     } catch (error) {
-      console.error(`❌ Error adding ${movie.title}: ${error.message}`);
-      errors++;
+      console.error(`❌ Error hydrating ${seed.title}: ${error.message}`);
+      summary.errors++;
     }
   }
-  
+
   console.log('\n📊 Summary:');
-  console.log(`  ✅ Added: ${added}`);
-  console.log(`  ⏭️  Skipped: ${skipped}`);
-  console.log(`  ❌ Errors: ${errors}`);
-  console.log('\n🎉 Done!');
+  console.log(`  ✅ ${options.dryRun ? 'Would hydrate' : 'Hydrated'}: ${summary.hydrated}`);
+  console.log(`  ⏭️  Already hydrated: ${summary.current}`);
+  console.log(`  ⚠️  Unresolved: ${summary.unresolved.length}`);
+  console.log(`  ❌ Errors: ${summary.errors}`);
+
+  if (summary.unresolved.length > 0) {
+    console.log('\n🔎 Unresolved seeds (fix the TMDB ID in the golden set data file):');
+    summary.unresolved.forEach(seed => {
+      const hint = seed.suggestion ? `, TMDB search suggests ${seed.suggestion}` : '';
+      console.log(`  - ${seed.title} (${seed.year}) [${seed.movieId}]: ${seed.reason}${hint}`);
+    });
+  }
+
+  return summary;
 }
 
 // Run the script
-populateDiagnosticMovies()
+populateDiagnosticMovies(parseArgs(process.argv.slice(2)))
   .then(() => process.exit(0))
   .catch((error) => {
     console.error('Fatal error:', error);
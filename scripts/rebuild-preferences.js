@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild preference vectors by replaying each user's interaction history
+ * through the current updateUserPreferences. Run after a scoring change so
+ * existing vectors stop reflecting the old rules. The same rebuild is
+ * available to admins as the `rebuildPreferenceVectors` callable.
+ *
+ * Usage:
+ *   node scripts/rebuild-preferences.js --user <uid> [--user <uid> ...] [--dry-run] [--no-decay]
+ *   node scripts/rebuild-preferences.js --all [--dry-run] [--no-decay] [--page-size 100]
+ *
+ * --no-decay weighs every swipe the same instead of fading older ones
+ */
+
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+// Initialize Firebase Admin
+const serviceAccount = {
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+};
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const db = admin.firestore();
+const preferenceRebuild = require('../preference-rebuild.js');
+
+function parseArgs(argv) {
+  const options = {
+    userIds: [],
+    all: false,
+    dryRun: false,
+    temporalDecay: true,
+    pageSize: 100
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--user':
+        options.userIds.push(argv[++i]);
+        break;
+      case '--all':
+        options.all = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--no-decay':
+        options.temporalDecay = false;
+        break;
+      case '--page-size':
+        options.pageSize = parseInt(argv[++i]) || options.pageSize;
+        break;
+    }
+  }
+
+  return options;
+}
+
+async function loadCatalogStats() {
+  const statsDoc = await db.collection('config').doc('catalogStats').get();
+  return statsDoc.exists ? statsDoc.data() : null;
+}
+
+function rebuildUser(userId, catalogStats, options) {
+  return preferenceRebuild.rebuildUserPreferences(userId, options, {
+    db,
+    timestamp: () => admin.firestore.Timestamp.now(),
+    catalogStats
+  });
+}
+
+function printDiff(userId, result) {
+  console.log(
+    `👤 ${userId}: replayed ${result.replayed} interactions` +
+    (result.skipped > 0 ? ` (${result.skipped} on missing movies skipped)` : '') +
+    `, ${result.diff.changedDimensions} dimensions changed, max change ${result.diff.maxChange.toFixed(4)}`
+  );
+  result.diff.changes.forEach(change => {
+    const sign = change.delta >= 0 ? '+' : '';
+    console.log(
+      `    ${change.dimension.padEnd(24)} ${change.before.toFixed(4)} → ${change.after.toFixed(4)} (${sign}${change.delta.toFixed(4)})`
+    );
+  });
+}
+
+async function* userIdPages(options) {
+  if (!options.all) {
+    yield options.userIds;
+    return;
+  }
+
+  let lastId = null;
+  while (true) {
+    let query = db.collection('userPreferences')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .select()
+      .limit(options.pageSize);
+    if (lastId) {
+      query = query.startAfter(lastId);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      return;
+    }
+
+    yield snapshot.docs.map(doc => doc.id);
+    lastId = snapshot.docs[snapshot.docs.length - 1].id;
+  }
+}
+
+async function rebuildPreferences(options) {
+  if (!options.all && options.userIds.length === 0) {
+    throw new Error('Usage: node scripts/rebuild-preferences.js (--user <uid> ... | --all) [--dry-run]');
+  }
+
+  console.log('🔁 Rebuilding preference vectors from interaction history...');
+  if (options.dryRun) {
+    console.log('🧪 Dry run: nothing will be written\n');
+  }
+
+  const catalogStats = await loadCatalogStats();
+  const summary = { rebuilt: 0, unchanged: 0, errors: 0 };
+
+  for await (const userIds of userIdPages(options)) {
+    for (const userId of userIds) {
+      try {
+        const result = await rebuildUser(userId, catalogStats, options);
+        printDiff(userId, result);
+        if (result.diff.changedDimensions === 0) {
+          summary.unchanged++;
+        } else {
+          summary.rebuilt++;
+        }
+      } catch (error) {
+        console.error(`❌ Error rebuilding ${userId}:`, error.message);
+        summary.errors++;
+      }
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  ✅ ${options.dryRun ? 'Would change' : 'Rebuilt'}: ${summary.rebuilt}`);
+  console.log(`  ⏭️  Unchanged: ${summary.unchanged}`);
+  console.log(`  ❌ Errors: ${summary.errors}`);
+
+  return summary;
+}
+
+rebuildPreferences(parseArgs(process.argv.slice(2)))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Grant or revoke the `admin` custom claim used by admin-only callables
+ * The user must sign in again (or refresh their ID token) to pick it up.
+ *
+ * Usage:
+ *   node scripts/set-admin-claim.js <uid> [--revoke]
+ */
+
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+// Initialize Firebase Admin
+const serviceAccount = {
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+};
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+async function setAdminClaim(uid, revoke) {
+  if (!uid) {
+    throw new Error('Usage: node scripts/set-admin-claim.js <uid> [--revoke]');
+  }
+
+  const user = await admin.auth().getUser(uid);
+  const claims = { ...(user.customClaims || {}) };
+
+  if (revoke) {
+    delete claims.admin;
+  } else {
+    claims.admin = true;
+  }
+
+  await admin.auth().setCustomUserClaims(uid, claims);
+  console.log(`${revoke ? '🔒 Revoked' : '🔑 Granted'} admin for ${user.email || uid}`);
+}
+
+const args = process.argv.slice(2);
+
+setAdminClaim(args.find(arg => !arg.startsWith('--')), args.includes('--revoke'))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  });
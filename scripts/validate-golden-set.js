@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Validate the Diagnostic Golden Set
+ * Checks deck and title counts, duplicate TMDB IDs, and each title and year
+ * against TMDB details cached on disk. Exits 1 when any check fails, so it
+ * can gate a new data/diagnostic-golden-set.v<N>.json.
+ *
+ * Usage:
+ *   node scripts/validate-golden-set.js [--file data/diagnostic-golden-set.v2.json]
+ *     [--tmdb-cache .tmdb-cache] [--fetch] [--json]
+ *
+ * The cache is a directory of TMDB /movie/{id} responses saved as <id>.json.
+ * --fetch downloads the missing ones first (needs TMDB_API_KEY); without it
+ * no network requests are made and uncached titles are only warned about.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+require('dotenv').config();
+
+const goldenSet = require('../diagnostic-golden-set.js');
+
+const TMDB_API_KEY = process.env.TMDB_API_KEY;
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+function parseArgs(argv) {
+  const options = {
+    file: goldenSet.GOLDEN_SET_FILE,
+    cacheDir: path.join(__dirname, '..', '.tmdb-cache'),
+    fetch: false,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--file':
+        options.file = argv[++i];
+        break;
+      case '--tmdb-cache':
+        options.cacheDir = argv[++i];
+        break;
+      case '--fetch':
+        options.fetch = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+    }
+  }
+
+  return options;
+}
+
+function readTmdbCache(cacheDir) {
+  const cache = {};
+  if (!fs.existsSync(cacheDir)) {
+    return cache;
+  }
+
+  fs.readdirSync(cacheDir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      cache[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(cacheDir, file), 'utf8'));
+    });
+  return cache;
+}
+
+async function fetchMissingDetails(set, cache, cacheDir) {
+  if (!TMDB_API_KEY) {
+    throw new Error('TMDB_API_KEY is required for --fetch');
+  }
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  const missing = [...new Set(
+    set.decks.flatMap(deck => deck.titles.map(movie => String(movie.tmdbId)))
+  )].filter(id => !cache[id]);
+
+  for (const id of missing) {
+    let details;
+    try {
+      const response = await axios.get(`${TMDB_BASE_URL}/movie/${id}`, {
+        params: { api_key: TMDB_API_KEY, language: 'en-US' }
+      });
+      details = response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        console.warn(`⚠️  TMDB has no movie ${id}`);
+        continue;
+      }
+      throw new Error(`TMDB API error for ${id}: ${error.response?.status || error.message}`);
+    }
+
+    fs.writeFileSync(path.join(cacheDir, `${id}.json`), JSON.stringify(details, null, 2));
+    cache[id] = details;
+  }
+
+  return missing.length;
+}
+
+function printIssues(label, issues) {
+  if (issues.length === 0) {
+    return;
+  }
+  console.log(`\n${label}:`);
+  issues.forEach(issue => console.log(`  - [${issue.code}] ${issue.message}`));
+}
+
+async function validateGoldenSet(options) {
+  const set = goldenSet.loadGoldenSet(options.file);
+  const cache = readTmdbCache(options.cacheDir);
+
+  if (options.fetch) {
+    const fetched = await fetchMissingDetails(set, cache, options.cacheDir);
+    if (!options.json) {
+      console.log(`📥 Fetched ${fetched} TMDB records into ${options.cacheDir}`);
+    }
+  }
+
+  const report = goldenSet.validateGoldenSet(set, cache);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  console.log(`🎬 Diagnostic Golden Set v${report.stats.version} (${path.relative(process.cwd(), path.resolve(options.file))})`);
+  printIssues('❌ Errors', report.errors);
+  printIssues('⚠️  Warnings', report.warnings);
+
+  console.log('\n📊 Summary:');
+  console.log(`  🗂️  Decks: ${report.stats.decks}/${set.expectedDecks}`);
+  console.log(`  🎞️  Titles: ${report.stats.titles}/${set.expectedDecks * set.titlesPerDeck} (${report.stats.uniqueTitles} unique)`);
+  console.log(`  🔎 Checked against TMDB: ${report.stats.checkedAgainstTmdb}`);
+  console.log(`  ❌ Errors: ${report.errors.length}`);
+  console.log(`  ⚠️  Warnings: ${report.warnings.length}`);
+
+  return report;
+}
+
+validateGoldenSet(parseArgs(process.argv.slice(2)))
+  .then(report => process.exit(report.valid ? 0 : 1))
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -3,6 +3,8 @@ const cors = require('cors');
 const admin = require('firebase-admin');
 require('dotenv').config();
 
+const ingestion = require('./interaction-ingestion.js');
+
 // Initialize Firebase Admin with production credentials
 const serviceAccount = {
   type: 'service_account',
@@ -238,24 +240,54 @@ function extractWatchProviders(results) {
   return providers;
 }
 
+// Swipes train the caller's model, so the user comes from a Firebase ID token
+// (`Authorization: Bearer <token>`), never from the request body
+async function authenticate(req, res, next) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) {
+    return res.status(401).json({ success: false, error: 'User must be authenticated' });
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(match[1]);
+    req.userId = decoded.uid;
+    next();
+  } catch (error) {
+    res.status(401).json({ success: false, error: 'Invalid ID token' });
+  }
+}
+
 // Record swipe endpoint
-app.post('/api/swipes', async (req, res) => {
+app.post('/api/swipes', authenticate, async (req, res) => {
   try {
-    const { userId, movieId, action } = req.body;
+    const { movieId, action, context } = req.body;
+    const userId = req.userId;
     
     console.log(`Recording swipe: userId=${userId}, movieId=${movieId}, action=${action}`);
     
-    // Store swipe in Firestore
-    await db.collection('swipes').add({
-      userId: userId,
-      movieId: movieId,
-      action: action,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    const validation = ingestion.validateInteraction(
+      { userId, movieId, action, context },
+      ingestion.INTERACTION_SOURCES.simpleServer
+    );
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.errors.join('; ')
+      });
+    }
+    
+    // Store as a canonical interaction so the recommendation pipeline picks it up
+    const interactionRef = await db.collection('interactions').add({
+      ...validation.interaction,
+      timestamp: admin.firestore.Timestamp.now()
     });
     
     res.json({
       success: true,
-      message: 'Swipe recorded successfully'
+      message: 'Swipe recorded successfully',
+      interactionId: interactionRef.id,
+      action: validation.interaction.action
     });
   } catch (error) {
     console.error('Error recording swipe:', error);
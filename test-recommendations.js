@@ -6,6 +6,24 @@
  */
 
 const scoringSystem = require('./scoring-system.js');
+const ingestion = require('./interaction-ingestion.js');
+const collaborative = require('./collaborative-filtering.js');
+const evaluation = require('./offline-evaluation.js');
+const experiments = require('./experiments.js');
+const diversityReranking = require('./diversity-reranking.js');
+const exploration = require('./exploration.js');
+const queueMaintenance = require('./queue-maintenance.js');
+const candidateGeneration = require('./candidate-generation.js');
+const explanations = require('./explanations.js');
+const preferenceReplay = require('./preference-replay.js');
+const onboarding = require('./onboarding.js');
+const goldenSet = require('./diagnostic-golden-set.js');
+const tmdbMapping = require('./tmdb-mapping.js');
+const tmdbImport = require('./tmdb-import.js');
+const learningSettings = require('./learning-settings.js');
+const preferenceRebuild = require('./preference-rebuild.js');
+const { DIAGNOSTIC_GOLDEN_SET } = goldenSet;
+const axios = require('axios');
 
 console.log('🎬 WatchLyst Recommendation System - Unit Tests');
 console.log('================================================\n');
@@ -34,7 +52,8 @@ console.log('');
 // Test 2: Initialize User Preference Vector
 console.log('Test 2: Initialize User Preference Vector');
 const preferences = scoringSystem.initializeUserPreferenceVector();
-assert(Object.keys(preferences).length === 9, 'Preference vector has 9 dimensions');
+assert(Object.keys(preferences).length === Object.keys(scoringSystem.FEATURE_DIMENSIONS).length,
+  'Preference vector matches feature dimensions');
 assert(preferences.genre_action === 0, 'Initial action preference is 0');
 console.log('');
 
@@ -44,13 +63,14 @@ const testMovie = {
   genreIds: [28, 878], // Action + Sci-Fi
   popularity: 500,
   releaseDate: '2024-01-01',
-  voteAverage: 8.0
+  voteAverage: 8.0,
+  voteCount: 100000
 };
 const features = scoringSystem.movieToFeatureVector(testMovie);
 assert(features.genre_action > 0, 'Action genre is detected');
 assert(features.genre_scifi > 0, 'Sci-Fi genre is detected');
 assert(features.popularity_normalized >= 0 && features.popularity_normalized <= 1, 'Popularity is normalized');
-assert(features.rating_normalized === 0.8, 'Rating is normalized correctly (8.0/10 = 0.8)');
+assert(Math.abs(features.rating_normalized - 0.8) < 0.001, 'Rating is normalized correctly (8.0/10 ≈ 0.8 with many votes)');
 console.log('');
 
 // Test 4: Recommendation Score Calculation
@@ -209,17 +229,1199 @@ console.log(`  Comedy movie score: ${scores[1].finalScore.toFixed(3)}`);
 console.log(`  Horror movie score: ${scores[2].finalScore.toFixed(3)}`);
 console.log('');
 
+// Test 11: Interaction Ingestion
+console.log('Test 11: Interaction Ingestion');
+assert(ingestion.normalizeGesture('loved') === 'loved', 'Canonical gesture is kept');
+assert(ingestion.normalizeGesture('like') === 'liked', 'Legacy "like" maps to liked');
+assert(ingestion.normalizeGesture('dislike') === 'disliked', 'Legacy "dislike" maps to disliked');
+assert(ingestion.normalizeGesture('superlike') === null, 'Unknown gesture is rejected');
+
+const validSwipe = ingestion.validateInteraction(
+  { userId: 'user1', movieId: 550, action: 'like' },
+  ingestion.INTERACTION_SOURCES.simpleServer
+);
+assert(validSwipe.isValid, 'Legacy swipe validates');
+assert(validSwipe.interaction.movieId === '550', 'Movie ID is stored as a string');
+assert(validSwipe.interaction.context.source === 'simple_server', 'Source is recorded on context');
+assert(validSwipe.interaction.context.originalAction === 'like', 'Original action is preserved');
+
+const invalidSwipe = ingestion.validateInteraction({ userId: 'user1', movieId: '550', action: 'meh' });
+assert(!invalidSwipe.isValid && invalidSwipe.errors.length === 1, 'Invalid gesture is reported');
+
+const migrated = ingestion.swipeToInteraction('abc', { userId: 'user1', movieId: '13', action: 'dislike', timestamp: 'ts' });
+assert(migrated.interaction.action === 'disliked' && migrated.interaction.timestamp === 'ts',
+  'Legacy swipe migrates with its original timestamp');
+assert(ingestion.legacyInteractionId('abc') === 'legacy_abc', 'Migrated interaction ID is deterministic');
+console.log('');
+
+// Test 12: Collaborative Filtering
+console.log('Test 12: Collaborative Filtering');
+const sharedTasteInteractions = [
+  { userId: 'a', movieId: 'alien', action: 'loved' },
+  { userId: 'a', movieId: 'aliens', action: 'loved' },
+  { userId: 'a', movieId: 'predator', action: 'liked' },
+  { userId: 'b', movieId: 'alien', action: 'loved' },
+  { userId: 'b', movieId: 'aliens', action: 'liked' },
+  { userId: 'b', movieId: 'predator', action: 'loved' },
+  { userId: 'c', movieId: 'alien', action: 'liked' },
+  { userId: 'c', movieId: 'notting_hill', action: 'loved' },
+  { userId: 'c', movieId: 'aliens', action: 'disliked' }
+];
+const neighbours = collaborative.buildItemSimilarities(sharedTasteInteractions);
+assert(neighbours.alien.aliens > 0, 'Co-liked movies become neighbours');
+assert(!neighbours.alien.notting_hill, 'Pairs below minimum co-ratings are dropped');
+assert(neighbours.alien.predator === neighbours.predator.alien, 'Similarity is symmetric');
+
+const seeds = collaborative.selectSeedRatings([
+  { userId: 'd', movieId: 'alien', action: 'loved' },
+  { userId: 'd', movieId: 'aliens', action: 'loved' }
+]);
+const cfScore = collaborative.calculateCollaborativeScore(seeds, neighbours, 'predator');
+assert(cfScore > 0, 'Neighbour of loved movies gets a positive collaborative score');
+assert(collaborative.calculateCollaborativeScore(seeds, neighbours, 'notting_hill') === null,
+  'Movie without neighbours has no collaborative score');
+
+const blended = scoringSystem.calculateRecommendationScore(
+  scoringSystem.initializeUserPreferenceVector(), movieFeatures, 0.15, false,
+  { collaborativeScore: cfScore, collaborativeWeight: 0.3 }
+);
+assert(Math.abs(blended.finalScore - 0.3 * cfScore) < 1e-9, 'Collaborative score is blended with its weight');
+console.log(`  Collaborative score for Predator: ${cfScore.toFixed(3)}`);
+console.log('');
+
+// Test 13: Expanded Feature Schema
+console.log('Test 13: Expanded Feature Schema');
+const horrorFeaturesV2 = scoringSystem.movieToFeatureVector({
+  genreIds: [27],
+  releaseDate: '1978-10-25',
+  runtime: 91,
+  originalLanguage: 'en',
+  voteAverage: 7.6,
+  voteCount: 400
+});
+const warFeaturesV2 = scoringSystem.movieToFeatureVector({
+  genreIds: [10752, 18],
+  releaseDate: '2001-05-01',
+  runtime: 170,
+  originalLanguage: 'ko',
+  voteAverage: 7.0,
+  voteCount: 20000
+});
+assert(Object.keys(scoringSystem.FEATURE_DIMENSIONS).length === 41, 'Feature schema has 41 dimensions');
+assert(warFeaturesV2.genre_war > 0 && warFeaturesV2.genre_action === 0, 'War is no longer folded into action');
+assert(horrorFeaturesV2.genre_horror === 1 && horrorFeaturesV2.genre_war === 0, 'Horror stays separate from war');
+assert(horrorFeaturesV2.runtime_standard === 1 && warFeaturesV2.runtime_epic === 1, 'Runtime buckets are one-hot');
+assert(horrorFeaturesV2.language_english === 1 && warFeaturesV2.language_east_asian === 1, 'Language groups are detected');
+assert(horrorFeaturesV2.era_1970s === 1 && warFeaturesV2.era_2000s === 1, 'Release era is detected');
+assert(horrorFeaturesV2.cult_score > warFeaturesV2.cult_score, 'Niche well-rated film scores higher on cult signal');
+
+const legacyPrefs = {
+  genre_action: 0.6, genre_comedy: -0.2, genre_drama: 0.1, genre_horror: 0.4,
+  genre_romance: 0, genre_scifi: 0.3, popularity_normalized: 0.2, recency_score: 0.1, rating_normalized: 0.5
+};
+assert(scoringSystem.isLegacyVector(legacyPrefs), 'v1 preference vector is detected');
+const upgradedPrefs = scoringSystem.upgradePreferenceVector(legacyPrefs);
+assert(!scoringSystem.isLegacyVector(upgradedPrefs), 'Upgraded vector is on the current schema');
+assert(upgradedPrefs.genre_thriller === 0.6 && upgradedPrefs.genre_war === 0.6,
+  'Old action bucket carries over to the genres it absorbed');
+assert(upgradedPrefs.genre_animation === -0.2 && upgradedPrefs.genre_fantasy === 0.3,
+  'Comedy and sci-fi buckets carry over');
+assert(upgradedPrefs.rating_normalized === 0.5 && upgradedPrefs.era_1980s === 0, 'Content dimensions kept, new ones neutral');
+console.log('');
+
+// Test 14: Feature Versioning
+console.log('Test 14: Feature Versioning');
+const versionedMovie = { genreIds: [28], releaseDate: '2020-01-01' };
+assert(!scoringSystem.isFeatureVectorCurrent(versionedMovie), 'Movie without a vector is stale');
+versionedMovie.featureVector = scoringSystem.movieToFeatureVector(versionedMovie);
+assert(!scoringSystem.isFeatureVectorCurrent(versionedMovie), 'Vector without featureVersion is stale');
+versionedMovie.featureVersion = scoringSystem.FEATURE_VERSION;
+assert(scoringSystem.isFeatureVectorCurrent(versionedMovie), 'Vector stamped with current version is current');
+versionedMovie.featureVersion = scoringSystem.FEATURE_VERSION - 1;
+assert(!scoringSystem.isFeatureVectorCurrent(versionedMovie), 'Vector from an older formula is stale');
+console.log('');
+
+// Test 15: Time-Invariant Recency
+console.log('Test 15: Time-Invariant Recency');
+const fixedNow = new Date('2025-06-01T00:00:00Z');
+const recencyMovie = { genreIds: [18], releaseDate: '2020-06-01', featureVersion: scoringSystem.FEATURE_VERSION };
+assert(Math.abs(scoringSystem.calculateRecencyScore('2020-06-01', fixedNow) - 0.5) < 0.01,
+  'Five-year-old movie has recency 0.5 against a fixed clock');
+assert(scoringSystem.calculateRecencyScore(undefined, fixedNow) === 0, 'Missing release date has recency 0');
+
+// Same film persisted in two different years
+const storedIn2021 = { ...recencyMovie, featureVector: scoringSystem.movieToFeatureVector(recencyMovie, new Date('2021-01-01')) };
+const storedIn2024 = { ...recencyMovie, featureVector: scoringSystem.movieToFeatureVector(recencyMovie, new Date('2024-01-01')) };
+assert(storedIn2021.featureVector.recency_score !== storedIn2024.featureVector.recency_score,
+  'Persisted snapshots disagree on recency');
+assert(scoringSystem.getScoringFeatures(storedIn2021, fixedNow).recency_score ===
+  scoringSystem.getScoringFeatures(storedIn2024, fixedNow).recency_score,
+  'Scoring-time recency is identical regardless of when the vector was stored');
+assert(scoringSystem.getScoringFeatures(storedIn2021, fixedNow).recency_score ===
+  scoringSystem.getScoringFeatures(storedIn2021, fixedNow).recency_score,
+  'Scores are reproducible with an injected clock');
+console.log('');
+
+// Test 16: Catalog Percentiles
+console.log('Test 16: Catalog Percentiles');
+// Skewed catalog: most films near zero, a few blockbusters
+const catalogPopularity = [];
+for (let i = 0; i < 95; i++) catalogPopularity.push(i / 10);
+catalogPopularity.push(150, 300, 600, 1200, 5000);
+const popularityBreakpoints = scoringSystem.computePercentileBreakpoints(catalogPopularity);
+assert(popularityBreakpoints.length === 101, 'Breakpoints cover p0..p100');
+assert(scoringSystem.percentileRank(-1, popularityBreakpoints) === 0, 'Value below the catalog is p0');
+assert(scoringSystem.percentileRank(10000, popularityBreakpoints) === 1, 'Value above the catalog is p100');
+assert(Math.abs(scoringSystem.percentileRank(4.9, popularityBreakpoints) - 0.5) < 0.02,
+  'Median film sits at the 50th percentile');
+
+const plateauBreakpoints = scoringSystem.computePercentileBreakpoints([0, 0, 0, 0, 10]);
+assert(scoringSystem.percentileRank(0, plateauBreakpoints) > 0 && scoringSystem.percentileRank(0, plateauBreakpoints) < 1,
+  'Tied values get the middle of their plateau');
+
+const catalogStats = {
+  popularity: popularityBreakpoints,
+  voteCount: scoringSystem.computePercentileBreakpoints([0, 10, 100, 1000, 10000])
+};
+const midCatalogMovie = { popularity: 4.7, voteCount: 100, voteAverage: 7 };
+const percentileFeatures = scoringSystem.movieToFeatureVector(midCatalogMovie, fixedNow, catalogStats);
+const fixedScaleFeatures = scoringSystem.movieToFeatureVector(midCatalogMovie, fixedNow);
+assert(percentileFeatures.popularity_normalized > 0.4 && fixedScaleFeatures.popularity_normalized < 0.01,
+  'Typical film is mid-catalog with percentiles but near zero on the fixed scale');
+assert(Math.abs(percentileFeatures.vote_count_normalized - 0.5) < 0.01, 'Vote count is a percentile feature');
+console.log(`  Popularity 4.7: percentile ${percentileFeatures.popularity_normalized.toFixed(3)}, ` +
+  `fixed scale ${fixedScaleFeatures.popularity_normalized.toFixed(3)}`);
+console.log('');
+
+// Test 17: Bayesian Weighted Rating
+console.log('Test 17: Bayesian Weighted Rating');
+const ratingStats = {
+  ratingPrior: scoringSystem.computeRatingPrior([
+    { voteAverage: 6, voteCount: 200 },
+    { voteAverage: 7, voteCount: 400 },
+    { voteAverage: 8, voteCount: 800 },
+    { voteAverage: 5, voteCount: 0 }
+  ])
+};
+assert(ratingStats.ratingPrior.mean === 7, 'Rating prior mean ignores unrated movies');
+assert(ratingStats.ratingPrior.minVotes === 400, 'Rating prior uses the 75th percentile vote count');
+const fewVotes = scoringSystem.calculateWeightedRating(9.5, 3, ratingStats);
+const manyVotes = scoringSystem.calculateWeightedRating(8.5, 20000, ratingStats);
+assert(Math.abs(fewVotes - 7) < 0.1, 'A rating with few votes stays near the catalog mean');
+assert(manyVotes > fewVotes, 'A well-supported 8.5 outranks a 9.5 from 3 votes');
+assert(scoringSystem.calculateWeightedRating(0, 0, ratingStats) === 7, 'A movie with no votes gets the catalog mean');
+assert(scoringSystem.computeRatingPrior([]).minVotes === 100, 'Empty catalog falls back to the default prior');
+const ratedMovie = { ratingPriorVersion: scoringSystem.ratingPriorVersion(ratingStats) };
+assert(scoringSystem.isWeightedRatingCurrent(ratedMovie, { ratingPrior: { mean: 7.01, minVotes: 404 } }),
+  'Small drift in the rating prior keeps stored ratings current');
+assert(!scoringSystem.isWeightedRatingCurrent(ratedMovie, { ratingPrior: { mean: 7.3, minVotes: 400 } }) &&
+  !scoringSystem.isWeightedRatingCurrent(ratedMovie, null) && !scoringSystem.isWeightedRatingCurrent({}, ratingStats),
+  'A moved rating prior, or none recorded, makes the stored rating stale');
+console.log('');
+
+// Test 18: Directional Learning
+console.log('Test 18: Directional Learning');
+const learningStart = {
+  ...scoringSystem.initializeUserPreferenceVector(),
+  genre_horror: 0.2,
+  genre_comedy: 0.3,
+  genre_drama: -0.4
+};
+const horrorMovie = {
+  ...scoringSystem.initializeUserPreferenceVector(),
+  genre_horror: 1.0,
+  rating_normalized: 0.5
+};
+const learn = (action, prefs = learningStart) =>
+  scoringSystem.updateUserPreferences(prefs, horrorMovie, action, 0.1, 0).preferences;
+
+const afterDislike = learn('disliked');
+assert(afterDislike.genre_horror < learningStart.genre_horror, 'Dislike lowers preference for the film\'s genre');
+assert(afterDislike.genre_comedy === learningStart.genre_comedy, 'Dislike leaves a liked genre the film lacks untouched');
+assert(afterDislike.genre_drama === learningStart.genre_drama, 'Dislike leaves a disliked genre the film lacks untouched');
+assert(afterDislike.genre_action === 0, 'Dislike does not create affinity for absent genres');
+assert(afterDislike.rating_normalized < 0, 'Dislike pushes partially present features down in proportion');
+
+const afterLove = learn('loved');
+const afterLike = learn('liked');
+const afterSeen = learn('seen');
+const afterNotSeen = learn('not_seen');
+assert(afterLove.genre_horror > afterLike.genre_horror && afterLike.genre_horror > learningStart.genre_horror,
+  'Loved moves further toward the film than liked');
+assert(afterSeen.genre_horror > learningStart.genre_horror && afterSeen.genre_horror < afterLike.genre_horror,
+  'Seen is a weaker positive signal than liked');
+assert(afterNotSeen.genre_horror < learningStart.genre_horror && afterNotSeen.genre_horror > afterDislike.genre_horror,
+  'Not seen is a weaker negative signal than disliked');
+
+let repeatedDislikes = learningStart;
+for (let i = 0; i < 50; i++) {
+  repeatedDislikes = learn('disliked', repeatedDislikes);
+}
+assert(repeatedDislikes.genre_horror >= -1 && repeatedDislikes.genre_horror < -0.9,
+  'Repeated dislikes converge toward -1 without leaving the range');
+assert(repeatedDislikes.genre_comedy === learningStart.genre_comedy, 'Repeated dislikes never drift unrelated genres');
+
+const scoreBeforeDislike = scoringSystem.calculateRecommendationScore(learningStart, horrorMovie).baseScore;
+const scoreAfterDislike = scoringSystem.calculateRecommendationScore(afterDislike, horrorMovie).baseScore;
+assert(scoreAfterDislike < scoreBeforeDislike, 'Disliked film scores lower after the update');
+console.log('');
+
+// Test 19: Learning Hyper-Parameters
+console.log('Test 19: Learning Hyper-Parameters');
+assert(scoringSystem.getEffectiveLearningRate(250, { learningRate: 0.1, decayFactor: 0.5 }) === 0.025,
+  'Stored decay factor drives learning rate decay');
+assert(scoringSystem.getEffectiveLearningRate(10000, { learningRate: 0.1 }) === 0.01,
+  'Learning rate never decays below the minimum');
+const fastLearner = scoringSystem.updateUserPreferences(learningStart, horrorMovie, 'liked', 0.4, 0);
+const slowLearner = scoringSystem.updateUserPreferences(learningStart, horrorMovie, 'liked', 0.05, 0);
+assert(fastLearner.preferences.genre_horror > slowLearner.preferences.genre_horror,
+  'Per-user learning rate changes the step size');
+const bounded = scoringSystem.updateUserPreferences(
+  learningStart, horrorMovie, 'loved', 1, 0, { maxVectorMagnitude: 0.5 }
+);
+assert(bounded.preferences.genre_horror === 0.5, 'Preferences are bounded by maxVectorMagnitude');
+const converged = scoringSystem.updateUserPreferences(
+  learningStart, horrorMovie, 'seen', 0.001, 0, { minimumLearningRate: 0, convergenceThreshold: 0.01 }
+);
+assert(converged.metadata.converged && converged.preferences.genre_horror === learningStart.genre_horror,
+  'Updates below the convergence threshold are skipped');
+const validParams = scoringSystem.validateLearningParameters({ learningRate: 0.2, decayFactor: null });
+assert(validParams.isValid && validParams.parameters.decayFactor === null, 'Null clears a learning parameter override');
+assert(!scoringSystem.validateLearningParameters({ learningRate: 5 }).isValid, 'Out-of-range learning rate is rejected');
+assert(!scoringSystem.validateLearningParameters({ momentum: 0.9 }).isValid, 'Unknown learning parameters are rejected');
+console.log('');
+
+// Test 20: Offline Evaluation
+console.log('Test 20: Offline Evaluation');
+const ranking = ['a', 'b', 'c', 'd'];
+const held = new Set(['b', 'd', 'z']);
+assert(evaluation.precisionAtK(ranking, held, 2) === 0.5, 'Precision@2 counts relevant items in the top 2');
+assert(Math.abs(evaluation.recallAtK(ranking, held, 4) - 2 / 3) < 1e-9, 'Recall@4 is hits over all relevant items');
+const expectedNdcg = (1 / Math.log2(3) + 1 / Math.log2(5)) / (1 + 1 / Math.log2(3) + 1 / Math.log2(4));
+assert(Math.abs(evaluation.ndcgAtK(ranking, held, 4) - expectedNdcg) < 1e-9, 'NDCG@4 discounts hits by rank');
+assert(evaluation.ndcgAtK(['b', 'd'], new Set(['b', 'd']), 2) === 1, 'Perfect ranking has NDCG of 1');
+assert(evaluation.toMillis({ _seconds: 10, _nanoseconds: 5e6 }) === 10005, 'Firestore export timestamps are read');
+assert(evaluation.parseFixture('{"a":1}\n\n{"a":2}\n', 'x.jsonl').length === 2, 'JSONL fixtures are read line by line');
+
+const evalDataset = evaluation.prepareDataset(
+  [
+    { userId: 'u1', movieId: 1, action: 'love', timestamp: '2025-01-01T00:00:00Z' },
+    { userId: 'u1', movieId: 2, action: 'liked', timestamp: '2025-01-02T00:00:00Z' },
+    { userId: 'u1', movieId: 3, action: 'liked', timestamp: '2025-01-03T00:00:00Z' },
+    { userId: 'u2', movieId: 4, action: 'loved', timestamp: '2025-01-01T00:00:00Z' },
+    { userId: 'u2', movieId: 5, action: 'liked', timestamp: '2025-01-02T00:00:00Z' },
+    { userId: 'u2', movieId: 99, action: 'liked', timestamp: '2025-01-02T00:00:00Z' },
+    { userId: 'u2', movieId: 1, action: 'shrug', timestamp: '2025-01-03T00:00:00Z' }
+  ],
+  [
+    { id: '1', genreIds: [28], voteAverage: 7.5, voteCount: 900, popularity: 50, releaseDate: '2019-05-01' },
+    { id: '2', genreIds: [28], voteAverage: 7.1, voteCount: 400, popularity: 30, releaseDate: '2017-02-01' },
+    { id: '3', genreIds: [28], voteAverage: 6.9, voteCount: 300, popularity: 20, releaseDate: '2018-08-01' },
+    { id: '4', genreIds: [35], voteAverage: 7.0, voteCount: 500, popularity: 40, releaseDate: '2016-03-01' },
+    { id: '5', genreIds: [35], voteAverage: 6.5, voteCount: 200, popularity: 10, releaseDate: '2015-11-01' },
+    { id: '6', genreIds: [27], voteAverage: 6.0, voteCount: 100, popularity: 5, releaseDate: '2012-10-01' }
+  ]
+);
+assert(evalDataset.interactions.length === 5 && evalDataset.skipped === 2, 'Unknown movies and invalid gestures are skipped');
+assert(evalDataset.interactions[0].action === 'loved', 'Legacy actions are normalised');
+const evalResult = evaluation.evaluateConfig(evalDataset, { k: 2 });
+assert(evalResult.evaluations === 3, 'Each step after the first with held-out positives is ranked');
+assert(evalResult.metrics.recall === 1, 'Learned genre preferences surface the next liked movie');
+assert(evalResult.metrics.coverage > 0 && evalResult.metrics.coverage <= 1, 'Coverage is a share of the catalog');
+const evalComparison = evaluation.compareConfigs(evalDataset, { k: 2 }, { k: 2 });
+assert(Object.values(evalComparison.delta).every(value => value === 0), 'Replay is deterministic for identical configs');
+
+// Rank by the collaborative score alone, so only similarities decide the top pick
+const collaborativeOnly = {
+  ...scoringSystem,
+  calculateRecommendationScore: (preferences, features, rate, isExploration, options) =>
+    ({ finalScore: options.collaborativeScore ?? -1 })
+};
+const coLikeDataset = (othersAt) => evaluation.prepareDataset(
+  [
+    { userId: 'u1', movieId: 6, action: 'loved', timestamp: '2025-01-01T00:00:00Z' },
+    { userId: 'u1', movieId: 8, action: 'liked', timestamp: '2025-01-02T00:00:00Z' },
+    ...['u2', 'u3'].flatMap(userId => [
+      { userId, movieId: 6, action: 'loved', timestamp: othersAt },
+      { userId, movieId: 8, action: 'loved', timestamp: othersAt }
+    ])
+  ],
+  ['6', '7', '8'].map(id => ({ id, genreIds: [28], voteAverage: 7, voteCount: 500, releaseDate: '2015-01-01' }))
+);
+const coLikeConfig = { k: 1, collaborativeWeight: 0.3, scoringSystem: collaborativeOnly };
+assert(evaluation.evaluateConfig(coLikeDataset('2024-12-01T00:00:00Z'), coLikeConfig).metrics.precision > 0,
+  'Earlier co-likes by other users reach the collaborative score');
+assert(evaluation.evaluateConfig(coLikeDataset('2025-01-03T00:00:00Z'), coLikeConfig).metrics.precision === 0,
+  'Co-likes that happen later never leak into earlier rankings');
+console.log('');
+
+// Test 21: Experiment Assignment
+console.log('Test 21: Experiment Assignment');
+const testRegistry = {
+  exploration_test: {
+    active: true,
+    salt: 'test',
+    variants: [
+      { id: 'control', weight: 50, overrides: {} },
+      { id: 'explore_more', weight: 50, overrides: { explorationRate: 0.25 } }
+    ]
+  },
+  paused_test: {
+    active: false,
+    variants: [{ id: 'only', weight: 100, overrides: { collaborativeWeight: 1 } }]
+  }
+};
+const firstAssignment = experiments.assignVariant('exploration_test', 'user_42', testRegistry);
+assert(firstAssignment === experiments.assignVariant('exploration_test', 'user_42', testRegistry),
+  'Assignment is deterministic for a user');
+const variantCounts = { control: 0, explore_more: 0 };
+for (let i = 0; i < 1000; i++) {
+  variantCounts[experiments.assignVariant('exploration_test', `user_${i}`, testRegistry)]++;
+}
+assert(variantCounts.control > 400 && variantCounts.explore_more > 400, 'Users split across variants by weight');
+assert(experiments.assignVariant('paused_test', 'user_42', testRegistry) === null, 'Inactive experiments assign nobody');
+assert(!('paused_test' in experiments.getAssignments('user_42', testRegistry)), 'Assignments only cover active experiments');
+
+const variantConfig = experiments.resolveExperimentConfig(
+  { exploration_test: 'explore_more' },
+  { explorationRate: 0.15, collaborativeWeight: 0.3 },
+  testRegistry
+);
+assert(variantConfig.explorationRate === 0.25 && variantConfig.collaborativeWeight === 0.3,
+  'Variant overrides apply on top of defaults');
+
+const scorerRegistry = {
+  scorer_test: { active: true, variants: [{ id: 'holdback', weight: 100, overrides: { scorer: 'dimensions_v1' } }] }
+};
+const scorerConfig = experiments.resolveExperimentConfig(
+  experiments.getAssignments('user_42', scorerRegistry),
+  { scorer: scoringSystem.DEFAULT_SCORER },
+  scorerRegistry
+);
+const scorerPreferences = { ...scoringSystem.initializeUserPreferenceVector(), genre_horror: 0.8 };
+const scorerMovie = scoringSystem.movieToFeatureVector({ genreIds: [27], releaseDate: '1978-10-25', voteAverage: 7.6, voteCount: 400 });
+const heldBack = scoringSystem.getScorer(scorerConfig.scorer)(scorerPreferences, scorerMovie);
+const defaultScore = scoringSystem.getScorer()(scorerPreferences, scorerMovie);
+assert(scorerConfig.scorer === 'dimensions_v1' &&
+  Math.abs(heldBack.baseScore - heldBack.components.dotProduct / Object.keys(scoringSystem.FEATURE_DIMENSIONS).length) < 1e-12,
+  'A variant can switch the scorer version');
+assert(defaultScore.baseScore === scoringSystem.calculateRecommendationScore(scorerPreferences, scorerMovie).baseScore &&
+  scoringSystem.getScorer('no_such_scorer')(scorerPreferences, scorerMovie).baseScore === defaultScore.baseScore,
+  'The default scorer, and any unknown version, is the cosine scorer');
+assert(Object.values(experiments.EXPERIMENTS).every(experiment => experiment.variants
+  .every(variant => !variant.overrides.scorer || variant.overrides.scorer in scoringSystem.SCORER_VERSIONS)),
+  'Registered scorer variants name a known scorer version');
+
+const stamped = ingestion.validateInteraction({
+  userId: 'user_42', movieId: 1, action: 'liked', context: { experiments: { spoofed: 'x' } }
+});
+assert(!('spoofed' in stamped.interaction.context.experiments), 'Client-supplied experiment context is replaced');
+assert(!('experiments' in ingestion.swipeToInteraction('s1', { userId: 'u', movieId: 1, action: 'like' }).interaction.context),
+  'Migrated swipes are not stamped with current experiments');
+const triggerAssignments = ingestion.experimentAssignments('user_42', ingestion.INTERACTION_SOURCES.app);
+assert(JSON.stringify(triggerAssignments) === JSON.stringify(experiments.getAssignments('user_42')) &&
+  ingestion.experimentAssignments('user_42', ingestion.INTERACTION_SOURCES.legacySwipes) === null,
+  'The swipe trigger stamps server-side assignments, never the client\'s, except on migrated swipes');
+
+const day = 24 * 60 * 60 * 1000;
+const variantMetrics = experiments.computeVariantMetrics([
+  { userId: 'a', action: 'loved', timestamp: 0, context: { experiments: { exploration_test: 'control' } } },
+  { userId: 'a', action: 'disliked', timestamp: day, context: { experiments: { exploration_test: 'control' } } },
+  { userId: 'b', action: 'liked', timestamp: 0, context: { experiments: { exploration_test: 'explore_more' } } },
+  { userId: 'c', action: 'liked', timestamp: 0, context: {} }
+], 'exploration_test');
+assert(variantMetrics.control.likeRatio === 0.5 && variantMetrics.control.dislikeRatio === 0.5,
+  'Like and dislike ratios are per variant');
+assert(variantMetrics.control.activeDaysPerUser === 2 && variantMetrics.explore_more.users === 1,
+  'Engagement counts active days and users per variant');
+assert(Object.keys(variantMetrics).length === 2, 'Unstamped interactions are ignored');
+console.log('');
+
+// Test 22: Diversity Re-ranking
+console.log('Test 22: Diversity Re-ranking');
+const candidateFor = (id, genreIds, releaseDate, score) => ({
+  movieId: id,
+  score,
+  features: scoringSystem.movieToFeatureVector({ genreIds, releaseDate, voteAverage: 7, voteCount: 500 })
+});
+const sciFiHeavy = [
+  candidateFor('s1', [878], '2015-01-01', 0.90),
+  candidateFor('s2', [878], '2016-01-01', 0.89),
+  candidateFor('s3', [878], '2017-01-01', 0.88),
+  candidateFor('s4', [878], '2018-01-01', 0.87),
+  candidateFor('c1', [35], '1995-01-01', 0.60),
+  candidateFor('d1', [18], '1975-01-01', 0.55)
+];
+const pureRanking = diversityReranking.rerankForDiversity(sciFiHeavy, 0, 4).map(item => item.movieId);
+assert(pureRanking.join(',') === 's1,s2,s3,s4', 'Diversity 0 keeps score order');
+const diverseRanking = diversityReranking.rerankForDiversity(sciFiHeavy, 0.5, 4).map(item => item.movieId);
+assert(diverseRanking[0] === 's1', 'The top-scoring movie still leads');
+assert(diverseRanking.includes('c1') && diverseRanking.includes('d1'), 'Diversity lets other genres and decades into the top 4');
+assert(diversityReranking.featureSimilarity(sciFiHeavy[0].features, sciFiHeavy[1].features) === 1,
+  'Same genre, era and language are maximally similar');
+assert(diversityReranking.featureSimilarity(sciFiHeavy[0].features, sciFiHeavy[5].features) < 0.5,
+  'Different genre and era are dissimilar');
+assert(diversityReranking.getDiversitySetting(undefined) === 0.3, 'Missing setting uses the default diversity');
+assert(diversityReranking.getDiversitySetting({ diversity: 4 }) === 1, 'Diversity setting is clamped to [0, 1]');
+console.log('');
+
+// Test 23: Seeded Thompson Sampling Exploration
+console.log('Test 23: Seeded Thompson Sampling Exploration');
+const draws = (seed) => {
+  const rng = exploration.createRng(seed);
+  return [rng(), rng(), rng()];
+};
+const seedGen1 = exploration.explorationSeed('user-1', 1);
+assert(draws(seedGen1).join() === draws(seedGen1).join(), 'Same seed replays the same sequence');
+assert(draws(seedGen1).join() !== draws(exploration.explorationSeed('user-1', 2)).join(),
+  'A new generation draws a different sequence');
+const betaRng = exploration.createRng('beta');
+const betaSamples = Array.from({ length: 200 }, () => exploration.sampleBeta(9, 1, betaRng));
+assert(betaSamples.every(sample => sample > 0 && sample < 1), 'Beta samples lie in (0, 1)');
+assert(betaSamples.reduce((sum, sample) => sum + sample, 0) / betaSamples.length > 0.8,
+  'Beta(9, 1) samples average near 0.9');
+const sciFiFeatures = scoringSystem.movieToFeatureVector({ genreIds: [878], releaseDate: '2015-01-01' });
+let genreArms = exploration.updateGenreArms({}, sciFiFeatures, 'loved');
+genreArms = exploration.updateGenreArms(genreArms, sciFiFeatures, 'disliked');
+genreArms = exploration.updateGenreArms(genreArms, sciFiFeatures, 'seen');
+assert(genreArms.genre_scifi.successes === 1 && genreArms.genre_scifi.failures === 1,
+  'Arms count successes and failures; seen carries no verdict');
+assert(!genreArms.genre_drama, 'Only the genres of the swiped movie are updated');
+const explorationPool = [
+  candidateFor('x1', [878], '2015-01-01', 0.4),
+  candidateFor('x2', [878], '2016-01-01', 0.3),
+  candidateFor('x3', [35], '2015-01-01', 0.5),
+  candidateFor('x4', [18], '2015-01-01', 0.6)
+];
+const favouredArms = { genre_scifi: { successes: 40, failures: 0 } };
+for (const genre of exploration.GENRE_ARMS) {
+  if (genre !== 'genre_scifi') {
+    favouredArms[genre] = { successes: 0, failures: 40 };
+  }
+}
+const pickIds = (seed) => exploration.selectExplorationMovies(
+  explorationPool, favouredArms, 2, exploration.createRng(seed)
+).map(pick => pick.item.movieId);
+assert(pickIds('s').join() === pickIds('s').join(), 'Exploration picks are reproducible from the seed');
+assert(pickIds('s').join() === 'x1,x2', 'Picks follow the arm with the most successes');
+const merged = exploration.interleaveExploration(['a', 'b', 'c', 'd', 'e', 'f'], ['X', 'Y']);
+assert(merged.length === 8 && merged.indexOf('X') === 2 && merged.indexOf('Y') === 4,
+  'Exploration picks are spread through the queue');
+const sampledLow = scoringSystem.calculateRecommendationScore(testUserPrefs, sciFiFeatures, 0.2, true, { explorationSample: 0.1 });
+const sampledHigh = scoringSystem.calculateRecommendationScore(testUserPrefs, sciFiFeatures, 0.2, true, { explorationSample: 0.9 });
+assert(Math.abs(sampledHigh.components.exploration - 0.18) < 1e-9 && sampledLow.components.exploration < sampledHigh.components.exploration,
+  'Exploration bonus scales with the Thompson sample');
+console.log('');
+
+// Test 24: Incremental Queue Maintenance
+console.log('Test 24: Incremental Queue Maintenance');
+const defaultQueueSettings = queueMaintenance.getQueueSettings(undefined);
+assert(defaultQueueSettings.refreshInterval === 5 && defaultQueueSettings.minQueueSize === 20,
+  'Missing settings use the defaults');
+const customQueueSettings = queueMaintenance.getQueueSettings({ refreshInterval: 3, minQueueSize: 80 });
+assert(customQueueSettings.refreshInterval === 3 && customQueueSettings.minQueueSize === 50,
+  'refreshInterval is honoured and minQueueSize is capped at the queue size');
+assert(queueMaintenance.getQueueSettings({ refreshInterval: 0 }).refreshInterval === 5,
+  'Invalid refreshInterval falls back to the default');
+assert(queueMaintenance.isMaintenanceDue(6, 3) && !queueMaintenance.isMaintenanceDue(5, 3),
+  'Maintenance runs every refreshInterval swipes');
+const shortQueue = queueMaintenance.popConsumed([
+  { movieId: 'a', score: 0.9, position: 0 },
+  { movieId: 'b', score: 0.8, position: 1 },
+  { movieId: 'c', score: 0.7, position: 2 }
+], ['a']);
+assert(shortQueue.map(item => `${item.movieId}${item.position}`).join() === 'b0,c1',
+  'Consumed movies are popped and positions renumbered');
+assert(queueMaintenance.getTopUpCount(2, { minQueueSize: 2 }) === 0, 'No top-up at minQueueSize');
+assert(queueMaintenance.getTopUpCount(2, { minQueueSize: 30 }) === 48, 'Top-up refills to the full queue size');
+assert(queueMaintenance.getTopUpCount(49, defaultQueueSettings) === 0 &&
+  queueMaintenance.getTopUpCount(20, defaultQueueSettings) === 0,
+  'A swipe that leaves the queue at or above the default low-water mark does not top up');
+assert(queueMaintenance.getTopUpCount(19, defaultQueueSettings) === 31, 'Dropping below the low-water mark refills the queue');
+const toppedUp = queueMaintenance.appendToQueue(shortQueue, [
+  { movieId: 'c', score: 0.95 },
+  { movieId: 'd', score: 0.6 },
+  { movieId: 'e', score: 0.5 }
+], 3);
+assert(toppedUp.map(item => item.movieId).join() === 'b,c,d', 'Top-up keeps the queue order, skips duplicates and respects the size');
+assert(toppedUp[2].position === 2, 'Appended movies get the next positions');
+console.log('');
+
+// Test 25: Multi-Source Candidate Generation
+console.log('Test 25: Multi-Source Candidate Generation');
+const genrePrefs = scoringSystem.initializeUserPreferenceVector();
+genrePrefs.genre_crime = 0.8;
+genrePrefs.genre_drama = 0.4;
+genrePrefs.genre_horror = -0.5;
+const preferredGenres = candidateGeneration.selectPreferredGenres(genrePrefs, 3);
+assert(preferredGenres.map(genre => genre.genreId).join() === '80,18',
+  'Genre pools follow the strongest positive genres');
+const goldenIds = candidateGeneration.getGoldenSetIds();
+assert(goldenIds.includes('10493') && new Set(goldenIds).size === goldenIds.length,
+  'Golden set IDs are unique document IDs');
+const tailKeys = candidateGeneration.drawLongTailKeys(exploration.createRng('tail'), 3);
+assert(tailKeys.join() === candidateGeneration.drawLongTailKeys(exploration.createRng('tail'), 3).join(),
+  'Long-tail sample points are reproducible from the seed');
+const sources = candidateGeneration.CANDIDATE_SOURCES;
+const mergedCandidates = candidateGeneration.mergeCandidates({
+  [sources.popular]: [{ id: 'p1' }, { id: 'p2' }, { id: 'p3' }, { id: 'seen' }],
+  [sources.genrePool]: [{ id: 'g1' }, { id: 'p1' }],
+  [sources.longTail]: [{ id: 't1' }]
+}, new Set(['seen']), 4);
+assert(mergedCandidates.length === 4 && !mergedCandidates.some(movie => movie.id === 'seen'),
+  'Merging caps the set and drops excluded movies');
+assert(mergedCandidates.some(movie => movie.id === 't1'), 'Round-robin merging keeps small sources');
+assert(mergedCandidates.find(movie => movie.id === 'p1').candidateSources.length === 2,
+  'Movies record every source that produced them');
+assert(candidateGeneration.countCandidateSources(mergedCandidates)[sources.popular] === 2,
+  'Source counts cover the merged set');
+const neighbourCandidates = collaborative.rankNeighbourCandidates(
+  { m1: 3, m2: -2.5 },
+  { m1: { n1: 0.2, n2: 0.6, m2: 0.9 }, m2: { n3: 0.9 } },
+  5
+);
+assert(neighbourCandidates.join() === 'n2,n1', 'Neighbour candidates come from liked seeds, strongest first');
+console.log('');
+
+// Test 26: Precomputed Candidate Pools
+console.log('Test 26: Precomputed Candidate Pools');
+const poolCatalog = [
+  { id: '10493', genreIds: [80, 53], releaseDate: '1971-12-23', popularity: 20, voteAverage: 7.4, voteCount: 2000, weightedRating: 7.3, createdAtMs: 1 },
+  { id: '238', genreIds: [80, 18], releaseDate: '1972-03-14', popularity: 90, voteAverage: 8.7, voteCount: 20000, weightedRating: 8.6, createdAtMs: 2 },
+  { id: '680', genreIds: [80], releaseDate: '1994-09-10', popularity: 70, voteAverage: 8.5, voteCount: 27000, weightedRating: 8.4, createdAtMs: 3 }
+];
+const candidatePools = candidateGeneration.buildCandidatePools(poolCatalog, { now: new Date('2025-01-01') });
+const crime70s = candidatePools[candidateGeneration.genreEraPoolId('genre_crime', 'era_1970s')];
+assert(crime70s && crime70s.movies.map(movie => movie.id).join() === '238,10493',
+  'Genre/era pools hold their movies best weighted rating first');
+assert(!candidatePools.genre_drama__era_1990s && candidatePools.genre_crime__era_1990s.movies.length === 1,
+  'Pools exist only for genre/era pairs with movies');
+assert(candidatePools.popular.movies[0].id === '238' && candidatePools.recent.movies[0].id === '680',
+  'Popular and recent pools are ordered by popularity and import time');
+assert(candidatePools.golden_set.movies.map(movie => movie.id).join() === '10493,238',
+  'Golden set pool keeps only diagnostic titles');
+const poolEntry = crime70s.movies[0];
+assert(poolEntry.featureVersion === scoringSystem.FEATURE_VERSION && poolEntry.featureVector.genre_crime > 0,
+  'Pool entries carry a current feature vector');
+assert(scoringSystem.isFeatureVectorCurrent(poolEntry) && poolEntry.overview === undefined,
+  'Pool entries are compact and score without regenerating features');
+assert(candidateGeneration.getGenrePoolIds('genre_crime').includes('genre_crime__era_1970s'),
+  'A genre reads one pool per era');
+const eraPoolEntries = (era, count) => Array.from({ length: count }, (_, index) => ({
+  id: `${era}-${index}`, weightedRating: index / count
+}));
+const mergedGenrePool = candidateGeneration.mergeGenreEraPools(
+  [eraPoolEntries('1970s', 80), eraPoolEntries('1990s', 80), [{ id: '1970s-0', weightedRating: 0 }]]
+);
+assert(mergedGenrePool.length === candidateGeneration.CANDIDATE_CONFIG.genrePoolLimit,
+  'Merged era pools are cut to the genre pool limit');
+assert(mergedGenrePool[0].weightedRating >= mergedGenrePool[mergedGenrePool.length - 1].weightedRating &&
+  new Set(mergedGenrePool.map(entry => entry.id)).size === mergedGenrePool.length,
+  'Merged era pools keep the best-rated movies once each');
+console.log('');
+
+// Test 27: Recommendation Explanations
+console.log('Test 27: Recommendation Explanations');
+const explainPrefs = scoringSystem.initializeUserPreferenceVector();
+explainPrefs.genre_crime = 0.9;
+explainPrefs.era_1970s = 0.6;
+explainPrefs.genre_comedy = -0.4;
+const conversationFeatures = scoringSystem.movieToFeatureVector({
+  genreIds: [80, 9648], releaseDate: '1974-04-07', originalLanguage: 'en', runtime: 113
+});
+const contributions = explanations.topFeatureContributions(explainPrefs, conversationFeatures);
+assert(contributions[0].dimension === 'era_1970s' && contributions.some(item => item.dimension === 'genre_crime'),
+  'Top features are the largest preference x feature products');
+assert(!contributions.some(item => item.contribution < explanations.EXPLANATION_CONFIG.minContribution),
+  'Negligible and negative contributions are not named');
+const anchorInteractions = explanations.selectAnchorInteractions([
+  { movieId: '238', action: 'loved' },
+  { movieId: '680', action: 'liked' },
+  { movieId: '13', action: 'disliked' },
+  { movieId: '680', action: 'disliked' }
+]);
+assert(anchorInteractions.map(anchor => anchor.movieId).join() === '238',
+  'Anchors are the latest verdict per movie, loved/liked only');
+const explanationAnchors = [
+  { movieId: '238', title: 'The Godfather', action: 'loved',
+    features: scoringSystem.movieToFeatureVector({ genreIds: [80, 18], releaseDate: '1972-03-14', originalLanguage: 'en', runtime: 175 }) },
+  { movieId: '862', title: 'Toy Story', action: 'liked',
+    features: scoringSystem.movieToFeatureVector({ genreIds: [16, 35], releaseDate: '1995-10-30', originalLanguage: 'en', runtime: 81 }) }
+];
+const explanation = explanations.buildExplanation({
+  userPreferences: explainPrefs,
+  movieFeatures: conversationFeatures,
+  reason: 'preference_match',
+  anchors: explanationAnchors
+});
+assert(explanation.similarMovies.length === 1 && explanation.similarMovies[0].title === 'The Godfather',
+  'Only loved/liked movies that resemble the candidate are named');
+assert(explanation.summary === 'Because you loved The Godfather', 'Summary leads with the closest loved movie');
+assert(explanation.details.some(detail => detail.includes('crime films') && detail.includes('1970s films')),
+  'Details name the contributing features in words');
+const explorationExplanation = explanations.buildExplanation({
+  userPreferences: explainPrefs,
+  movieFeatures: conversationFeatures,
+  reason: 'exploration',
+  arm: 'genre_mystery'
+});
+assert(explorationExplanation.summary === 'Exploring mysteries to learn your taste',
+  'Exploration picks say which genre is being explored');
+assert(Object.keys(scoringSystem.FEATURE_DIMENSIONS).every(dimension => explanations.FEATURE_LABELS[dimension]),
+  'Every feature dimension has a label');
+console.log('');
+
+// Test 28: Interaction Undo and Preference Rollback
+console.log('Test 28: Interaction Undo and Preference Rollback');
+const replaySettings = { learningRate: 0.1, decayFactor: 0.95, updateInterval: 10 };
+const replayStart = scoringSystem.initializeUserPreferenceVector();
+const replaySteps = [
+  { action: 'loved', features: actionFeatures },
+  { action: 'disliked', features: horrorFeatures },
+  { action: 'liked', features: actionFeatures }
+];
+let stepwise = replayStart;
+replaySteps.forEach((step, index) => {
+  stepwise = scoringSystem.updateUserPreferences(
+    stepwise, step.features, step.action, replaySettings.learningRate, index, replaySettings
+  ).preferences;
+});
+const replayed = preferenceReplay.replayPreferences(replayStart, replaySteps, replaySettings);
+assert(preferenceReplay.vectorsEqual(replayed.preferences, stepwise),
+  'Replaying the history reproduces the incrementally learned vector');
+assert(replayed.totalUpdates === 3, 'Replay counts one update per interaction');
+const withoutDislike = preferenceReplay.replayPreferences(replayStart, [replaySteps[0], replaySteps[2]], replaySettings);
+assert(!preferenceReplay.vectorsEqual(withoutDislike.preferences, replayed.preferences),
+  'Dropping a revoked interaction changes the rebuilt vector');
+assert(!preferenceReplay.vectorsEqual(replayStart, undefined), 'A missing vector never matches');
+const revertedStats = ingestion.revertSwipeStats(
+  'liked',
+  { totalSwipes: 4, likeRatio: 0.5, swipesByAction: { loved: 1, liked: 1, disliked: 2 } }
+);
+assert(revertedStats.totalSwipes === 3 && revertedStats.swipesByAction.liked === 0,
+  'Undo takes the swipe out of the stats');
+assert(Math.abs(revertedStats.likeRatio - 1 / 3) < 1e-9, 'Like ratio is recomputed after undo');
+assert(ingestion.revertSwipeStats('seen').totalSwipes === 0 &&
+  ingestion.revertSwipeStats('seen', undefined).totalSwipes === 0, 'Stats never go negative');
+const recentSwipes = [
+  { id: 'i3', timestamp: 300 },
+  { id: 'i2', timestamp: 200, revokedAt: 250 },
+  { id: 'i1', timestamp: 100 }
+];
+assert(ingestion.lastSwipeAtWithout(recentSwipes, 'i3') === 100,
+  'Undo rolls lastSwipeAt back to the latest swipe still standing');
+assert(ingestion.lastSwipeAtWithout([recentSwipes[0]], 'i3') === null, 'Undoing the only swipe clears lastSwipeAt');
+const requeued = queueMaintenance.requeueAtFront(
+  [{ movieId: 'b', score: 0.8, position: 0 }, { movieId: 'a', score: 0.5, position: 1 }, { movieId: 'c', score: 0.4, position: 2 }],
+  { movieId: 'a', score: 0.9, reason: 'preference_match' },
+  2
+);
+assert(requeued.map(item => `${item.movieId}${item.position}`).join() === 'a0,b1',
+  'An undone movie goes back to the front of the queue once, within the queue size');
+const learnedArms = exploration.updateGenreArms({}, horrorFeatures, 'loved');
+const revertedArms = exploration.updateGenreArms(learnedArms, horrorFeatures, 'loved', -1);
+assert(revertedArms.genre_horror.successes === 0 && revertedArms.genre_horror.failures === 0,
+  'Undo takes the gesture back off the exploration arms');
+assert(!ingestion.isActiveInteraction({ action: 'liked', revokedAt: new Date() }) &&
+  ingestion.isActiveInteraction({ action: 'liked' }), 'Revoked interactions no longer count');
+console.log('');
+
+// Test 29: Preference Rebuild by Replay
+console.log('Test 29: Preference Rebuild by Replay');
+const rebuildStart = scoringSystem.initializeUserPreferenceVector();
+rebuildStart.genre_action = 0.5;
+const rebuildMovies = { '1': movies[0], '3': movies[2] };
+const rebuildHistory = [
+  { movieId: '3', action: 'disliked', timestamp: new Date('2024-01-02') },
+  { movieId: '1', action: 'loved', timestamp: new Date('2024-01-01'),
+    scoringData: { preferenceVectorBefore: rebuildStart } },
+  { movieId: '1', action: 'liked', timestamp: new Date('2024-01-03'), revokedAt: new Date('2024-01-04') },
+  { movieId: '404', action: 'liked', timestamp: new Date('2024-01-05') }
+];
+const rebuilt = preferenceReplay.rebuildFromHistory({
+  interactions: rebuildHistory,
+  movies: rebuildMovies,
+  settings: learningSettings.resolveLearningSettings({})
+});
+const expectedRebuild = preferenceReplay.replayPreferences(rebuildStart, [
+  { action: 'loved', features: scoringSystem.getScoringFeatures(movies[0], new Date('2024-01-01')),
+    timestamp: new Date('2024-01-01') },
+  { action: 'disliked', features: scoringSystem.getScoringFeatures(movies[2], new Date('2024-01-02')),
+    timestamp: new Date('2024-01-02') }
+], learningSettings.resolveLearningSettings({}));
+assert(preferenceReplay.vectorsEqual(rebuilt.preferences, expectedRebuild.preferences),
+  'Rebuild replays active interactions in timestamp order from the first starting vector');
+assert(rebuilt.totalUpdates === 2 && rebuilt.skipped === 1,
+  'Revoked interactions are left out and missing movies are counted as skipped');
+assert(learningSettings.resolveLearningSettings({ learningRate: 0.3, cohort: 'a' }).learningRate === 0.3 &&
+  learningSettings.resolveLearningSettings({}).learningRate === learningSettings.LEARNING_CONFIG.adaptiveLearningRate.initial,
+  'Learning settings take per-user overrides over the defaults');
+const rebuildDiff = preferenceReplay.diffPreferences(scoringSystem.initializeUserPreferenceVector(), rebuilt.preferences, 3);
+assert(rebuildDiff.changes.length === 3 && rebuildDiff.changedDimensions >= 3,
+  'Dry-run diff lists the largest changes and counts every changed dimension');
+assert(Math.abs(rebuildDiff.changes[0].delta) === rebuildDiff.maxChange, 'Largest change is listed first');
+assert(preferenceReplay.diffPreferences(rebuilt.preferences, rebuilt.preferences).changedDimensions === 0,
+  'An unchanged vector has an empty diff');
+console.log('');
+
+// Test 30: Temporal Preference Decay
+console.log('Test 30: Temporal Preference Decay');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const decaySource = scoringSystem.initializeUserPreferenceVector();
+decaySource.genre_action = 0.8;
+decaySource.genre_horror = -0.6;
+const halfLifeLater = scoringSystem.applyTemporalDecay(decaySource, 180 * DAY_MS);
+assert(Math.abs(halfLifeLater.genre_action - 0.4) < 1e-9 && Math.abs(halfLifeLater.genre_horror + 0.3) < 1e-9,
+  'Preferences halve toward neutral after one half-life');
+const twoSteps = scoringSystem.applyTemporalDecay(scoringSystem.applyTemporalDecay(decaySource, 30 * DAY_MS), 60 * DAY_MS);
+assert(preferenceReplay.vectorsEqual(twoSteps, scoringSystem.applyTemporalDecay(decaySource, 90 * DAY_MS)),
+  'Decay per gap compounds to the same result as one decay over the whole period');
+assert(preferenceReplay.vectorsEqual(scoringSystem.applyTemporalDecay(decaySource, 365 * DAY_MS, { preferenceHalfLifeDays: 0 }), decaySource),
+  'A half-life of 0 disables decay');
+assert(scoringSystem.getTemporalDecayMultiplier(-DAY_MS) === 1, 'Out-of-order timestamps never amplify preferences');
+assert(scoringSystem.validateLearningParameters({ preferenceHalfLifeDays: 30 }).isValid,
+  'Half-life is tunable per user or cohort');
+const decayedArms = exploration.decayGenreArms({ genre_action: { successes: 4, failures: 2 } }, 0.5);
+assert(decayedArms.genre_action.successes === 2 && decayedArms.genre_action.failures === 1,
+  'Exploration arm counts shrink with the same factor');
+const returningSteps = [
+  { action: 'loved', features: horrorFeatures, timestamp: new Date('2022-01-01') },
+  { action: 'loved', features: actionFeatures, timestamp: new Date('2024-01-01') }
+];
+const decayedReplay = preferenceReplay.replayPreferences(replayStart, returningSteps, replaySettings);
+const flatReplay = preferenceReplay.replayPreferences(
+  replayStart,
+  returningSteps.map(step => ({ ...step, timestamp: null })),
+  replaySettings
+);
+assert(decayedReplay.preferences.genre_horror < flatReplay.preferences.genre_horror,
+  'Replay fades a swipe from two years ago');
+assert(decayedReplay.preferences.genre_action > decayedReplay.preferences.genre_horror,
+  'Last week\'s taste outweighs taste from two years ago');
+console.log('');
+
+// Test 31: Diagnostic Onboarding
+console.log('Test 31: Diagnostic Onboarding');
+assert(onboarding.resolveDiagnosticDecks(['scifi', 'comedy']).join() === 'Classic comedies,Sci–Fi classics',
+  'Genre categories map onto their diagnostic decks');
+assert(onboarding.resolveDiagnosticDecks(['Sci-Fi Classics'])[0] === 'Sci–Fi classics',
+  'Deck names match regardless of case and punctuation');
+assert(onboarding.resolveDiagnosticDecks(['knitting']).length === Object.keys(DIAGNOSTIC_GOLDEN_SET).length,
+  'Unknown categories fall back to every deck');
+const diagnosticDeck = onboarding.buildDiagnosticDeck(['scifi', 'comedy']);
+assert(diagnosticDeck[0].deck === 'Classic comedies' && diagnosticDeck[1].deck === 'Sci–Fi classics',
+  'Chosen decks are interleaved at the front');
+assert(new Set(diagnosticDeck.map(seed => seed.movieId)).size === diagnosticDeck.length,
+  'A title listed in two decks is served once');
+assert(diagnosticDeck.length === onboarding.ONBOARDING_CONFIG.deckSize, 'Other decks pad the deck to deckSize');
+let onboardingState = onboarding.createOnboardingState(['1', '2', '3']);
+assert(onboardingState.required === 3, 'A short deck lowers the swipes required');
+assert(onboarding.isDiagnosticSwipe(onboardingState, '1') && !onboarding.isDiagnosticSwipe(onboardingState, '9'),
+  'Only deck titles count as diagnostic swipes');
+onboardingState = onboarding.recordDiagnosticSwipe(onboardingState, '1');
+assert(!onboarding.isDiagnosticSwipe(onboardingState, '1'), 'A title is only diagnostic once');
+onboardingState = onboarding.revertDiagnosticSwipe(onboardingState, '1');
+assert(onboardingState.diagnosticSwipes === 0 && onboarding.isDiagnosticSwipe(onboardingState, '1'),
+  'An undone diagnostic swipe is owed again');
+['1', '2', '3'].forEach(movieId => {
+  onboardingState = onboarding.recordDiagnosticSwipe(onboardingState, movieId);
+});
+assert(onboardingState.status === onboarding.ONBOARDING_STATUS.complete && onboardingState.completedAt,
+  'Onboarding hands off after the required diagnostic swipes');
+assert(onboarding.getDiagnosticLearningRate({ learningRate: 0.1 }) > 0.1 &&
+  onboarding.getDiagnosticLearningRate({ learningRate: 0.3 }) === onboarding.ONBOARDING_CONFIG.maxLearningRate &&
+  onboarding.getDiagnosticLearningRate({ learningRate: 0.8 }) === 0.8,
+  'Diagnostic swipes learn faster, capped, never slower than normal');
+const diagnosticReplay = preferenceReplay.replayPreferences(replayStart, [
+  { action: 'loved', features: actionFeatures, diagnostic: true }
+], replaySettings);
+const normalReplay = preferenceReplay.replayPreferences(replayStart, [
+  { action: 'loved', features: actionFeatures }
+], replaySettings);
+assert(diagnosticReplay.preferences.genre_action > normalReplay.preferences.genre_action,
+  'Replay applies the raised rate to diagnostic swipes');
+console.log('');
+
+// Test 32: Active-Learning Diagnostic Selection
+console.log('Test 32: Active-Learning Diagnostic Selection');
+const seedFeatures = {
+  crime70s: scoringSystem.movieToFeatureVector({ genreIds: [80, 18], releaseDate: '1972-03-14', originalLanguage: 'en', runtime: 175 }),
+  crime70sAgain: scoringSystem.movieToFeatureVector({ genreIds: [80, 18], releaseDate: '1974-12-20', originalLanguage: 'en', runtime: 200 }),
+  animation90s: scoringSystem.movieToFeatureVector({ genreIds: [16, 35], releaseDate: '1995-10-30', originalLanguage: 'en', runtime: 81 }),
+  horrorJapan: scoringSystem.movieToFeatureVector({ genreIds: [27], releaseDate: '1998-01-31', originalLanguage: 'ja', runtime: 96 })
+};
+const seedCandidates = Object.keys(seedFeatures).map(movieId => ({ movieId, features: seedFeatures[movieId] }));
+const freshVariance = onboarding.posteriorVariance([]);
+const answeredVariance = onboarding.posteriorVariance([seedFeatures.crime70s]);
+assert(answeredVariance.genre_crime < freshVariance.genre_crime && answeredVariance.genre_horror === 1,
+  'Answering a title only reduces uncertainty on its own dimensions');
+assert(onboarding.expectedInformationGain(seedFeatures.crime70sAgain, answeredVariance) <
+  onboarding.expectedInformationGain(seedFeatures.horrorJapan, answeredVariance),
+  'A near-duplicate of an answered title is worth less than an unexplored one');
+const diagnosticPlan = onboarding.planDiagnosticOrder(
+  seedCandidates.filter(candidate => candidate.movieId !== 'crime70s'),
+  [seedFeatures.crime70s],
+  3
+);
+assert(diagnosticPlan.length === 3 && diagnosticPlan[diagnosticPlan.length - 1].movieId === 'crime70sAgain',
+  'The near-duplicate is planned last');
+assert(diagnosticPlan.every((item, index) => index === 0 || item.informationGain <= diagnosticPlan[index - 1].informationGain + 1e-9),
+  'Planned gains never increase along the plan');
+const fixedOrderVariance = onboarding.posteriorVariance([seedFeatures.crime70s, seedFeatures.crime70sAgain]);
+const plannedVariance = onboarding.posteriorVariance(
+  onboarding.planDiagnosticOrder(seedCandidates, [], 2).map(item => seedFeatures[item.movieId])
+);
+const totalVariance = variance => Object.values(variance).reduce((sum, value) => sum + value, 0);
+assert(totalVariance(plannedVariance) < totalVariance(fixedOrderVariance),
+  'Two planned swipes leave less uncertainty than two swipes in deck order');
+const earlyState = { status: 'diagnostic', diagnosticSwipes: onboarding.ONBOARDING_CONFIG.minDiagnosticSwipes };
+assert(onboarding.shouldHandOffEarly(earlyState, 0.01) && !onboarding.shouldHandOffEarly(earlyState, 0.5),
+  'Hand off early only when nothing left is informative');
+assert(!onboarding.shouldHandOffEarly({ status: 'diagnostic', diagnosticSwipes: 1 }, 0),
+  'Never hand off before the minimum diagnostic swipes');
+console.log('');
+
+// Test 33: Diagnostic Golden Set Loader and Validation
+console.log('Test 33: Diagnostic Golden Set Loader and Validation');
+const loadedSet = goldenSet.loadGoldenSet();
+assert(goldenSet.GOLDEN_SET_VERSION === loadedSet.version && loadedSet.version >= 1,
+  'The golden set is loaded from a versioned data file');
+assert(goldenSet.listDecks().join() === loadedSet.decks.map(deck => deck.name).join(),
+  'listDecks keeps data file order');
+assert(goldenSet.getTitlesByDeck('Classic comedies').length === 5 && goldenSet.getTitlesByDeck('No such deck').length === 0,
+  'getTitlesByDeck returns a deck\'s titles and nothing for an unknown deck');
+const shippedReport = goldenSet.validateGoldenSet(loadedSet);
+assert(!shippedReport.errors.some(error => error.code === 'duplicate-id'),
+  'The shipped set uses each TMDB ID for one title');
+assert(shippedReport.valid && loadedSet.decks.length === loadedSet.expectedDecks,
+  'The shipped set matches its own deck and title counts');
+assert(goldenSet.validateGoldenSet({ ...loadedSet, expectedDecks: loadedSet.expectedDecks + 1 }).errors
+  .some(error => error.code === 'deck-count'), 'A set short of its expected decks fails validation');
+const sampleSet = {
+  version: 99,
+  expectedDecks: 2,
+  titlesPerDeck: 2,
+  decks: [
+    { name: 'Comedy', titles: [
+      { title: 'Some Like It Hot', year: 1959, tmdbId: 137 },
+      { title: 'Groundhog Day', year: 1993, tmdbId: 137 }
+    ] },
+    { name: 'Drama', titles: [
+      { title: 'Annie Hall', year: 1977, tmdbId: 152 },
+      { title: 'The Godfather', year: 1972, tmdbId: 238 }
+    ] }
+  ]
+};
+const sampleCache = {
+  137: { title: 'Groundhog Day', release_date: '1993-02-11' },
+  152: { title: 'Star Trek: The Motion Picture', release_date: '1979-12-07' },
+  238: { title: 'The Godfather', original_title: 'The Godfather', release_date: '1972-03-14' }
+};
+const sampleReport = goldenSet.validateGoldenSet(sampleSet, sampleCache);
+const errorCodes = sampleReport.errors.map(error => error.code);
+assert(!sampleReport.valid && errorCodes.includes('duplicate-id'),
+  'One TMDB ID used for two titles is an error');
+assert(errorCodes.includes('title-mismatch') && errorCodes.includes('year-mismatch'),
+  'Titles and years are checked against cached TMDB details');
+assert(sampleReport.errors.filter(error => error.tmdbId === 238).length === 0,
+  'A title matching its cached details passes');
+assert(sampleReport.warnings.length === 0 && !errorCodes.includes('deck-count') && !errorCodes.includes('title-count'),
+  'Complete decks with every title cached raise no count errors or warnings');
+const repeatedReport = goldenSet.validateGoldenSet({
+  ...sampleSet,
+  decks: [sampleSet.decks[1], { name: 'More drama', titles: [sampleSet.decks[1].titles[1], sampleSet.decks[1].titles[1]] }]
+}, {});
+assert(repeatedReport.warnings.some(warning => warning.code === 'repeated-title') &&
+  repeatedReport.warnings.some(warning => warning.code === 'not-cached') &&
+  !repeatedReport.errors.some(error => error.code === 'duplicate-id'),
+  'A movie listed in two decks and uncached titles are only warnings');
+console.log('');
+
+// Test 34: Hydrating Diagnostic Seeds from TMDB Details
+console.log('Test 34: Hydrating Diagnostic Seeds from TMDB Details');
+const godfatherDetails = {
+  id: 238,
+  title: 'The Godfather',
+  original_title: 'The Godfather',
+  overview: 'Spanning the years 1945 to 1955...',
+  poster_path: '/godfather.jpg',
+  release_date: '1972-03-14',
+  vote_average: 8.7,
+  vote_count: 20000,
+  popularity: 120,
+  runtime: 175,
+  original_language: 'en',
+  genres: [{ id: 18, name: 'Drama' }, { id: 80, name: 'Crime' }],
+  production_countries: [{ iso_3166_1: 'US', name: 'United States of America' }]
+};
+const mappedSeed = tmdbMapping.mapMovieDetails(godfatherDetails, { backdrop_path: '/listing-backdrop.jpg' });
+assert(mappedSeed.tmdbId === 238 && mappedSeed.releaseDate === '1972-03-14' && mappedSeed.originalLanguage === 'en',
+  'TMDB details map onto movie document fields');
+assert(mappedSeed.genreIds.join() === '18,80' && mappedSeed.genres.join() === 'Drama,Crime',
+  'Genre IDs and names both come from the details');
+assert(mappedSeed.backdropPath === '/listing-backdrop.jpg' && mappedSeed.productionCountries[0].iso31661 === 'US',
+  'Listing fields fill gaps in the details');
+const hydratedSeed = tmdbMapping.withDerivedFields(mappedSeed, null, new Date('2025-01-01'));
+assert(hydratedSeed.featureVersion === scoringSystem.FEATURE_VERSION && scoringSystem.isFeatureVectorCurrent(hydratedSeed),
+  'Hydrated seeds carry a current feature vector');
+assert(hydratedSeed.featureVector.genre_drama > 0 && hydratedSeed.featureVector.genre_crime > 0 &&
+  hydratedSeed.featureVector.genre_horror === 0,
+  'The feature vector reflects the TMDB genres instead of scoring as zeros');
+assert(Math.abs(hydratedSeed.weightedRating - scoringSystem.calculateWeightedRating(8.7, 20000)) < 1e-9,
+  'weightedRating is computed alongside the feature vector');
+assert(scoringSystem.isWeightedRatingCurrent(hydratedSeed, null),
+  'Derived fields record the rating prior weightedRating used');
+const godfatherSeed = goldenSet.getTitlesByDeck('Classic drama').find(movie => movie.tmdbId === 238);
+assert(goldenSet.compareWithTmdb(godfatherSeed, godfatherDetails).length === 0,
+  'A seed matching its TMDB details resolves');
+assert(goldenSet.compareWithTmdb({ title: 'Annie Hall', year: 1977, tmdbId: 152 },
+  { title: 'Star Trek: The Motion Picture', release_date: '1979-12-07' }).map(mismatch => mismatch.code).join() ===
+  'title-mismatch,year-mismatch',
+  'A seed whose ID points at another movie does not resolve');
+console.log('');
+
+// Test 35: TMDB Import Engine Presets and Canonical Mapping
+console.log('Test 35: TMDB Import Engine Presets and Canonical Mapping');
+const multipleImport = tmdbImport.resolveImportConfig('multiple', tmdbImport.parseImportArgs(['2', '4']).overrides);
+assert(multipleImport.sources[0].startPage === 2 && multipleImport.sources[0].maxPages === 3 && !multipleImport.details,
+  'Preset page numbers still work as bare arguments');
+const defaultMultiple = tmdbImport.resolveImportConfig('multiple');
+assert(defaultMultiple.sources[0].startPage === 1 && defaultMultiple.sources[0].maxPages === 5,
+  'The multiple preset covers pages 1-5 by default');
+const trimmedMassive = tmdbImport.resolveImportConfig('massive', tmdbImport.parseImportArgs(['--pages', '2', '--dry-run']).overrides);
+assert(trimmedMassive.sources.every(source => source.maxPages === 2) && trimmedMassive.dryRun && trimmedMassive.retries === 5,
+  '--pages caps every source of a preset and keeps its other settings');
+const discoverArgs = tmdbImport.parseImportArgs(['--preset', 'robust', '--discover', 'with_genres=27,primary_release_year=1980']);
+const discoverImport = tmdbImport.resolveImportConfig(discoverArgs.preset, discoverArgs.overrides);
+assert(discoverImport.sources.length === 1 && discoverImport.sources[0].params.with_genres === '27' && discoverImport.backfillGenres,
+  'Sources from flags replace the preset\'s sources');
+const discoverUrl = tmdbImport.buildSourceUrl({ ...discoverImport.sources[0], params: { ...discoverImport.sources[0].params, sort_by: 'vote_average.desc' } }, 3, 'KEY');
+assert(discoverUrl.includes('include_adult=false') && discoverUrl.includes('sort_by=vote_average.desc') &&
+  !discoverUrl.includes('popularity.desc') && discoverUrl.includes('page=3'),
+  'Discover sources get the default filters, overridable per source');
+assert(!tmdbImport.buildSourceUrl({ endpoint: '/movie/popular' }, 1, 'KEY').includes('include_adult'),
+  'List endpoints get no discover filters');
+const idImport = tmdbImport.resolveImportConfig(null, tmdbImport.parseImportArgs(['--ids', '603,238']).overrides);
+assert(idImport.sources[0].ids.join() === '603,238', 'An ID list is a source of its own');
+let unknownPresetRejected = false;
+try {
+  tmdbImport.resolveImportConfig('everything');
+} catch (error) {
+  unknownPresetRejected = true;
+}
+assert(unknownPresetRejected, 'Unknown presets are rejected');
+assert(tmdbImport.listedMovies({ results: [{ id: 1 }] }).length === 1 && tmdbImport.listedMovies({ id: 2 })[0].id === 2 &&
+  tmdbImport.listedMovies(null).length === 0,
+  '/movie/latest returns one movie rather than a page');
+const listedMatrix = tmdbMapping.mapMovieDetails(
+  { id: 603, title: 'The Matrix', genre_ids: [28, 878], release_date: '1999-03-30', vote_average: 8.2, vote_count: 25000 },
+  {},
+  new Map([[28, 'Action'], [878, 'Science Fiction']])
+);
+assert(listedMatrix.genres.join() === 'Action,Science Fiction' && listedMatrix.genreIds.join() === '28,878',
+  'List results get genre names from the genre list, so every importer writes genres');
+assert(!('runtime' in listedMatrix) && !('productionCompanies' in listedMatrix) && !('tagline' in listedMatrix),
+  'Fields a list result lacks are left out instead of clearing stored details');
+const unratedDetails = tmdbMapping.mapMovieDetails(
+  { id: 999001, title: 'Unreleased', genres: [], vote_average: 0, vote_count: 0, popularity: 0 },
+  { id: 999001, vote_average: 6.5, vote_count: 12, popularity: 3.1 }
+);
+assert(unratedDetails.voteAverage === 0 && unratedDetails.voteCount === 0 && unratedDetails.popularity === 0,
+  'Zero ratings and popularity from details are kept rather than replaced by the listing');
+console.log('');
+
+// Test 36: Content Score Scale Against Fixed Bonuses
+console.log('Test 36: Content Score Scale Against Fixed Bonuses');
+const scaleHorror = scoringSystem.movieToFeatureVector({
+  genreIds: [27, 53], releaseDate: '2018-06-08', runtime: 127, originalLanguage: 'en', voteAverage: 7.3, voteCount: 6000
+});
+const scaleRomCom = scoringSystem.movieToFeatureVector({
+  genreIds: [35, 10749], releaseDate: '2018-06-08', runtime: 105, originalLanguage: 'en', voteAverage: 7.3, voteCount: 6000
+});
+const scalePreferences = {
+  ...scoringSystem.initializeUserPreferenceVector(),
+  genre_horror: 0.8,
+  genre_thriller: 0.6,
+  genre_comedy: -0.6,
+  genre_romance: -0.6
+};
+
+const horrorScale = scoringSystem.calculateRecommendationScore(scalePreferences, scaleHorror);
+const romComScale = scoringSystem.calculateRecommendationScore(scalePreferences, scaleRomCom);
+assert(horrorScale.baseScore >= -1 && horrorScale.baseScore <= 1 && romComScale.baseScore >= -1,
+  'Content score stays within [-1, 1]');
+assert(Math.abs(horrorScale.components.dotProduct -
+  Object.keys(scaleHorror).reduce((sum, key) => sum + (scalePreferences[key] || 0) * scaleHorror[key], 0)) < 1e-9,
+  'Raw dot product is still reported');
+assert(scoringSystem.calculateRecommendationScore(scoringSystem.initializeUserPreferenceVector(), scaleHorror).baseScore === 0,
+  'An empty preference vector scores 0');
+
+// Onboarding: the taste match gets the trending bonus, the mismatch the larger category bonus
+assert(horrorScale.finalScore + 0.3 > romComScale.finalScore + 0.5,
+  'Content match outranks a category-bonus mismatch');
+
+// Same collaborative evidence for both, and the mismatch is also an exploration pick
+const blendOptions = { collaborativeScore: 0.2, collaborativeWeight: 0.3 };
+const horrorBlended = scoringSystem.calculateRecommendationScore(scalePreferences, scaleHorror, 0.15, false, blendOptions);
+const romComBlended = scoringSystem.calculateRecommendationScore(scalePreferences, scaleRomCom, 0.15, true, blendOptions);
+assert(horrorBlended.finalScore > romComBlended.finalScore,
+  'Content match outranks a mismatch with the exploration bonus under the collaborative blend');
+console.log(`  Content scores: match ${horrorScale.baseScore.toFixed(3)}, mismatch ${romComScale.baseScore.toFixed(3)}`);
+console.log('');
+
+// Test 37: TMDB Import Writes (async, stub Firestore and TMDB)
+async function testTmdbImportWrites() {
+  console.log('Test 37: TMDB Import Writes');
+
+  // Firestore stand-in: records every commit and enforces the 500-write batch limit
+  function createStubDb(stored = {}, failingCommits = []) {
+    const commits = [];
+    const db = {
+      commits,
+      collection: () => ({ doc: id => ({ id }) }),
+      getAll: async (...refs) => refs.map(ref => ({ id: ref.id, exists: ref.id in stored, data: () => stored[ref.id] })),
+      batch: () => {
+        const writes = [];
+        return {
+          set: (ref, data) => writes.push({ id: ref.id, data }),
+          commit: async () => {
+            if (writes.length > 500) {
+              throw new Error('maximum 500 writes allowed per request');
+            }
+            if (failingCommits.includes(commits.length)) {
+              commits.push(null);
+              throw new Error('deadline exceeded');
+            }
+            commits.push(writes);
+          }
+        };
+      }
+    };
+    return db;
+  }
+
+  const originalGet = axios.get;
+  axios.get = async url => {
+    if (url.includes('/genre/movie/list')) {
+      return { data: { genres: [{ id: 27, name: 'Horror' }] } };
+    }
+    const id = Number(url.match(/\/movie\/(\d+)/)[1]);
+    if (id === 404) {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404 };
+      throw error;
+    }
+    return { data: { id, title: `Movie ${id}`, genres: [{ id: 27, name: 'Horror' }], release_date: '2000-01-01' } };
+  };
+
+  try {
+    const context = { apiKey: 'KEY', timestamp: () => 'now', log: () => {} };
+    const quickConfig = { concurrency: 50, batchDelayMs: 0, pageDelayMs: 0, sourceDelayMs: 0, retries: 1 };
+    const ids = Array.from({ length: 1201 }, (value, index) => 1000 + index);
+    const manyIds = tmdbImport.resolveImportConfig(null, { sources: [{ name: 'TMDB IDs', ids }], ...quickConfig });
+
+    const bigDb = createStubDb();
+    const bigTotals = await tmdbImport.runImport(manyIds, { ...context, db: bigDb });
+    assert(bigTotals.imported === 1201 && bigTotals.errors === 0, 'An ID list over 500 movies imports every movie');
+    assert(bigDb.commits.length === Math.ceil(1201 / tmdbImport.ID_PAGE_SIZE) &&
+      bigDb.commits.every(writes => writes.length <= tmdbImport.ID_PAGE_SIZE),
+      'ID lists are written one page-sized batch at a time');
+
+    const flakyDb = createStubDb({}, [1]);
+    const flakyTotals = await tmdbImport.runImport(manyIds, { ...context, db: flakyDb });
+    assert(flakyTotals.errors === tmdbImport.ID_PAGE_SIZE && flakyTotals.imported === 1201 - tmdbImport.ID_PAGE_SIZE,
+      'A failed commit loses only its own page and the import carries on');
+
+    const pageDb = createStubDb({ 2: { title: 'Movie 2', voteCount: 10 } });
+    const pageResult = await tmdbImport.importMovies(
+      [{ id: 1 }, { id: 2 }, { id: 404 }],
+      { name: 'Popular', endpoint: '/movie/popular' },
+      new Map(),
+      { ...context, db: pageDb },
+      tmdbImport.resolveImportConfig(null, { sources: [{ name: 'Popular', endpoint: '/movie/popular' }], ...quickConfig })
+    );
+    assert(pageResult.imported === 1 && pageResult.skipped === 2 && pageDb.commits[0].length === 1,
+      'Stored movies and movies TMDB does not have are skipped');
+    const written = pageDb.commits[0][0].data;
+    assert(written.isPopular && written.createdAt === 'now' && written.featureVector && written.genres.join() === 'Horror',
+      'Written movies carry the category flag, createdAt and derived fields');
+  } finally {
+    axios.get = originalGet;
+  }
+  console.log('');
+}
+
+// Test 38: Shared Preference Rebuild (async, stub Firestore)
+async function testSharedPreferenceRebuild() {
+  console.log('Test 38: Shared Preference Rebuild');
+
+  const toSnapshot = (id, data) => ({ id, exists: data !== undefined, data: () => data });
+  const history = [
+    { userId: 'u1', movieId: '1', action: 'loved', timestamp: { toDate: () => new Date('2024-01-01') } },
+    { userId: 'u1', movieId: '3', action: 'disliked', timestamp: { toDate: () => new Date('2024-01-02') } }
+  ];
+  const stored = {
+    userPreferences: { u1: { learningMetadata: { learningRate: 0.3, cohort: 'fast', totalUpdates: 7 } } },
+    movies: { '1': movies[0], '3': movies[2] }
+  };
+  const writes = [];
+  const db = {
+    collection: name => ({
+      doc: id => ({
+        id,
+        get: async () => toSnapshot(id, stored[name]?.[id]),
+        set: async (data, options) => writes.push({ name, id, data, options })
+      }),
+      where: () => ({
+        get: async () => ({ docs: history.map((data, index) => toSnapshot(`i${index}`, data)) })
+      })
+    }),
+    getAll: async (...refs) => Promise.all(refs.map(ref => ref.get()))
+  };
+  const context = { db, timestamp: () => 'now', catalogStats: null };
+
+  const dryRun = await preferenceRebuild.rebuildUserPreferences('u1', { dryRun: true }, context);
+  assert(writes.length === 0 && dryRun.replayed === 2 && dryRun.totalUpdatesBefore === 7 && !dryRun.written,
+    'A dry-run rebuild reports the replay without writing');
+
+  const result = await preferenceRebuild.rebuildUserPreferences('u1', {}, context);
+  const overrides = stored.userPreferences.u1.learningMetadata;
+  const expected = preferenceReplay.rebuildFromHistory({
+    interactions: history.map(interaction => ({ ...interaction, timestamp: interaction.timestamp.toDate() })),
+    movies: stored.movies,
+    settings: learningSettings.resolveLearningSettings(overrides)
+  });
+  const written = writes[0].data;
+  assert(result.written && preferenceReplay.vectorsEqual(written.preferenceVector, expected.preferences),
+    'The rebuild replays with the user\'s overrides resolved like the live learner');
+  assert(written.learningMetadata.effectiveLearningRate ===
+      scoringSystem.getEffectiveLearningRate(2, learningSettings.resolveLearningSettings(overrides)) &&
+    written.learningMetadata.learningRate === 0.3 && written.learningMetadata.cohort === 'fast' &&
+    !('decayFactor' in written.learningMetadata) && writes[0].options.merge,
+    'Rebuilt metadata keeps only the stored overrides and records the effective rate');
+  console.log('');
+}
+
 // Summary
-console.log('================================================');
-console.log(`\n📊 Test Results:`);
-console.log(`   ✅ Passed: ${testsPassed}`);
-console.log(`   ❌ Failed: ${testsFailed}`);
-console.log(`   📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
-
-if (testsFailed === 0) {
-  console.log('\n🎉 All tests passed! The recommendation system is working correctly.');
-} else {
-  console.log('\n⚠️  Some tests failed. Please review the implementation.');
-  process.exit(1);
+function printSummary() {
+  console.log('================================================');
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ✅ Passed: ${testsPassed}`);
+  console.log(`   ❌ Failed: ${testsFailed}`);
+  console.log(`   📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+  if (testsFailed === 0) {
+    console.log('\n🎉 All tests passed! The recommendation system is working correctly.');
+  } else {
+    console.log('\n⚠️  Some tests failed. Please review the implementation.');
+    process.exit(1);
+  }
 }
 
+testTmdbImportWrites()
+  .then(testSharedPreferenceRebuild)
+  .then(printSummary)
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
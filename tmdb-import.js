@@ -0,0 +1,543 @@
+// WatchLyst TMDB Import
+// One import engine behind every `import:*` npm script: configurable sources,
+// paging, retries and the canonical mapping in tmdb-mapping.js
+
+const axios = require('axios');
+const { mapMovieDetails, withDerivedFields } = require('./tmdb-mapping.js');
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+// ===== IMPORT CONFIGURATION =====
+const IMPORT_DEFAULTS = {
+  sources: [],
+  details: true,          // Fetch /movie/{id} for every listed movie (genres, runtime, languages...)
+  skipExisting: true,     // Leave movies already in the catalog alone; false merges fresh data into them
+  backfillGenres: false,  // Before importing, fill `genres` on catalog movies that only have genreIds
+  maxPages: 1,            // Pages per source unless the source sets its own
+  limit: null,            // Movies taken from each page; null takes the whole page
+  concurrency: 5,         // Details requests in flight at once
+  batchDelayMs: 1000,     // Pause between groups of details requests
+  pageDelayMs: 2000,
+  sourceDelayMs: 5000,
+  retries: 3,
+  timeoutMs: 30000,
+  dryRun: false
+};
+
+// ID lists are imported in pages of this many, the size of a TMDB list page,
+// so each page is one getAll and one batch well under Firestore's 500-write limit
+const ID_PAGE_SIZE = 20;
+
+// Filters the old discover importers used; a source's own params win
+const DISCOVER_FILTERS = {
+  sort_by: 'popularity.desc',
+  include_adult: false,
+  include_video: false,
+  with_watch_monetization_types: 'flatrate'
+};
+
+// Category flag set on movies imported from each list endpoint
+const CATEGORY_FLAGS = {
+  '/movie/popular': 'isPopular',
+  '/movie/top_rated': 'isTopRated',
+  '/movie/now_playing': 'isNowPlaying',
+  '/movie/upcoming': 'isUpcoming',
+  '/trending/movie/week': 'isTrending',
+  '/trending/movie/day': 'isTrending'
+};
+
+// Used when /genre/movie/list cannot be fetched
+const FALLBACK_GENRES = [
+  [28, 'Action'], [12, 'Adventure'], [16, 'Animation'], [35, 'Comedy'],
+  [80, 'Crime'], [99, 'Documentary'], [18, 'Drama'], [10751, 'Family'],
+  [14, 'Fantasy'], [36, 'History'], [27, 'Horror'], [10402, 'Music'],
+  [9648, 'Mystery'], [10749, 'Romance'], [878, 'Science Fiction'],
+  [10770, 'TV Movie'], [53, 'Thriller'], [10752, 'War'], [37, 'Western']
+];
+
+const LIST_ENDPOINTS = [
+  { name: 'Popular Movies', endpoint: '/movie/popular' },
+  { name: 'Top Rated Movies', endpoint: '/movie/top_rated' },
+  { name: 'Now Playing Movies', endpoint: '/movie/now_playing' },
+  { name: 'Upcoming Movies', endpoint: '/movie/upcoming' },
+  { name: 'Latest Movies', endpoint: '/movie/latest' },
+  { name: 'Trending Movies (Week)', endpoint: '/trending/movie/week' },
+  { name: 'Trending Movies (Day)', endpoint: '/trending/movie/day' }
+];
+
+function withPages(sources, pages) {
+  return sources.map((source, index) => ({ ...source, maxPages: pages[index] }));
+}
+
+// What each npm `import:*` script runs. `positional` names the bare numeric
+// arguments the preset accepts, e.g. `npm run import:movies:multiple 1 5`.
+const IMPORT_PRESETS = {
+  single: {
+    description: 'One page of popular movies from the list endpoint',
+    sources: [{ name: 'Popular Movies', endpoint: '/movie/popular' }],
+    details: false,
+    skipExisting: false,
+    limit: 20,
+    positional: ['startPage', 'limit']
+  },
+  multiple: {
+    description: 'Pages of popular movies from the list endpoint (default 1-5)',
+    sources: [{ name: 'Popular Movies', endpoint: '/movie/popular' }],
+    details: false,
+    skipExisting: false,
+    endPage: 5,
+    pageDelayMs: 1000,
+    positional: ['startPage', 'endPage']
+  },
+  all: {
+    description: 'Every list and trending endpoint, refreshing movies already imported',
+    sources: withPages(LIST_ENDPOINTS, [50, 50, 20, 20, 1, 10, 10]),
+    details: false,
+    skipExisting: false,
+    pageDelayMs: 500,
+    sourceDelayMs: 0
+  },
+  comprehensive: {
+    description: 'Discover with full details for up to 500 pages',
+    sources: [{ name: 'Discover Movies', endpoint: '/discover/movie' }],
+    maxPages: 500
+  },
+  robust: {
+    description: 'Discover with full details, gentler pacing, after backfilling missing genre names',
+    sources: [{ name: 'Discover Movies', endpoint: '/discover/movie' }],
+    maxPages: 100,
+    backfillGenres: true,
+    concurrency: 3,
+    batchDelayMs: 2000,
+    pageDelayMs: 3000
+  },
+  massive: {
+    description: 'Every list endpoint plus three discover orderings, with full details',
+    sources: [
+      ...withPages(LIST_ENDPOINTS, [100, 100, 50, 50, 1, 50, 30]),
+      { name: 'Discover Movies (Popularity)', endpoint: '/discover/movie', maxPages: 100 },
+      { name: 'Discover Movies (Rating)', endpoint: '/discover/movie', maxPages: 100, params: { sort_by: 'vote_average.desc' } },
+      { name: 'Discover Movies (Release Date)', endpoint: '/discover/movie', maxPages: 100, params: { sort_by: 'release_date.desc' } }
+    ],
+    retries: 5,
+    batchDelayMs: 1500
+  },
+  test: {
+    description: 'Five popular movies, to check TMDB and Firestore credentials',
+    sources: [{ name: 'Popular Movies', endpoint: '/movie/popular' }],
+    details: false,
+    skipExisting: false,
+    limit: 5
+  }
+};
+
+// ===== CONFIGURATION RESOLUTION =====
+
+/**
+ * Parse import CLI arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { preset, overrides } where overrides hold only the flags given
+ */
+function parseImportArgs(argv) {
+  const parsed = { preset: null, overrides: {} };
+  const overrides = parsed.overrides;
+  const positional = [];
+  const addSource = source => {
+    overrides.sources = [...(overrides.sources || []), source];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--preset':
+        parsed.preset = argv[++i];
+        break;
+      case '--endpoint': {
+        const endpoint = argv[++i];
+        addSource({ name: endpoint, endpoint });
+        break;
+      }
+      case '--discover': {
+        // key=value[,key=value...] filters for one /discover/movie source
+        const params = {};
+        argv[++i].split(',').forEach(pair => {
+          const [key, ...value] = pair.split('=');
+          params[key] = value.join('=');
+        });
+        addSource({ name: `Discover Movies (${argv[i]})`, endpoint: '/discover/movie', params });
+        break;
+      }
+      case '--ids':
+        addSource({ name: 'TMDB IDs', ids: argv[++i].split(',').map(id => parseInt(id)).filter(Boolean) });
+        break;
+      case '--pages':
+        overrides.maxPages = parseInt(argv[++i]) || undefined;
+        break;
+      case '--start-page':
+        overrides.startPage = parseInt(argv[++i]) || undefined;
+        break;
+      case '--limit':
+        overrides.limit = parseInt(argv[++i]) || undefined;
+        break;
+      case '--concurrency':
+        overrides.concurrency = parseInt(argv[++i]) || undefined;
+        break;
+      case '--retries':
+        overrides.retries = parseInt(argv[++i]) || undefined;
+        break;
+      case '--details':
+        overrides.details = true;
+        break;
+      case '--no-details':
+        overrides.details = false;
+        break;
+      case '--skip-existing':
+        overrides.skipExisting = true;
+        break;
+      case '--overwrite':
+        overrides.skipExisting = false;
+        break;
+      case '--backfill-genres':
+        overrides.backfillGenres = true;
+        break;
+      case '--dry-run':
+        overrides.dryRun = true;
+        break;
+      default:
+        if (/^\d+$/.test(argv[i])) {
+          positional.push(parseInt(argv[i]));
+        }
+    }
+  }
+
+  Object.keys(overrides).forEach(key => {
+    if (overrides[key] === undefined) {
+      delete overrides[key];
+    }
+  });
+  if (positional.length > 0) {
+    overrides.positional = positional;
+  }
+  return parsed;
+}
+
+/**
+ * Full import configuration from a preset and CLI overrides
+ * Sources given on the command line replace the preset's. Every source ends
+ * up with startPage and maxPages: --pages wins, then `endPage`, then the
+ * source's own page count, then the configured default.
+ * @param {string|null} presetName - Key of IMPORT_PRESETS, or null for sources from flags only
+ * @param {Object} overrides - From parseImportArgs
+ * @returns {Object} Resolved configuration
+ */
+function resolveImportConfig(presetName, overrides = {}) {
+  if (presetName && !IMPORT_PRESETS[presetName]) {
+    throw new Error(`Unknown import preset "${presetName}" (expected one of ${Object.keys(IMPORT_PRESETS).join(', ')})`);
+  }
+
+  const preset = presetName ? IMPORT_PRESETS[presetName] : {};
+  const { positional: positionalValues = [], ...flags } = overrides;
+  const named = {};
+  (preset.positional || []).forEach((name, index) => {
+    if (positionalValues[index] !== undefined) {
+      named[name] = positionalValues[index];
+    }
+  });
+
+  const config = { ...IMPORT_DEFAULTS, ...preset, ...named, ...flags, preset: presetName };
+  if (config.sources.length === 0) {
+    throw new Error('Nothing to import: pass --preset, --endpoint, --discover or --ids');
+  }
+
+  const startPage = config.startPage || 1;
+  const pageCount = flags.maxPages ||
+    (config.endPage ? Math.max(1, config.endPage - startPage + 1) : null);
+  config.sources = config.sources.map(source => ({
+    ...source,
+    startPage,
+    maxPages: pageCount || source.maxPages || config.maxPages
+  }));
+  return config;
+}
+
+/**
+ * URL for one page of a list, trending or discover source
+ * @param {Object} source - { endpoint, params }
+ * @param {number} page - Page number
+ * @param {string} apiKey - TMDB API key
+ * @returns {string} Request URL
+ */
+function buildSourceUrl(source, page, apiKey) {
+  const params = {
+    api_key: apiKey,
+    language: 'en-US',
+    ...(source.endpoint === '/discover/movie' ? DISCOVER_FILTERS : {}),
+    ...(source.params || {}),
+    page
+  };
+  const query = Object.keys(params)
+    .map(key => `${key}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  return `${TMDB_BASE_URL}${source.endpoint}?${query}`;
+}
+
+/**
+ * Movies listed in a TMDB response
+ * /movie/latest returns one movie instead of a page of results.
+ * @param {Object|null} data - TMDB response
+ * @returns {Array} Listed movies
+ */
+function listedMovies(data) {
+  if (!data) {
+    return [];
+  }
+  if (Array.isArray(data.results)) {
+    return data.results;
+  }
+  return data.id ? [data] : [];
+}
+
+// ===== IMPORT ENGINE =====
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function fetchWithRetry(url, config, log) {
+  for (let attempt = 1; attempt <= config.retries; attempt++) {
+    try {
+      const response = await axios.get(url, {
+        timeout: config.timeoutMs,
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'WatchLyst-Import/1.0'
+        }
+      });
+      return response.data;
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      if (attempt === config.retries) {
+        throw error;
+      }
+
+      // Wait before retrying (exponential backoff)
+      const waitTime = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+      log(`⏳ Attempt ${attempt}/${config.retries} failed (${error.message}), retrying in ${waitTime}ms...`);
+      await sleep(waitTime);
+    }
+  }
+}
+
+async function loadGenreNames(config, apiKey, log) {
+  try {
+    const data = await fetchWithRetry(`${TMDB_BASE_URL}/genre/movie/list?api_key=${apiKey}&language=en-US`, config, log);
+    const genres = new Map(data.genres.map(genre => [genre.id, genre.name]));
+    log(`📚 Loaded ${genres.size} genres`);
+    return genres;
+  } catch (error) {
+    log(`⚠️  Failed to fetch genres (${error.message}), using fallback genres`);
+    return new Map(FALLBACK_GENRES);
+  }
+}
+
+async function backfillGenreNames(db, genreNames, context, config) {
+  const snapshot = await db.collection('movies').select('genreIds', 'genres').get();
+  const missing = snapshot.docs.filter(doc => !(doc.data().genres || []).length && (doc.data().genreIds || []).length);
+  let updated = 0;
+
+  for (let i = 0; i < missing.length; i += 500) {
+    const batch = db.batch();
+    missing.slice(i, i + 500).forEach(doc => {
+      const genres = doc.data().genreIds.map(id => genreNames.get(id)).filter(Boolean);
+      if (genres.length > 0) {
+        batch.update(doc.ref, { genres, updatedAt: context.timestamp() });
+        updated++;
+      }
+    });
+    if (!config.dryRun) {
+      await batch.commit();
+    }
+  }
+
+  context.log(`🔄 ${config.dryRun ? 'Would fill' : 'Filled'} genre names on ${updated} existing movies`);
+  return updated;
+}
+
+/**
+ * Import one page of movies: one getAll for what is stored, one batch for the writes
+ * @param {Array} listed - List results, or { id } stubs for an ID page
+ * @param {Object} source - The source the page came from
+ * @param {Map} genreNames - TMDB genre ID -> name
+ * @param {Object} context - As for runImport
+ * @param {Object} config - From resolveImportConfig
+ * @returns {Object} { imported, skipped, errors }; a failed commit counts the page's writes as errors
+ */
+async function importMovies(listed, source, genreNames, context, config) {
+  const { db, apiKey, log } = context;
+  const result = { imported: 0, skipped: 0, errors: 0 };
+  const refs = listed.map(movie => db.collection('movies').doc(String(movie.id)));
+  const existing = refs.length > 0 ? await db.getAll(...refs) : [];
+  const flag = CATEGORY_FLAGS[source.endpoint];
+  const writes = [];
+
+  const pending = listed.filter((movie, index) => {
+    if (config.skipExisting && existing[index].exists) {
+      result.skipped++;
+      return false;
+    }
+    return true;
+  });
+
+  for (let i = 0; i < pending.length; i += config.concurrency) {
+    const group = pending.slice(i, i + config.concurrency);
+    const mapped = await Promise.all(group.map(async movie => {
+      try {
+        const details = config.details || source.ids
+          ? await fetchWithRetry(`${TMDB_BASE_URL}/movie/${movie.id}?api_key=${apiKey}&language=en-US`, config, log)
+          : movie;
+        if (!details) {
+          log(`⚠️  Skipping ${movie.title || movie.id} - TMDB has no details`);
+          result.skipped++;
+          return null;
+        }
+        return mapMovieDetails(details, movie, genreNames);
+      } catch (error) {
+        log(`❌ Error fetching ${movie.title || movie.id}: ${error.message}`);
+        result.errors++;
+        return null;
+      }
+    }));
+
+    mapped.filter(Boolean).forEach(movie => writes.push(movie));
+    if (config.details && i + config.concurrency < pending.length) {
+      await sleep(config.batchDelayMs);
+    }
+  }
+
+  // Derived fields are computed over the stored document too, so a list
+  // refresh does not lose what an earlier details import contributed
+  const stored = new Map(existing.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+  const batch = db.batch();
+  writes.forEach(movie => {
+    const movieId = String(movie.tmdbId);
+    const derived = withDerivedFields({ ...(stored.get(movieId) || {}), ...movie }, context.catalogStats, context.now);
+    const movieData = {
+      ...movie,
+      weightedRating: derived.weightedRating,
+      ratingPriorVersion: derived.ratingPriorVersion,
+      featureVector: derived.featureVector,
+      featureVersion: derived.featureVersion,
+      updatedAt: context.timestamp()
+    };
+    if (flag) {
+      movieData[flag] = true;
+    }
+    if (!stored.has(movieId)) {
+      movieData.createdAt = context.timestamp();
+    }
+    batch.set(db.collection('movies').doc(movieId), movieData, { merge: true });
+  });
+
+  if (writes.length > 0 && !config.dryRun) {
+    try {
+      await batch.commit();
+    } catch (error) {
+      // Only this page is lost; the import carries on with the next one
+      log(`❌ Error saving ${writes.length} movies: ${error.message}`);
+      result.errors += writes.length;
+      return result;
+    }
+  }
+  writes.forEach(movie => {
+    log(`${config.dryRun ? '🧪 Would import' : '✅ Imported'}: ${movie.title} (${movie.genres.join(', ') || 'no genres'})`);
+  });
+  result.imported += writes.length;
+  return result;
+}
+
+/**
+ * Run an import
+ * @param {Object} config - From resolveImportConfig
+ * @param {Object} context - { db, apiKey, timestamp: () => Firestore timestamp,
+ *   catalogStats, now, log }
+ * @returns {Object} { imported, skipped, errors, pages, sources: [{ name, imported, skipped, errors }] }
+ */
+async function runImport(config, context) {
+  const ctx = { catalogStats: null, now: new Date(), log: console.log, ...context };
+  if (!ctx.apiKey) {
+    throw new Error('TMDB API key not configured');
+  }
+
+  const genreNames = await loadGenreNames(config, ctx.apiKey, ctx.log);
+  if (config.backfillGenres) {
+    await backfillGenreNames(ctx.db, genreNames, ctx, config);
+  }
+
+  const totals = { imported: 0, skipped: 0, errors: 0, pages: 0, sources: [] };
+
+  for (const [sourceIndex, source] of config.sources.entries()) {
+    ctx.log(`\n🎬 Importing ${source.name}...`);
+    const sourceTotals = { name: source.name, imported: 0, skipped: 0, errors: 0 };
+    const add = result => {
+      ['imported', 'skipped', 'errors'].forEach(key => {
+        sourceTotals[key] += result[key];
+        totals[key] += result[key];
+      });
+    };
+
+    if (source.ids) {
+      for (let i = 0; i < source.ids.length; i += ID_PAGE_SIZE) {
+        const ids = source.ids.slice(i, i + ID_PAGE_SIZE);
+        add(await importMovies(ids.map(id => ({ id })), source, genreNames, ctx, config));
+        totals.pages++;
+        ctx.log(`📄 IDs ${i + 1}-${i + ids.length} of ${source.ids.length} done - Imported: ${sourceTotals.imported}, Skipped: ${sourceTotals.skipped}, Errors: ${sourceTotals.errors}`);
+      }
+    } else {
+      const lastPage = source.startPage + source.maxPages - 1;
+      for (let page = source.startPage; page <= lastPage; page++) {
+        let listed;
+        try {
+          listed = listedMovies(await fetchWithRetry(buildSourceUrl(source, page, ctx.apiKey), config, ctx.log));
+        } catch (error) {
+          ctx.log(`❌ Error fetching page ${page}: ${error.message}`);
+          sourceTotals.errors++;
+          totals.errors++;
+          break;
+        }
+        if (listed.length === 0) {
+          ctx.log(`⚠️  No more movies on page ${page}`);
+          break;
+        }
+
+        add(await importMovies(config.limit ? listed.slice(0, config.limit) : listed, source, genreNames, ctx, config));
+        totals.pages++;
+        ctx.log(`📄 Page ${page} done - Imported: ${sourceTotals.imported}, Skipped: ${sourceTotals.skipped}, Errors: ${sourceTotals.errors}`);
+
+        if (page < lastPage) {
+          await sleep(config.pageDelayMs);
+        }
+      }
+    }
+
+    totals.sources.push(sourceTotals);
+    if (sourceIndex < config.sources.length - 1) {
+      await sleep(config.sourceDelayMs);
+    }
+  }
+
+  return totals;
+}
+
+module.exports = {
+  IMPORT_DEFAULTS,
+  IMPORT_PRESETS,
+  DISCOVER_FILTERS,
+  CATEGORY_FLAGS,
+  ID_PAGE_SIZE,
+  parseImportArgs,
+  resolveImportConfig,
+  buildSourceUrl,
+  listedMovies,
+  importMovies,
+  runImport
+};
@@ -0,0 +1,96 @@
+// WatchLyst TMDB Mapping
+// The canonical TMDB -> `movies` document mapping; every importer and seed writer goes through it
+
+const {
+  FEATURE_VERSION,
+  movieToFeatureVector,
+  calculateWeightedRating,
+  ratingPriorVersion
+} = require('./scoring-system.js');
+
+/**
+ * Map a TMDB movie onto `movies` document fields
+ * Accepts a /movie/{id} details response or a bare list/discover result. A list
+ * result only carries genre IDs, so names come from `genreNames`. Fields the
+ * response does not have are left out rather than written empty, so a list
+ * import never clears what a details import stored. Timestamps are left to the caller.
+ * @param {Object} details - TMDB /movie/{id} response or list result
+ * @param {Object} listing - The list/discover result the ID came from; fills gaps in details
+ * @param {Map|null} genreNames - TMDB genre ID -> name, for list results
+ * @returns {Object} Movie document fields
+ */
+function mapMovieDetails(details, listing = {}, genreNames = null) {
+  // Get genre names from IDs
+  const genreIds = details.genres?.map(genre => genre.id) || details.genre_ids || listing.genre_ids || [];
+  const genres = details.genres?.map(genre => genre.name) ||
+    genreIds.map(id => genreNames?.get(id)).filter(Boolean);
+
+  const movie = {
+    tmdbId: details.id ?? listing.id,
+    title: details.title || listing.title,
+    originalTitle: details.original_title || listing.original_title,
+    overview: details.overview || listing.overview,
+    tagline: details.tagline,
+    posterPath: details.poster_path || listing.poster_path,
+    backdropPath: details.backdrop_path || listing.backdrop_path,
+    releaseDate: details.release_date || listing.release_date,
+    voteAverage: details.vote_average ?? listing.vote_average,
+    voteCount: details.vote_count ?? listing.vote_count,
+    popularity: details.popularity ?? listing.popularity,
+    runtime: details.runtime,
+    status: details.status,
+    budget: details.budget,
+    revenue: details.revenue,
+    // Genres
+    genreIds: genreIds,
+    genres: genres,
+    // Additional details
+    homepage: details.homepage,
+    imdbId: details.imdb_id,
+    originalLanguage: details.original_language || listing.original_language,
+    productionCompanies: details.production_companies?.map(company => ({
+      id: company.id,
+      name: company.name,
+      logoPath: company.logo_path,
+      originCountry: company.origin_country
+    })),
+    productionCountries: details.production_countries?.map(country => ({
+      iso31661: country.iso_3166_1,
+      name: country.name
+    })),
+    spokenLanguages: details.spoken_languages?.map(lang => ({
+      iso6391: lang.iso_639_1,
+      name: lang.name
+    }))
+  };
+
+  // Firestore rejects undefined values
+  Object.keys(movie).forEach(field => {
+    if (movie[field] === undefined) {
+      delete movie[field];
+    }
+  });
+  return movie;
+}
+
+/**
+ * Add the fields the recommender derives from a movie document
+ * @param {Object} movie - Mapped movie fields
+ * @param {Object|null} catalogStats - config/catalogStats, or null for the fixed fallbacks
+ * @param {Date} now - Reference moment for recency_score
+ * @returns {Object} The movie with weightedRating, ratingPriorVersion, featureVector and featureVersion
+ */
+function withDerivedFields(movie, catalogStats = null, now = new Date()) {
+  return {
+    ...movie,
+    weightedRating: calculateWeightedRating(movie.voteAverage, movie.voteCount, catalogStats),
+    ratingPriorVersion: ratingPriorVersion(catalogStats),
+    featureVector: movieToFeatureVector(movie, now, catalogStats),
+    featureVersion: FEATURE_VERSION
+  };
+}
+
+module.exports = {
+  mapMovieDetails,
+  withDerivedFields
+};